@@ -0,0 +1,224 @@
+#!/usr/bin/env node
+/**
+ * organic-typography - 有機的タイポグラフィのヘッドレス実行
+ *
+ *   node bin/organic-typography.js grow input.txt --seed 42 --generations 500 \
+ *       --out layout.json --svg out.svg --report report.json
+ */
+const fs = require('fs');
+const path = require('path');
+
+const USAGE = `使い方: organic-typography grow <input.txt | -> [オプション]
+       organic-typography grow --resume <layout.json> [オプション]
+
+成長の設定:
+  --seed <値>               乱数シード（同じ入力・シードで同一のレイアウト）
+  --engine <名前>           orchestrator（既定） | layout
+  --width <px>, --height <px>  キャンバスの大きさ（既定はテキスト長から算出）
+  --writing-mode <値>       horizontal（既定） | vertical
+  --kinsoku <値>            strict（既定） | standard | loose | none
+  --text-format <値>        plain | aozora（既定は記法の有無で判定）
+  --granularity <値>        character（既定、1文字1ノード） | token（1語1ノード）
+  --strategy <名前>         成長戦略（既定 semantic、lsystem など）
+  --strategy-options <json> 成長戦略の設定（JSON文字列またはJSONファイルのパス）
+  --constraint <json>       成長領域・ガイドパス（JSON文字列またはJSONファイルのパス）
+  --embeddings <path>       単語分散表現ファイル
+  --embeddings-format <値>  word2vec-text | word2vec-binary | json
+  --resume <path>           --out で保存したレイアウトJSONの続きから成長させる
+
+停止条件:
+  --generations <n>         最大世代数（既定 500）
+  --max-nodes <n>           ノード数の上限
+  --stable <n>              ノードが増えない世代がn回続いたら停止（既定 20）
+  --time-limit <ms>         実行時間の上限
+
+出力:
+  --out <path>              レイアウトJSON
+  --svg <path>              SVG
+  --report <path>           統合レポートJSON
+  --verbose                 モジュール読み込みと進捗を表示
+`;
+
+// 値をとるオプションと設定名の対応
+const VALUE_OPTIONS = {
+    '--seed': 'seed',
+    '--engine': 'engine',
+    '--width': 'width',
+    '--height': 'height',
+    '--writing-mode': 'writingMode',
+    '--kinsoku': 'kinsoku',
+    '--text-format': 'textFormat',
+    '--granularity': 'granularity',
+    '--strategy': 'growthStrategy',
+    '--strategy-options': 'growthStrategyOptions',
+    '--constraint': 'constraint',
+    '--embeddings': 'embeddings',
+    '--embeddings-format': 'embeddingsFormat',
+    '--resume': 'resume',
+    '--generations': 'generations',
+    '--max-nodes': 'maxNodes',
+    '--stable': 'stableGenerations',
+    '--time-limit': 'timeLimit',
+    '--out': 'out',
+    '--svg': 'svg',
+    '--report': 'report'
+};
+
+const NUMERIC_OPTIONS = ['width', 'height', 'generations', 'maxNodes', 'stableGenerations', 'timeLimit'];
+
+function parseArguments(argv) {
+    const args = { positional: [], verbose: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (arg === '--verbose') {
+            args.verbose = true;
+        } else if (arg === '--help' || arg === '-h') {
+            args.help = true;
+        } else if (VALUE_OPTIONS[arg]) {
+            if (i + 1 >= argv.length) {
+                throw new Error(`${arg} には値が必要です`);
+            }
+            const key = VALUE_OPTIONS[arg];
+            const value = argv[++i];
+            if (NUMERIC_OPTIONS.includes(key)) {
+                const number = Number(value);
+                if (!Number.isFinite(number) || number <= 0) {
+                    throw new Error(`${arg} には正の数を指定してください: ${value}`);
+                }
+                args[key] = number;
+            } else {
+                args[key] = value;
+            }
+        } else if (arg.startsWith('--')) {
+            throw new Error(`不明なオプション: ${arg}`);
+        } else {
+            args.positional.push(arg);
+        }
+    }
+
+    return args;
+}
+
+function readInput(input) {
+    return input === '-' ? fs.readFileSync(0, 'utf8') : fs.readFileSync(input, 'utf8');
+}
+
+function readJSONOption(name, value) {
+    const source = fs.existsSync(value) ? fs.readFileSync(value, 'utf8') : value;
+    try {
+        return JSON.parse(source);
+    } catch (error) {
+        throw new Error(`${name} のJSONを解析できません: ${error.message}`);
+    }
+}
+
+function writeOutput(file, content) {
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    fs.writeFileSync(file, content);
+}
+
+async function grow(args) {
+    const [input] = args.positional;
+    if (!input && !args.resume) {
+        throw new Error('入力ファイルを指定してください');
+    }
+
+    // ブラウザ用スクリプトを moduleLoader でグローバルに読み込む（ログは --verbose 時のみ標準エラーへ）
+    const log = console.log;
+    console.log = args.verbose ? (...messages) => console.error(...messages) : () => {};
+    try {
+        await require('../js/index.js').moduleLoader.loadAll();
+    } finally {
+        console.log = log;
+    }
+    const HeadlessRunner = require('../js/HeadlessRunner.js');
+
+    let provider = null;
+    if (args.embeddings) {
+        provider = new EmbeddingProvider();
+        await provider.load(args.embeddings, args.embeddingsFormat || provider.detectFormat(args.embeddings));
+    }
+
+    const config = {};
+    let text = '';
+    if (args.resume) {
+        // 保存済みの語義場を保つため、分散表現は再解析せずに付け替える
+        config.layout = OrganicLayout.fromJSON(fs.readFileSync(args.resume, 'utf8'), { embeddingProvider: provider });
+    } else {
+        text = readInput(input).trim();
+        if (text.length === 0) {
+            throw new Error('入力テキストが空です');
+        }
+    }
+
+    ['engine', 'width', 'height', 'writingMode', 'kinsoku', 'textFormat', 'granularity', 'growthStrategy'].forEach(key => {
+        if (args[key] !== undefined) config[key] = args[key];
+    });
+    if (args.constraint !== undefined) {
+        if (args.resume) {
+            throw new Error('--constraint は --resume と同時に指定できません（保存したレイアウトの制約を使います）');
+        }
+        config.constraint = readJSONOption('--constraint', args.constraint);
+    }
+    if (args.growthStrategyOptions !== undefined) {
+        config.growthStrategyOptions = readJSONOption('--strategy-options', args.growthStrategyOptions);
+    }
+    if (args.resume && (args.growthStrategy || config.growthStrategyOptions)) {
+        config.layout.setGrowthStrategy(args.growthStrategy || config.layout.growthStrategy.name, config.growthStrategyOptions);
+    }
+    if (args.seed !== undefined) {
+        // 数値のシードはそのまま、それ以外は文字列シードとして扱う
+        config.seed = /^\d+$/.test(args.seed) ? Number(args.seed) : args.seed;
+    }
+
+    const runner = new HeadlessRunner(text, config);
+
+    if (provider && !args.resume) {
+        runner.layout.setEmbeddingProvider(provider);
+    }
+
+    const result = runner.run({
+        generations: args.generations,
+        maxNodes: args.maxNodes,
+        stableGenerations: args.stableGenerations,
+        timeLimit: args.timeLimit,
+        onProgress: args.verbose ? (r, generation) => {
+            if (generation % 50 === 0) {
+                console.error(`世代 ${generation}: ${r.layout.nodes.length} ノード`);
+            }
+        } : null
+    });
+
+    if (args.out) writeOutput(args.out, JSON.stringify(runner.toJSON(), null, 2));
+    if (args.svg) writeOutput(args.svg, runner.exportSVG());
+    if (args.report) writeOutput(args.report, JSON.stringify(runner.getReport(), null, 2));
+
+    runner.updateErrors.forEach(entry => {
+        console.error(`警告: オーケストレーターの更新が${entry.count}回失敗しました（成長は継続）: ${entry.message}`);
+    });
+    console.error(`${result.generations}世代・${result.nodes}ノード・${result.connections}接続（停止理由: ${result.reason}, ${result.elapsed}ms, ${runner.engine}）`);
+    return result;
+}
+
+async function main(argv) {
+    const args = parseArguments(argv);
+    const [command] = args.positional.splice(0, 1);
+
+    if (args.help || !command || command === 'help') {
+        process.stdout.write(USAGE);
+        return;
+    }
+
+    if (command !== 'grow') {
+        throw new Error(`不明なコマンド: ${command}`);
+    }
+
+    await grow(args);
+}
+
+main(process.argv.slice(2)).catch(error => {
+    console.error(`エラー: ${error.message}`);
+    process.exitCode = 1;
+});
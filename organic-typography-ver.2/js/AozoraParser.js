@@ -0,0 +1,117 @@
+/**
+ * AozoraParser - 青空文庫形式のルビ・注記の解析
+ * 「｜漢字《かんじ》」「漢字《かんじ》」のルビと「［＃…］」の注記を取り除き、
+ * 本文とルビ範囲（本文中の文字位置）に分ける
+ */
+class AozoraParser {
+    /**
+     * 青空文庫形式のテキストを解析
+     * 返り値: { text, rubies: [{ start, end, base, ruby }], annotations: [{ index, content }] }
+     * offset: 返す文字位置に加える値（追記時の連結用）
+     */
+    static parse(source, offset = 0) {
+        const chars = Array.from(source || '');
+        let text = '';
+        const rubies = [];
+        const annotations = [];
+
+        let rubyBaseStart = -1;   // ｜で明示されたルビ親文字の開始位置
+
+        for (let i = 0; i < chars.length; i++) {
+            const char = chars[i];
+
+            // ルビ親文字の開始記号
+            if (char === '｜' || char === '|') {
+                rubyBaseStart = text.length;
+                continue;
+            }
+
+            // 注記 ［＃…］
+            if (char === '［' && chars[i + 1] === '＃') {
+                const close = chars.indexOf('］', i + 2);
+                if (close !== -1) {
+                    annotations.push({
+                        index: offset + text.length,
+                        content: chars.slice(i + 2, close).join('')
+                    });
+                    i = close;
+                    continue;
+                }
+            }
+
+            // ルビ 《…》
+            if (char === '《') {
+                const close = chars.indexOf('》', i + 1);
+                if (close !== -1) {
+                    const start = rubyBaseStart !== -1 ? rubyBaseStart : AozoraParser.findImplicitBaseStart(text);
+                    const ruby = chars.slice(i + 1, close).join('');
+
+                    if (start < text.length && ruby.length > 0) {
+                        rubies.push({
+                            start: offset + start,
+                            end: offset + text.length,
+                            base: text.slice(start),
+                            ruby: ruby
+                        });
+                    }
+
+                    rubyBaseStart = -1;
+                    i = close;
+                    continue;
+                }
+            }
+
+            text += char;
+        }
+
+        return { text, rubies, annotations };
+    }
+
+    /**
+     * 「｜」なしのルビ親文字：直前の同じ字種の連続（漢字・カタカナ・英数字）
+     * 𠮷 などのサロゲートペアの漢字も1文字として数える（返す位置は UTF-16 の位置）
+     */
+    static findImplicitBaseStart(text) {
+        if (text.length === 0) return 0;
+
+        const charClass = AozoraParser.getRubyBaseClass(AozoraParser.getCharBefore(text, text.length));
+        if (!charClass) return text.length;
+
+        let start = text.length;
+        while (start > 0) {
+            const char = AozoraParser.getCharBefore(text, start);
+            if (AozoraParser.getRubyBaseClass(char) !== charClass) break;
+            start -= char.length;
+        }
+        return start;
+    }
+
+    /**
+     * text[index] の直前の1文字（サロゲートペアは2単位で1文字）
+     */
+    static getCharBefore(text, index) {
+        if (index >= 2 && text.codePointAt(index - 2) > 0xFFFF) return text.slice(index - 2, index);
+        return text[index - 1];
+    }
+
+    static getRubyBaseClass(char) {
+        if (/[\p{Script=Han}々〆〇ヶ仝※]/u.test(char)) return 'kanji';
+        if (/[ァ-ヺー]/.test(char)) return 'katakana';
+        if (/[0-9A-Za-z０-９Ａ-Ｚａ-ｚ]/.test(char)) return 'alphanumeric';
+        return null;
+    }
+
+    /**
+     * 青空文庫の記法を含むか
+     */
+    static hasMarkup(source) {
+        return /《[^》]*》|［＃[^］]*］/.test(source || '');
+    }
+}
+
+// エクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AozoraParser;
+} else if (typeof window !== 'undefined') {
+    window.AozoraParser = AozoraParser;
+}
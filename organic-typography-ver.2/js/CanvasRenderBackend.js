@@ -0,0 +1,289 @@
+/**
+ * CanvasRenderBackend - Canvas 2D への描画
+ * 字は語義的共鳴の色・エネルギーの大きさの円に白抜きで描き、キャンバスの外に出た字は縁に寄せる。
+ * ズーム・パンは呼び出し側が ctx に変換を掛けてから render() を呼ぶ
+ *
+ *   const backend = new CanvasRenderBackend(canvas.getContext('2d'));
+ *   backend.render(layout);
+ */
+
+class CanvasRenderBackend extends RenderBackend {
+    constructor(ctx, options = {}) {
+        super(ctx, options);
+        this.name = 'canvas';
+    }
+
+    drawNode(node, env) {
+        const ctx = this.target;
+        const writingMode = env.writingMode;
+
+        if (!node || !node.position || typeof node.position.x !== 'number' || typeof node.position.y !== 'number') {
+            return;
+        }
+
+        try {
+            ctx.save();
+
+            // 語義的共鳴による色の変化
+            const resonance = Math.max(0, Math.min(1, node.semanticResonance || 0));
+            const hue = 200 + resonance * 60; // 青から紫へ
+            const saturation = 50 + resonance * 50;
+            const lightness = 30 + resonance * 30;
+
+            ctx.fillStyle = `hsl(${hue}, ${saturation}%, ${lightness}%)`;
+
+            // エネルギーによるサイズの変化
+            const energy = Math.max(0, Math.min(100, node.energy || 50));
+            const size = Math.max(2, Math.min(20, 6 + energy / 10));
+
+            // 位置の境界チェック
+            const x = Math.max(size, Math.min(ctx.canvas.width - size, node.position.x));
+            const y = Math.max(size, Math.min(ctx.canvas.height - size, node.position.y));
+
+            ctx.beginPath();
+            ctx.arc(x, y, size, 0, Math.PI * 2);
+            ctx.fill();
+
+            // 文字の描画
+            if (node.char && typeof node.char === 'string') {
+                ctx.fillStyle = '#ffffff';
+                const fontSize = Math.max(8, Math.min(24, size * 2));
+                ctx.font = `${fontSize}px serif`;
+                ctx.textAlign = 'center';
+                ctx.textBaseline = 'middle';
+
+                // テキストが長すぎる場合は切り詰める
+                const displayChar = node.char.length > 2 ? node.char.substring(0, 2) : node.char;
+
+                if (writingMode === 'vertical' && typeof GlyphOrientation !== 'undefined') {
+                    // 縦組み：枝の接線に沿って正立／横倒し、約物は右上へ
+                    const glyph = GlyphOrientation.getGlyphTransform(displayChar, node.velocity, writingMode, fontSize);
+                    ctx.translate(x + glyph.dx, y + glyph.dy);
+                    ctx.rotate(glyph.rotation);
+                    ctx.fillText(displayChar, 0, 0);
+                } else {
+                    ctx.fillText(displayChar, x, y);
+                }
+            }
+
+            ctx.restore();
+        } catch (error) {
+            console.warn('Error drawing node:', error);
+            ctx.restore();
+        }
+    }
+
+    drawRubyGlyph(glyph, env) {
+        const ctx = this.target;
+        const writingMode = env.writingMode;
+
+        if (!glyph || !glyph.position || typeof glyph.position.x !== 'number' || typeof glyph.position.y !== 'number') {
+            return;
+        }
+
+        ctx.save();
+
+        const fontSize = Math.max(6, glyph.size);
+        ctx.fillStyle = 'hsl(220, 40%, 35%)';
+        ctx.font = `${fontSize}px serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+
+        if (writingMode === 'vertical' && typeof GlyphOrientation !== 'undefined') {
+            const transform = GlyphOrientation.getGlyphTransform(glyph.char, glyph.velocity, writingMode, fontSize);
+            ctx.translate(glyph.position.x + transform.dx, glyph.position.y + transform.dy);
+            ctx.rotate(transform.rotation);
+            ctx.fillText(glyph.char, 0, 0);
+        } else {
+            ctx.fillText(glyph.char, glyph.position.x, glyph.position.y);
+        }
+
+        ctx.restore();
+    }
+
+    drawConnection(connection, env) {
+        const ctx = this.target;
+
+        if (!connection || !connection.from || !connection.to) {
+            return;
+        }
+
+        const fromNode = env.nodeMap.get(connection.from);
+        const toNode = env.nodeMap.get(connection.to);
+
+        if (!fromNode || !toNode || !fromNode.position || !toNode.position) return;
+
+        try {
+            ctx.save();
+
+            // 接続タイプによる線の描画
+            const alpha = connection.type === 'primary' ? 0.8 : 
+                         connection.type === 'secondary' ? 0.5 : 0.3;
+
+            ctx.strokeStyle = `rgba(100, 150, 255, ${Math.max(0.1, Math.min(1, alpha))})`;
+            ctx.lineWidth = connection.type === 'primary' ? 2 : 1;
+
+            // NaN チェック
+            if (isNaN(fromNode.position.x) || isNaN(fromNode.position.y) || 
+                isNaN(toNode.position.x) || isNaN(toNode.position.y)) {
+                return;
+            }
+
+            ctx.beginPath();
+            ctx.moveTo(fromNode.position.x, fromNode.position.y);
+
+            // 曲率による曲線描画
+            const curvature = connection.curvature || 0;
+            if (curvature > 0.1) {
+                const midX = (fromNode.position.x + toNode.position.x) / 2;
+                const midY = (fromNode.position.y + toNode.position.y) / 2;
+                const offset = Math.max(-100, Math.min(100, curvature * 50));
+
+                ctx.quadraticCurveTo(
+                    midX + offset, midY + offset,
+                    toNode.position.x, toNode.position.y
+                );
+            } else {
+                ctx.lineTo(toNode.position.x, toNode.position.y);
+            }
+
+            ctx.stroke();
+            ctx.restore();
+        } catch (error) {
+            console.warn('Error drawing connection:', error);
+            ctx.restore();
+        }
+    }
+
+    drawCollocationField(field, env) {
+        const ctx = this.target;
+
+        if (!field.geometry || field.geometry.length === 0) return;
+
+        ctx.save();
+        ctx.fillStyle = `rgba(255, 200, 100, ${field.intensity * 0.2})`;
+        ctx.strokeStyle = `rgba(255, 200, 100, ${field.intensity * 0.5})`;
+        ctx.lineWidth = 1;
+
+        ctx.beginPath();
+        ctx.moveTo(field.geometry[0].x, field.geometry[0].y);
+
+        for (let i = 1; i < field.geometry.length; i++) {
+            ctx.lineTo(field.geometry[i].x, field.geometry[i].y);
+        }
+
+        ctx.closePath();
+        ctx.fill();
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    drawObstacle(obstacle, env) {
+        const ctx = this.target;
+        const { x, y } = obstacle.position;
+
+        ctx.save();
+        ctx.fillStyle = 'rgba(120, 120, 120, 0.15)';
+        ctx.strokeStyle = 'rgba(120, 120, 120, 0.6)';
+        ctx.lineWidth = 1;
+
+        ctx.beginPath();
+        if (obstacle.shape === 'circle') {
+            ctx.arc(x, y, obstacle.radius, 0, Math.PI * 2);
+        } else if (obstacle.shape === 'polygon') {
+            obstacle.points.forEach((point, i) => {
+                if (i === 0) ctx.moveTo(x + point.x, y + point.y);
+                else ctx.lineTo(x + point.x, y + point.y);
+            });
+            ctx.closePath();
+        } else {
+            ctx.rect(x, y, obstacle.width, obstacle.height);
+        }
+
+        ctx.fill();
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    drawAttractor(attractor, env) {
+        const ctx = this.target;
+        const { x, y } = attractor.position;
+
+        ctx.save();
+        ctx.strokeStyle = 'rgba(100, 180, 120, 0.25)';
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.arc(x, y, attractor.radius, 0, Math.PI * 2);
+        ctx.stroke();
+
+        ctx.setLineDash([]);
+        ctx.fillStyle = 'rgba(100, 180, 120, 0.8)';
+        ctx.beginPath();
+        ctx.arc(x, y, 5, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.restore();
+    }
+
+    drawReadingTrajectory(trajectory, env) {
+        const ctx = this.target;
+
+        if (trajectory.length < 2) return;
+
+        ctx.save();
+        ctx.strokeStyle = 'rgba(200, 100, 255, 0.3)';
+        ctx.lineWidth = 2;
+        ctx.setLineDash([5, 5]);
+
+        ctx.beginPath();
+        ctx.moveTo(trajectory[0].from.position.x, trajectory[0].from.position.y);
+
+        for (let i = 1; i < trajectory.length; i++) {
+            if (trajectory[i].from && trajectory[i].from.position) {
+                ctx.lineTo(trajectory[i].from.position.x, trajectory[i].from.position.y);
+            }
+        }
+
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    /**
+     * 創発パターンの重ね描き（意味クラスタは円、意味の橋は線、読解螺旋は折れ線）
+     */
+    drawPattern(pattern, env) {
+        const ctx = this.target;
+        const geometry = this.getPatternGeometry(pattern, env.nodeMap);
+        if (!geometry) return;
+
+        ctx.save();
+        ctx.beginPath();
+        if (geometry.shape === 'circle') {
+            ctx.fillStyle = 'rgba(120, 90, 200, 0.08)';
+            ctx.strokeStyle = 'rgba(120, 90, 200, 0.4)';
+            ctx.lineWidth = 1;
+            ctx.arc(geometry.cx, geometry.cy, geometry.r, 0, Math.PI * 2);
+            ctx.fill();
+        } else if (geometry.shape === 'line') {
+            ctx.strokeStyle = 'rgba(255, 120, 0, 0.6)';
+            ctx.lineWidth = 1.5;
+            ctx.moveTo(geometry.from.x, geometry.from.y);
+            ctx.lineTo(geometry.to.x, geometry.to.y);
+        } else {
+            ctx.strokeStyle = 'rgba(0, 150, 136, 0.5)';
+            ctx.lineWidth = 1;
+            geometry.points.forEach((point, i) => {
+                if (i === 0) ctx.moveTo(point.x, point.y);
+                else ctx.lineTo(point.x, point.y);
+            });
+        }
+        ctx.stroke();
+        ctx.restore();
+    }
+}
+
+// エクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CanvasRenderBackend;
+} else if (typeof window !== 'undefined') {
+    window.CanvasRenderBackend = CanvasRenderBackend;
+}
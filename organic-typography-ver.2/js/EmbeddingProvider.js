@@ -0,0 +1,342 @@
+/**
+ * EmbeddingProvider - 単語分散表現の読み込みと供給
+ * word2vec（テキスト/バイナリ）・JSON・Float32形式のベクトルファイルを
+ * ディスクまたは同一オリジンのURLから読み込み、未知語は文字n-gram平均で補う
+ */
+class EmbeddingProvider {
+    constructor(options = {}) {
+        this.options = {
+            minNgram: 1,             // 未知語補完に使う文字n-gramの最小長
+            maxNgram: 3,             // 同最大長
+            maxCacheSize: 5000,      // ベクトルキャッシュの上限
+            normalize: true,         // 読み込み時にL2正規化
+            ...options
+        };
+
+        this.dimension = 0;
+        this.vocabulary = new Map();   // 語 → Float32Array
+        this.ngramTable = null;        // 文字n-gram → { sum, count }（遅延構築）
+        this.cache = new Map();
+        this.source = null;
+    }
+
+    /**
+     * ベクトルが読み込まれているか
+     */
+    hasVectors() {
+        return this.vocabulary.size > 0;
+    }
+
+    /**
+     * ベクトルファイルの読み込み
+     * format: 'word2vec-text' | 'word2vec-binary' | 'json' | 'float32'
+     * float32形式では source に { vocabulary, vectors } の2ファイルを指定する
+     */
+    async load(source, format = this.detectFormat(source)) {
+        switch (format) {
+            case 'word2vec-text':
+                this.loadWord2VecText(await this.readSource(source, 'text'));
+                break;
+            case 'word2vec-binary':
+                this.loadWord2VecBinary(await this.readSource(source, 'binary'));
+                break;
+            case 'json':
+                this.loadJSON(JSON.parse(await this.readSource(source, 'text')));
+                break;
+            case 'float32': {
+                if (!source || !source.vocabulary || !source.vectors) {
+                    throw new Error('float32形式には { vocabulary, vectors } の指定が必要です');
+                }
+                const header = JSON.parse(await this.readSource(source.vocabulary, 'text'));
+                this.loadFloat32(header, await this.readSource(source.vectors, 'binary'));
+                break;
+            }
+            default:
+                throw new Error(`Unknown embedding format: ${format}`);
+        }
+
+        this.source = source;
+        return this;
+    }
+
+    detectFormat(source) {
+        if (source && typeof source === 'object') return 'float32';
+
+        const path = String(source || '');
+        if (path.endsWith('.json')) return 'json';
+        if (path.endsWith('.bin')) return 'word2vec-binary';
+        return 'word2vec-text';
+    }
+
+    /**
+     * ソースの読み込み（Node.jsではディスク、ブラウザでは同一オリジンのURL）
+     */
+    async readSource(source, type) {
+        if (typeof source !== 'string') {
+            // 既に読み込まれたデータ
+            return source;
+        }
+
+        if (typeof window === 'undefined' && typeof require === 'function') {
+            const fs = require('fs');
+            const data = await fs.promises.readFile(source);
+            if (type === 'text') return data.toString('utf8');
+            return data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+        }
+
+        const url = new URL(source, window.location.href);
+        if (url.origin !== window.location.origin) {
+            throw new Error(`Embedding source must be same-origin: ${url.href}`);
+        }
+
+        const response = await fetch(url.href);
+        if (!response.ok) {
+            throw new Error(`Failed to load embeddings: ${response.status} ${url.href}`);
+        }
+        return type === 'text' ? response.text() : response.arrayBuffer();
+    }
+
+    /**
+     * word2vecテキスト形式（先頭行「語数 次元数」は省略可）
+     */
+    loadWord2VecText(text) {
+        const lines = text.split(/\r?\n/);
+        let start = 0;
+
+        const header = lines[0] ? lines[0].trim().split(/\s+/) : [];
+        if (header.length === 2 && header.every(value => /^\d+$/.test(value))) {
+            this.dimension = parseInt(header[1], 10);
+            start = 1;
+        }
+
+        for (let i = start; i < lines.length; i++) {
+            const parts = lines[i].trim().split(/\s+/);
+            if (parts.length < 2) continue;
+
+            const word = parts[0];
+            const values = parts.slice(1).map(Number);
+            if (!this.dimension) this.dimension = values.length;
+            if (values.length !== this.dimension) continue;
+
+            this.addVector(word, values);
+        }
+    }
+
+    /**
+     * word2vecバイナリ形式
+     */
+    loadWord2VecBinary(buffer) {
+        const bytes = new Uint8Array(buffer);
+        const view = new DataView(buffer);
+        const decoder = new TextDecoder('utf-8');
+
+        let offset = 0;
+        const readToken = (terminators) => {
+            const begin = offset;
+            while (offset < bytes.length && !terminators.includes(bytes[offset])) offset++;
+            const token = decoder.decode(bytes.subarray(begin, offset));
+            offset++; // 区切り文字をスキップ
+            return token;
+        };
+
+        const count = parseInt(readToken([0x20]), 10);
+        this.dimension = parseInt(readToken([0x0A]), 10);
+
+        for (let i = 0; i < count && offset < bytes.length; i++) {
+            // 前のベクトル末尾の改行を読み飛ばす
+            while (bytes[offset] === 0x0A) offset++;
+
+            const word = readToken([0x20]);
+            const values = new Float32Array(this.dimension);
+            for (let d = 0; d < this.dimension; d++) {
+                values[d] = view.getFloat32(offset, true);
+                offset += 4;
+            }
+            this.addVector(word, values);
+        }
+    }
+
+    /**
+     * JSON形式 { dimension, words: [...], vectors: [[...], ...] } または { 語: [...] }
+     */
+    loadJSON(data) {
+        if (Array.isArray(data.words) && Array.isArray(data.vectors)) {
+            this.dimension = data.dimension || (data.vectors[0] || []).length;
+            data.words.forEach((word, i) => this.addVector(word, data.vectors[i]));
+            return;
+        }
+
+        Object.entries(data).forEach(([word, vector]) => {
+            if (!Array.isArray(vector)) return;
+            if (!this.dimension) this.dimension = vector.length;
+            this.addVector(word, vector);
+        });
+    }
+
+    /**
+     * コンパクトFloat32形式（語彙JSON { dimension, vocabulary } ＋ 行優先のFloat32バイナリ）
+     */
+    loadFloat32(header, buffer) {
+        this.dimension = header.dimension;
+        const data = new Float32Array(buffer);
+
+        header.vocabulary.forEach((word, i) => {
+            const begin = i * this.dimension;
+            if (begin + this.dimension > data.length) return;
+            this.addVector(word, data.subarray(begin, begin + this.dimension));
+        });
+    }
+
+    addVector(word, values) {
+        if (!word || !values || values.length !== this.dimension) return false;
+
+        const vector = Float32Array.from(values);
+        if (this.options.normalize) {
+            this.normalizeInPlace(vector);
+        }
+
+        this.vocabulary.set(word, vector);
+        this.ngramTable = null;
+        this.cache.clear();
+        return true;
+    }
+
+    /**
+     * 語ベクトルの取得（未知語は文字n-gram平均、見つからなければnull）
+     */
+    getVector(word) {
+        if (!word || !this.hasVectors()) return null;
+
+        if (this.vocabulary.has(word)) {
+            return this.vocabulary.get(word);
+        }
+
+        if (this.cache.has(word)) {
+            return this.cache.get(word);
+        }
+
+        const vector = this.computeOutOfVocabularyVector(word);
+
+        if (this.cache.size >= this.options.maxCacheSize) {
+            // 最も古いエントリを削除
+            this.cache.delete(this.cache.keys().next().value);
+        }
+        this.cache.set(word, vector);
+
+        return vector;
+    }
+
+    /**
+     * 未知語ベクトル：語彙から集計した文字n-gramベクトルの平均
+     */
+    computeOutOfVocabularyVector(word) {
+        if (!this.ngramTable) {
+            this.buildNgramTable();
+        }
+
+        const sum = new Float32Array(this.dimension);
+        let matched = 0;
+
+        for (const ngram of this.extractNgrams(word)) {
+            const entry = this.ngramTable.get(ngram);
+            if (!entry) continue;
+
+            for (let d = 0; d < this.dimension; d++) {
+                sum[d] += entry.sum[d] / entry.count;
+            }
+            matched++;
+        }
+
+        if (matched === 0) return null;
+
+        for (let d = 0; d < this.dimension; d++) {
+            sum[d] /= matched;
+        }
+        if (this.options.normalize) {
+            this.normalizeInPlace(sum);
+        }
+
+        return sum;
+    }
+
+    buildNgramTable() {
+        this.ngramTable = new Map();
+
+        for (const [word, vector] of this.vocabulary) {
+            for (const ngram of this.extractNgrams(word)) {
+                let entry = this.ngramTable.get(ngram);
+                if (!entry) {
+                    entry = { sum: new Float32Array(this.dimension), count: 0 };
+                    this.ngramTable.set(ngram, entry);
+                }
+                for (let d = 0; d < this.dimension; d++) {
+                    entry.sum[d] += vector[d];
+                }
+                entry.count++;
+            }
+        }
+    }
+
+    extractNgrams(word) {
+        const chars = Array.from(word);
+        const ngrams = new Set();
+
+        for (let n = this.options.minNgram; n <= this.options.maxNgram; n++) {
+            for (let i = 0; i + n <= chars.length; i++) {
+                ngrams.add(chars.slice(i, i + n).join(''));
+            }
+        }
+
+        return ngrams;
+    }
+
+    /**
+     * コサイン類似度
+     */
+    similarity(word1, word2) {
+        return EmbeddingProvider.cosineSimilarity(this.getVector(word1), this.getVector(word2));
+    }
+
+    static cosineSimilarity(vector1, vector2) {
+        if (!vector1 || !vector2) return 0;
+
+        let dotProduct = 0;
+        let norm1 = 0;
+        let norm2 = 0;
+
+        for (let i = 0; i < Math.min(vector1.length, vector2.length); i++) {
+            dotProduct += vector1[i] * vector2[i];
+            norm1 += vector1[i] * vector1[i];
+            norm2 += vector2[i] * vector2[i];
+        }
+
+        if (norm1 === 0 || norm2 === 0) return 0;
+        return dotProduct / (Math.sqrt(norm1) * Math.sqrt(norm2));
+    }
+
+    normalizeInPlace(vector) {
+        let norm = 0;
+        for (let i = 0; i < vector.length; i++) norm += vector[i] * vector[i];
+        norm = Math.sqrt(norm);
+        if (norm > 0) {
+            for (let i = 0; i < vector.length; i++) vector[i] /= norm;
+        }
+        return vector;
+    }
+
+    getStats() {
+        return {
+            vocabularySize: this.vocabulary.size,
+            dimension: this.dimension,
+            ngramCount: this.ngramTable ? this.ngramTable.size : 0,
+            cacheSize: this.cache.size
+        };
+    }
+}
+
+// エクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EmbeddingProvider;
+} else if (typeof window !== 'undefined') {
+    window.EmbeddingProvider = EmbeddingProvider;
+}
@@ -0,0 +1,87 @@
+/**
+ * GlyphOrientation - 縦組みの字形方向と約物位置
+ * 枝の接線に沿って字を立てる（正立）か横に倒す（回転）かを決め、
+ * 句読点・小書き仮名の縦組み用の位置補正を返す
+ */
+
+// 縦組みで90度回転させる文字（長音・ダッシュ・括弧類・三点リーダなど）
+const VERTICAL_ROTATED_CHARS = new Set(Array.from(
+    'ー～〜―‐–—…‥＿｜｛｝（）［］「」『』〈〉《》【】〔〕〘〙〚〛＜＞＝：；'
+));
+
+// 小書き仮名（縦組みでは字面の右上寄せ）
+const VERTICAL_SMALL_KANA = new Set(Array.from(
+    'ぁぃぅぇぉっゃゅょゎゕゖァィゥェォッャュョヮヵヶㇰㇱㇲㇳㇴㇵㇶㇷㇸㇹㇺㇻㇼㇽㇾㇿ'
+));
+
+// 句読点（縦組みでは字面の右上に置く）
+const VERTICAL_PUNCTUATION = new Set(Array.from('、。，．､｡'));
+
+class GlyphOrientation {
+    /**
+     * 縦組みでの字の扱いの分類
+     * 'upright' | 'rotated' | 'punctuation' | 'small-kana'
+     */
+    static classify(char) {
+        if (!char) return 'upright';
+
+        if (VERTICAL_PUNCTUATION.has(char)) return 'punctuation';
+        if (VERTICAL_SMALL_KANA.has(char)) return 'small-kana';
+        if (VERTICAL_ROTATED_CHARS.has(char)) return 'rotated';
+
+        // 半角英数字・記号は横倒し
+        const code = char.charCodeAt(0);
+        if (code >= 0x21 && code <= 0x7E) return 'rotated';
+        if (code >= 0xFF61 && code <= 0xFF9F) return 'rotated'; // 半角カナ
+
+        return 'upright';
+    }
+
+    /**
+     * 字形の変換（回転角と中心からの位置補正）
+     * tangent: 枝の局所接線（ノードのvelocity）、fontSize: 字の大きさ（px）
+     * 返り値: { rotation（ラジアン）, dx, dy（px）, type }
+     */
+    static getGlyphTransform(char, tangent, writingMode = 'horizontal', fontSize = 16) {
+        const type = GlyphOrientation.classify(char);
+
+        if (writingMode !== 'vertical') {
+            return { rotation: 0, dx: 0, dy: 0, type };
+        }
+
+        // 接線が真下のとき正立（回転0）
+        const direction = (tangent && (tangent.dx || tangent.dy)) ? tangent : { dx: 0, dy: 1 };
+        const upright = Math.atan2(direction.dy, direction.dx) - Math.PI / 2;
+
+        if (type === 'rotated') {
+            return { rotation: upright + Math.PI / 2, dx: 0, dy: 0, type };
+        }
+
+        // 字面内の補正量（正立の座標系で右上方向、em単位）
+        let offsetX = 0;
+        let offsetY = 0;
+        if (type === 'punctuation') {
+            offsetX = 0.5;
+            offsetY = -0.5;
+        } else if (type === 'small-kana') {
+            offsetX = 0.12;
+            offsetY = -0.12;
+        }
+
+        const cos = Math.cos(upright);
+        const sin = Math.sin(upright);
+        return {
+            rotation: upright,
+            dx: (offsetX * cos - offsetY * sin) * fontSize,
+            dy: (offsetX * sin + offsetY * cos) * fontSize,
+            type
+        };
+    }
+}
+
+// エクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GlyphOrientation;
+} else if (typeof window !== 'undefined') {
+    window.GlyphOrientation = GlyphOrientation;
+}
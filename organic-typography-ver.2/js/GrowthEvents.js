@@ -0,0 +1,128 @@
+/**
+ * GrowthEvents - 成長とメタ認知の出来事の通知
+ * OrganicLayout と MetaCognitiveOrchestrator が成長の途中で出来事を発行し、
+ * 音・UIパネル・ログ・外部連携などはリスナーでそれを受け取る。リスナーには
+ * { type, generation, organism, ...ペイロード } が渡される（organism は OrganicEcosystem の生物の ID、ほかは null）。
+ * '*' で全種類を受け取れる
+ *
+ *   const off = layout.on('branch:forked', ({ node, parent, reason }) => playTone(node.char));
+ *   layout.on('*', event => console.log(event.type, event.generation));
+ *   off();   // 登録の解除
+ *
+ * リスナーの中で layout.environment.random() を呼ぶと、シード指定時の成長が変わってしまう。
+ * リスナーの例外は警告に留め（同じ警告は繰り返さない）、成長は止めない
+ */
+
+// 出来事の種類とペイロード
+const GROWTH_EVENT_TYPES = [
+    'node:created',         // { node }（播種・追記・分岐のノードを含む）
+    'branch:forked',        // { node, parent, reason: 'branch' | 'avoidance' }
+    'branch:terminated',    // { node, reason: 'textEnd' | 'exhausted' | 'blocked' }
+    'collision',            // { node, position, nearbyNodes }（position は置けなかった位置）
+    'pattern:detected',     // { pattern }
+    'reflection',           // { reflection }（OrganicLayout の10世代ごとの自己リフレクション）
+    'params:adapted',       // { changes: { パラメータ名: [変更前, 変更後] } }
+    'insight',              // { insight }（MetaCognitiveOrchestrator の新しい洞察）
+    'revelation',           // { revelation }（MetaCognitiveOrchestrator の自己リフレクション）
+    'generation:end'        // { created, nodes, activeTips }
+];
+
+class GrowthEvents {
+    constructor() {
+        this.listeners = new Map();
+        this.listenerWarnings = new Set();
+    }
+
+    static getEventTypes() {
+        return GROWTH_EVENT_TYPES.slice();
+    }
+
+    static validateType(type) {
+        if (type !== '*' && !GROWTH_EVENT_TYPES.includes(type)) {
+            throw new Error(`Unknown growth event: ${type}`);
+        }
+    }
+
+    /**
+     * リスナーの登録（戻り値は登録を解除する関数）
+     */
+    on(type, listener) {
+        GrowthEvents.validateType(type);
+        if (typeof listener !== 'function') {
+            throw new Error('Event listener must be a function');
+        }
+
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, []);
+        }
+        this.listeners.get(type).push(listener);
+        return () => this.off(type, listener);
+    }
+
+    /**
+     * 1回だけ呼ばれるリスナーの登録
+     */
+    once(type, listener) {
+        const wrapper = (event) => {
+            this.off(type, wrapper);
+            listener(event);
+        };
+        wrapper.listener = listener;
+        return this.on(type, wrapper);
+    }
+
+    /**
+     * リスナーの解除（listener を省略するとその種類のリスナーをすべて、type も省略すると全部を解除する）
+     */
+    off(type, listener) {
+        if (type === undefined) {
+            this.listeners.clear();
+            return;
+        }
+
+        const listeners = this.listeners.get(type);
+        if (!listeners) return;
+
+        const remaining = listener ?
+                          listeners.filter(entry => entry !== listener && entry.listener !== listener) : [];
+        if (remaining.length > 0) {
+            this.listeners.set(type, remaining);
+        } else {
+            this.listeners.delete(type);
+        }
+    }
+
+    hasListeners(type) {
+        return this.listeners.has(type) || this.listeners.has('*');
+    }
+
+    /**
+     * 出来事の発行（リスナーがなければペイロードも作らずに null を返す）
+     */
+    emit(type, payload = {}) {
+        if (!this.hasListeners(type)) return null;
+
+        const event = { type, ...payload };
+        const listeners = [...(this.listeners.get(type) || []), ...(this.listeners.get('*') || [])];
+        listeners.forEach(listener => {
+            try {
+                listener(event);
+            } catch (error) {
+                const key = `${type}: ${error.message}`;
+                if (!this.listenerWarnings.has(key)) {
+                    this.listenerWarnings.add(key);
+                    console.warn('Event listener error:', type, error);
+                }
+            }
+        });
+
+        return event;
+    }
+}
+
+// エクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GrowthEvents;
+} else if (typeof window !== 'undefined') {
+    window.GrowthEvents = GrowthEvents;
+}
@@ -0,0 +1,332 @@
+/**
+ * GrowthHistory - 成長の世代ごとの差分の記録と時間移動
+ * OrganicLayout.grow() の1世代ごとに、追加されたノード・接続・記録、パラメータの自己適応、
+ * 消費された引力点、成長前線、乱数列の状態を差分として残し、任意の世代へ戻る・進むことができる。
+ * 過去の世代へ戻ってから成長させると、その先の履歴を捨てて別の成長へ分岐する
+ *
+ *   layout.history.stepBack();
+ *   layout.history.seek(40);
+ *   layout.grow();                          // 40世代目から分岐
+ *   const other = layout.history.fork(20);  // 20世代目から育てる別のレイアウト
+ */
+
+// 既定で保持する世代数（古い世代から捨てる）
+const GROWTH_HISTORY_LIMIT = 1000;
+
+// 世代ごとに増減を記録する配列（[持ち主, キー]）。ノード・接続以外は読解の記録
+const GROWTH_HISTORY_ARRAYS = [
+    ['layout', 'nodes'],
+    ['layout', 'connections'],
+    ['layout', 'collocationFields'],
+    ['layout', 'readingTrajectory'],
+    ['layout', 'emergentPatterns'],
+    ['layout', 'selfReflectionHistory'],
+    ['semanticField', 'readingHistory']
+];
+
+class GrowthHistory {
+    /**
+     * options.limit: 保持する世代数
+     */
+    constructor(layout, options = {}) {
+        this.layout = layout;
+        this.limit = options.limit || GROWTH_HISTORY_LIMIT;
+        this.clear();
+    }
+
+    /**
+     * 履歴の破棄（現在の状態が新しい起点になる）
+     */
+    clear() {
+        this.frames = [];
+        this.cursor = 0;       // 適用済みの差分の数（frames[cursor] 以降は戻った先の未来）
+        this.expected = null;  // 最後に記録・移動した時点のノード・接続（成長以外の変更の検出用）
+    }
+
+    // === 記録（OrganicLayout.grow() から呼ばれる） ===
+
+    /**
+     * 1世代の成長の開始（戻った先から成長させる場合はその先の履歴を捨てる）
+     */
+    begin() {
+        const layout = this.layout;
+
+        // 間引き・追記など成長以外でノードや接続が変わっていたら、それまでの履歴は戻せない
+        if (this.expected && !this.matchesExpected()) {
+            this.clear();
+        }
+        this.frames.length = this.cursor;
+
+        return {
+            generation: layout.generation,
+            arrays: GROWTH_HISTORY_ARRAYS.map(([owner, key]) => {
+                const array = this.getOwner(owner)[key];
+                return array ? { array, length: array.length } : { array: null, length: 0 };
+            }),
+            params: { ...layout.params },
+            attractors: layout.attractors.slice(),
+            environment: this.captureEnvironment(),
+            growthQueue: this.captureGrowthQueue()
+        };
+    }
+
+    /**
+     * 1世代の成長の終了（開始時点からの差分を記録する）
+     */
+    commit(mark) {
+        const layout = this.layout;
+
+        const params = {};
+        Object.keys(layout.params).forEach(key => {
+            if (layout.params[key] !== mark.params[key]) {
+                params[key] = [mark.params[key], layout.params[key]];
+            }
+        });
+
+        const consumed = [];
+        mark.attractors.forEach((attractor, index) => {
+            if (!layout.attractors.includes(attractor)) consumed.push([index, attractor]);
+        });
+
+        this.frames.push({
+            generation: mark.generation,
+            arrays: GROWTH_HISTORY_ARRAYS.map(([owner, key], i) =>
+                this.diffArray(mark.arrays[i], this.getOwner(owner)[key])),
+            params,
+            consumed,
+            environment: [mark.environment, this.captureEnvironment()],
+            growthQueue: [mark.growthQueue, this.captureGrowthQueue()]
+        });
+
+        if (this.frames.length > this.limit) {
+            this.frames.shift();
+        }
+        this.cursor = this.frames.length;
+        this.updateExpected();
+    }
+
+    /**
+     * 成長前後の配列の差分（先頭からの間引きと末尾への追加）
+     */
+    diffArray(before, after) {
+        if (!after) return { removed: [], added: [] };
+        if (after === before.array) {
+            return { removed: [], added: after.slice(before.length) };
+        }
+        if (!before.array) {
+            // 初めての記録で作られた配列（戻るときは作られる前に戻す）
+            return { removed: [], added: after.slice(), created: true };
+        }
+
+        // 上限を超えて slice(-n) で詰め直された記録は、元の配列の中で新しい先頭を探す
+        const start = after.length > 0 ? before.array.indexOf(after[0]) : -1;
+        const kept = start < 0 ? 0 : Math.max(0, before.length - start);
+        return {
+            removed: before.array.slice(0, before.length - kept),
+            added: after.slice(kept)
+        };
+    }
+
+    captureEnvironment() {
+        const environment = this.layout.environment;
+        return (environment && typeof environment.serialize === 'function') ? environment.serialize() : null;
+    }
+
+    /**
+     * 成長前線（行末禁則の延長回数は前線にあるノードでだけ変わる）
+     */
+    captureGrowthQueue() {
+        return this.layout.growthQueue.map(node => [node.id, node.kinsokuExtension]);
+    }
+
+    getOwner(owner) {
+        return owner === 'semanticField' ? this.layout.semanticField : this.layout;
+    }
+
+    updateExpected() {
+        const layout = this.layout;
+        this.expected = {
+            nodes: layout.nodes,
+            nodeCount: layout.nodes.length,
+            connections: layout.connections,
+            connectionCount: layout.connections.length,
+            semanticField: layout.semanticField
+        };
+    }
+
+    matchesExpected() {
+        const layout = this.layout;
+        const expected = this.expected;
+        return layout.nodes === expected.nodes &&
+               layout.nodes.length === expected.nodeCount &&
+               layout.connections === expected.connections &&
+               layout.connections.length === expected.connectionCount &&
+               layout.semanticField === expected.semanticField;
+    }
+
+    // === 時間移動 ===
+
+    /**
+     * 戻れる最も古い世代・進める最も新しい世代・現在の世代
+     */
+    getRange() {
+        const current = this.layout.generation;
+        if (this.frames.length === 0) {
+            return { first: current, last: current, current };
+        }
+        const lastFrame = this.frames[this.frames.length - 1];
+        return { first: this.frames[0].generation, last: lastFrame.generation + 1, current };
+    }
+
+    canStepBack() {
+        return this.cursor > 0 && this.isUsable();
+    }
+
+    canStepForward() {
+        return this.cursor < this.frames.length && this.isUsable();
+    }
+
+    isUsable() {
+        if (this.expected && !this.matchesExpected()) {
+            this.clear();
+        }
+        return this.frames.length > 0;
+    }
+
+    /**
+     * 記録済みの世代への移動（範囲外は端に丸める）。移動後の世代を返す
+     */
+    seek(generation) {
+        const layout = this.layout;
+        if (!this.isUsable()) return layout.generation;
+
+        const { first, last } = this.getRange();
+        const target = Math.max(first, Math.min(last, Math.round(generation))) - first;
+        if (target === this.cursor) return layout.generation;
+
+        const nodeMap = new Map(layout.nodes.map(node => [node.id, node]));
+        while (this.cursor > target) {
+            this.undoFrame(this.frames[--this.cursor], nodeMap);
+        }
+        while (this.cursor < target) {
+            this.redoFrame(this.frames[this.cursor++], nodeMap);
+        }
+
+        layout.rebuildSpatialIndex();
+        layout.rubyGlyphCache = null;
+        this.updateExpected();
+        return layout.generation;
+    }
+
+    stepBack() {
+        return this.seek(this.layout.generation - 1);
+    }
+
+    stepForward() {
+        return this.seek(this.layout.generation + 1);
+    }
+
+    undoFrame(frame, nodeMap) {
+        const layout = this.layout;
+
+        // 親の子リストから外してから、追加されたノードを取り除く
+        const addedNodes = frame.arrays[0].added;
+        for (let i = addedNodes.length - 1; i >= 0; i--) {
+            const node = addedNodes[i];
+            const parent = nodeMap.get(node.parent);
+            if (parent) {
+                const index = parent.children.lastIndexOf(node.id);
+                if (index >= 0) parent.children.splice(index, 1);
+            }
+            nodeMap.delete(node.id);
+        }
+
+        GROWTH_HISTORY_ARRAYS.forEach(([owner, key], i) => {
+            const { removed, added, created } = frame.arrays[i];
+            const target = this.getOwner(owner);
+            if (created) {
+                delete target[key];
+                return;
+            }
+            const array = target[key] || (target[key] = []);
+            array.length -= Math.min(added.length, array.length);
+            array.unshift(...removed);
+        });
+
+        Object.keys(frame.params).forEach(key => { layout.params[key] = frame.params[key][0]; });
+        frame.consumed.forEach(([index, attractor]) => {
+            if (!layout.attractors.includes(attractor)) {
+                layout.attractors.splice(Math.min(index, layout.attractors.length), 0, attractor);
+            }
+        });
+
+        this.restoreGrowthState(frame.generation, frame.environment[0], frame.growthQueue[0], nodeMap);
+    }
+
+    redoFrame(frame, nodeMap) {
+        const layout = this.layout;
+
+        GROWTH_HISTORY_ARRAYS.forEach(([owner, key], i) => {
+            const { removed, added } = frame.arrays[i];
+            const target = this.getOwner(owner);
+            const array = target[key] || (target[key] = []);
+            array.splice(0, removed.length);
+            added.forEach(item => array.push(item));
+        });
+
+        frame.arrays[0].added.forEach(node => {
+            nodeMap.set(node.id, node);
+            const parent = nodeMap.get(node.parent);
+            if (parent) parent.children.push(node.id);
+        });
+
+        Object.keys(frame.params).forEach(key => { layout.params[key] = frame.params[key][1]; });
+        const consumed = new Set(frame.consumed.map(([, attractor]) => attractor));
+        if (consumed.size > 0) {
+            layout.attractors = layout.attractors.filter(attractor => !consumed.has(attractor));
+        }
+
+        this.restoreGrowthState(frame.generation + 1, frame.environment[1], frame.growthQueue[1], nodeMap);
+    }
+
+    restoreGrowthState(generation, environment, growthQueue, nodeMap) {
+        const layout = this.layout;
+        layout.generation = generation;
+
+        if (environment && typeof layout.environment.restore === 'function') {
+            layout.environment.restore(environment);
+        }
+
+        layout.growthQueue = growthQueue.map(([id, kinsokuExtension]) => {
+            const node = nodeMap.get(id);
+            if (!node) return null;
+            if (kinsokuExtension === undefined) {
+                delete node.kinsokuExtension;
+            } else {
+                node.kinsokuExtension = kinsokuExtension;
+            }
+            return node;
+        }).filter(Boolean);
+    }
+
+    /**
+     * 指定した世代から育てる別のレイアウト（このレイアウトの履歴と現在の世代は変えない）
+     */
+    fork(generation = this.layout.generation) {
+        const layout = this.layout;
+        const current = layout.generation;
+
+        this.seek(generation);
+        const forked = OrganicLayout.fromJSON(layout.serialize(), { embeddingProvider: layout.embeddingProvider });
+        this.seek(current);
+
+        return forked;
+    }
+}
+
+// エクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GrowthHistory;
+} else if (typeof window !== 'undefined') {
+    window.GrowthHistory = GrowthHistory;
+}
@@ -0,0 +1,160 @@
+/**
+ * GrowthStrategy - 成長規則の差し替え口
+ * OrganicLayout.grow() は各枝先について、終端判定 → 方向 → 曲率 → エネルギー減衰 →
+ * 交差判定 → 分岐（または行き止まりの処理）の順にフックを呼ぶ。
+ * 基底クラス自体が従来の語義的成長（既定の戦略 'semantic'）で、
+ * 別の成長モデルはこれを継承して必要なフックだけを上書きし、名前で登録する
+ *
+ *   class MeanderStrategy extends GrowthStrategy { getCurvature(layout, node) { ... } }
+ *   GrowthStrategy.register('meander', MeanderStrategy);
+ *   new OrganicLayout(text, w, h, { growthStrategy: 'meander', growthStrategyOptions: { ... } });
+ */
+
+// 名前 → 戦略クラス
+const GROWTH_STRATEGIES = new Map();
+
+class GrowthStrategy {
+    constructor(options = {}) {
+        this.name = 'semantic';
+        this.options = { ...options };
+    }
+
+    /**
+     * 戦略クラスの登録
+     */
+    static register(name, StrategyClass) {
+        if (typeof name !== 'string' || name.length === 0) {
+            throw new Error('Growth strategy name must be a non-empty string');
+        }
+        if (typeof StrategyClass !== 'function') {
+            throw new Error(`Growth strategy must be a class: ${name}`);
+        }
+        GROWTH_STRATEGIES.set(name, StrategyClass);
+    }
+
+    static getRegisteredNames() {
+        return Array.from(GROWTH_STRATEGIES.keys());
+    }
+
+    /**
+     * 設定からの戦略の解決
+     * spec: 登録名 | 戦略インスタンス | 保存形式の { name, options }（省略時は既定の 'semantic'）
+     */
+    static create(spec = 'semantic', options = {}) {
+        if (spec instanceof GrowthStrategy) return spec;
+
+        let name = spec;
+        if (spec && typeof spec === 'object') {
+            name = spec.name;
+            options = { ...spec.options, ...options };
+        }
+
+        const StrategyClass = GROWTH_STRATEGIES.get(name || 'semantic');
+        if (!StrategyClass) {
+            throw new Error(`Unknown growth strategy: ${name}`);
+        }
+
+        const strategy = new StrategyClass(options);
+        strategy.name = name || 'semantic';
+        return strategy;
+    }
+
+    /**
+     * 枝をこの世代で終えるか（テキスト末尾、またはエネルギー切れ。禁則に触れる位置では終えない）
+     */
+    shouldTerminate(layout, node) {
+        if (layout.isAtTextEnd(node)) return true;
+        return node.energy <= 0 && !layout.shouldExtendForKinsoku(node);
+    }
+
+    /**
+     * 成長方向（語義場 → 身体化された読解 → 視覚-語義干渉 → 組方向）
+     */
+    getDirection(layout, node, nearbyNodes) {
+        const growthDir = layout.calculateSemanticGrowthDirection(node, nearbyNodes);
+        const embodiedDirection = layout.semanticField.simulateReadingBody(node, layout.nodes);
+        const interferencePattern = layout.applyInterferencePattern(growthDir, embodiedDirection, node);
+        return layout.applyWritingFlow(interferencePattern);
+    }
+
+    /**
+     * 曲率（エネルギー減少と語義的要因で増える）
+     */
+    getCurvature(layout, node, nearbyNodes) {
+        return layout.calculateSemanticCurvature(node, nearbyNodes);
+    }
+
+    /**
+     * 方向への曲率の適用
+     */
+    applyCurvature(layout, direction, curvature, node) {
+        return layout.applyCurvature(direction, curvature);
+    }
+
+    /**
+     * 1文字進むごとのエネルギー減衰量
+     */
+    getEnergyDecay(layout, node, nearbyNodes) {
+        return layout.calculateEnergyDecay(node, nearbyNodes);
+    }
+
+    /**
+     * 新しいノードを置けないか（物理的・語義的交差、既存の枝との交差）
+     */
+    isBlocked(layout, newNode, nearbyNodes) {
+        return layout.checkSemanticIntersection(newNode, nearbyNodes);
+    }
+
+    /**
+     * 新しいノードを配置した直後（戦略固有の状態をノードに持たせる場合に使う）
+     */
+    onNodeCreated(layout, newNode, parentNode) {
+    }
+
+    /**
+     * 成長できた枝先から分岐するか
+     */
+    shouldBranch(layout, node, nearbyNodes) {
+        const branchProbability = layout.calculateSemanticBranchProbability(node, nearbyNodes);
+        return layout.environment.random() < branchProbability && node.energy > 50;
+    }
+
+    /**
+     * 分岐の作成（配置したノード、複数なら配列、置けなければ null）
+     */
+    createBranch(layout, node, nearbyNodes) {
+        return layout.createSemanticBranch(node, nearbyNodes);
+    }
+
+    /**
+     * 行き止まった枝先の処理（次世代の成長前線に加えるノード、なければ null）
+     */
+    onBlocked(layout, node, nearbyNodes) {
+        const avoidanceNode = layout.createSemanticAvoidanceBranch(node, nearbyNodes);
+        if (avoidanceNode) return avoidanceNode;
+
+        if (layout.shouldExtendForKinsoku(node)) {
+            // 禁則に触れる位置で行き止まった枝先は次世代に再挑戦させる
+            node.kinsokuExtension = (node.kinsokuExtension || 0) + 1;
+            return node;
+        }
+
+        return null;
+    }
+
+    /**
+     * 保存形式（LayoutSerializer が設定とともに書き出す）
+     */
+    toJSON() {
+        return { name: this.name, options: this.options };
+    }
+}
+
+GrowthStrategy.register('semantic', GrowthStrategy);
+
+// エクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GrowthStrategy;
+} else if (typeof window !== 'undefined') {
+    window.GrowthStrategy = GrowthStrategy;
+}
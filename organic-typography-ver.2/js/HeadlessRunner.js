@@ -0,0 +1,165 @@
+/**
+ * HeadlessRunner - ブラウザなしでの成長シミュレーション
+ * OrganicLayout または MetaCognitiveOrchestrator を停止条件まで成長させ、
+ * レイアウトJSON・SVG・統合レポートを取り出す（Node.jsのバッチ生成用）
+ */
+class HeadlessRunner {
+    /**
+     * config: OrganicLayout の設定に加え
+     *   engine: 'orchestrator'（既定、利用できなければ 'layout'） | 'layout'
+     *   width, height: キャンバスの大きさ（省略時はテキスト長から算出）
+     *   layout: 復元済みの OrganicLayout（指定時は text を無視し、その続きから成長させる）
+     */
+    constructor(text, config = {}) {
+        const { engine = 'orchestrator', width, height, layout, ...layoutConfig } = config;
+
+        this.updateErrors = [];
+        this.started = false;
+
+        if (layout) {
+            this.engine = 'layout';
+            this.orchestrator = null;
+            this.layout = layout;
+            this.canvasWidth = layout.canvasWidth;
+            this.canvasHeight = layout.canvasHeight;
+            return;
+        }
+
+        // 青空文庫形式は記法の有無で自動判定（textFormat 指定時はそれに従う）
+        if (!layoutConfig.textFormat && typeof AozoraParser !== 'undefined' && AozoraParser.hasMarkup(text)) {
+            layoutConfig.textFormat = 'aozora';
+        }
+
+        const canvasSize = Math.max(5000, Math.sqrt(text.length) * 100);
+        this.canvasWidth = width || canvasSize;
+        this.canvasHeight = height || canvasSize;
+
+        if (engine === 'orchestrator' && typeof MetaCognitiveOrchestrator !== 'undefined') {
+            this.engine = 'orchestrator';
+            this.orchestrator = new MetaCognitiveOrchestrator(text, this.canvasWidth, this.canvasHeight, layoutConfig);
+            this.layout = this.orchestrator.organicLayout;
+        } else {
+            this.engine = 'layout';
+            this.orchestrator = null;
+            this.layout = new OrganicLayout(text, this.canvasWidth, this.canvasHeight, layoutConfig);
+            this.layout.initialize();
+        }
+    }
+
+    /**
+     * 1世代の成長
+     * オーケストレーターの更新が途中で失敗しても、成長自体は先に済んでいるので続行する
+     */
+    step() {
+        if (!this.started) {
+            (this.orchestrator || this.layout).start();
+            this.started = true;
+        }
+
+        if (!this.orchestrator) {
+            this.layout.grow();
+            return;
+        }
+
+        try {
+            this.orchestrator.update();
+        } catch (error) {
+            // 同じ失敗は回数だけ数える
+            const known = this.updateErrors.find(entry => entry.message === error.message);
+            if (known) {
+                known.count++;
+            } else {
+                this.updateErrors.push({ message: error.message, firstGeneration: this.layout.generation, count: 1 });
+            }
+        }
+    }
+
+    /**
+     * 停止条件まで成長させる
+     * options: generations（最大世代数）, maxNodes, stableGenerations（ノードが増えない世代数）,
+     *          timeLimit（ミリ秒）, onProgress(runner, generation)
+     * 返り値: { generations, nodes, connections, reason, elapsed }
+     */
+    run(options = {}) {
+        const {
+            generations = 500,
+            maxNodes = Infinity,
+            stableGenerations = 20,
+            timeLimit = Infinity,
+            onProgress = null
+        } = options;
+
+        const startTime = Date.now();
+        let stableCount = 0;
+        let reason = 'generations';
+        let generation = 0;
+
+        while (generation < generations) {
+            const nodeCount = this.layout.nodes.length;
+            this.step();
+            generation++;
+
+            if (onProgress) onProgress(this, generation);
+
+            stableCount = this.layout.nodes.length === nodeCount ? stableCount + 1 : 0;
+
+            if (this.layout.growthQueue.length === 0) {
+                reason = 'exhausted';
+                break;
+            }
+            if (this.layout.nodes.length >= maxNodes) {
+                reason = 'max-nodes';
+                break;
+            }
+            if (stableCount >= stableGenerations) {
+                reason = 'stable';
+                break;
+            }
+            if (Date.now() - startTime >= timeLimit) {
+                reason = 'time-limit';
+                break;
+            }
+        }
+
+        return {
+            generations: generation,
+            nodes: this.layout.nodes.length,
+            connections: this.layout.connections.length,
+            reason,
+            elapsed: Date.now() - startTime
+        };
+    }
+
+    /**
+     * レイアウトのJSON表現（OrganicLayout.fromJSON で読み戻して成長を続けられる）
+     */
+    toJSON() {
+        return this.layout.serialize();
+    }
+
+    /**
+     * 統合レポート（オーケストレーター使用時）または成長レポート
+     */
+    getReport() {
+        const report = this.orchestrator ?
+                       this.orchestrator.getIntegratedSystemReport() :
+                       this.layout.getSystemReport();
+
+        return {
+            engine: this.engine,
+            ...report,
+            updateErrors: this.updateErrors
+        };
+    }
+
+    exportSVG(options = {}) {
+        return new SVGExporter(options).export(this.layout);
+    }
+}
+
+// エクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HeadlessRunner;
+} else if (typeof window !== 'undefined') {
+    window.HeadlessRunner = HeadlessRunner;
+}
@@ -0,0 +1,368 @@
+/**
+ * JapaneseTokenizer - 辞書ベースの日本語形態素解析器
+ * 同梱のコンパクト辞書に対するラティス探索（最小コスト法）と
+ * 字種（漢字・ひらがな・カタカナ・英数字）による未知語処理を行う
+ */
+
+// 品詞ごとの同梱辞書（「表層:読み」、かな語は読みを省略）
+const JAPANESE_LEXICON = {
+    '名詞': [
+        '書籍:しょせき 概念:がいねん 初期:しょき 初期化:しょきか 日本:にほん 日本語:にほんご 組版:くみはん',
+        'システム エクリチュール パターン テキスト テスト データ モデル プロセス イメージ フォント',
+        '人間:にんげん 本:ほん 共進化:きょうしんか 進化:しんか 言語:げんご 言葉:ことば 身体:しんたい',
+        '時間:じかん 歴史:れきし 意味:いみ 枝:えだ 探索:たんさく 視覚:しかく 語義:ごぎ 干渉:かんしょう',
+        '自己:じこ 言及:げんきゅう 読解:どっかい 体験:たいけん 生成:せいせい 文字:もじ 文章:ぶんしょう',
+        '文:ぶん 単語:たんご 語:ご 記憶:きおく 他者:たしゃ 世界:せかい 空間:くうかん 関係:かんけい',
+        '構造:こうぞう 成長:せいちょう 螺旋:らせん 引力:いんりょく 場:ば 連語:れんご 感覚:かんかく',
+        '読書:どくしょ 経験:けいけん 思考:しこう 意識:いしき 認知:にんち 現象:げんしょう 未来:みらい',
+        '過去:かこ 現在:げんざい 声:こえ 形:かたち 線:せん 光:ひかり 森:もり 木:き 花:はな 葉:は',
+        '水:みず 川:かわ 海:うみ 空:そら 風:かぜ 夜:よる 朝:あさ 心:こころ 目:め 手:て 人:ひと',
+        '性能:せいのう 評価:ひょうか 統合:とうごう 表現:ひょうげん 情報:じょうほう 作品:さくひん',
+        '何:なに 私:わたし 誰:だれ これ それ あれ どれ ここ そこ あそこ どこ',
+        'こと もの ため ところ とき よう 事:こと 物:もの 時:とき'
+    ],
+    '動詞': [
+        '読む:よむ:五段 書く:かく:五段 育てる:そだてる:一段 育つ:そだつ:五段 折り畳む:おりたたむ:五段',
+        'やりなおす:やりなおす:五段 やり直す:やりなおす:五段 言う:いう:五段 いう:いう:五段',
+        '考える:かんがえる:一段 見る:みる:一段 見える:みえる:一段 生きる:いきる:一段 伸びる:のびる:一段',
+        '始める:はじめる:一段 始まる:はじまる:五段 分かれる:わかれる:一段 探す:さがす:五段',
+        '思う:おもう:五段 知る:しる:五段 使う:つかう:五段 持つ:もつ:五段 作る:つくる:五段',
+        '待つ:まつ:五段 行う:おこなう:五段 生まれる:うまれる:一段 残る:のこる:五段 織る:おる:五段',
+        'なる:なる:五段 ある:ある:五段 いる:いる:一段 できる:できる:一段 する:する:サ変 くる:くる:カ変'
+    ],
+    '形容詞': [
+        '新しい:あたらしい 古い:ふるい 長い:ながい 短い:みじかい 深い:ふかい 浅い:あさい 近い:ちかい',
+        '遠い:とおい 美しい:うつくしい 強い:つよい 弱い:よわい 多い:おおい 少ない:すくない'
+    ],
+    '助詞': [
+        'は が を に へ と で や の も か から まで より ながら ば て ても けど けれど し',
+        'ね よ わ という といった など だけ しか ほど くらい って'
+    ],
+    '助動詞': [
+        'ます まし ませ ましょ た だ だっ で です でし でしょ な ない なかっ なく なけれ ぬ ん',
+        'れる れ られる られ せる せ させる させ たい たく たかっ う よう らしい そう べき'
+    ],
+    '副詞': ['また まだ もう とても すでに 再び:ふたたび いつも ただ ゆっくり 少し:すこし'],
+    '接続詞': ['つまり しかし そして だから および ただし または'],
+    '連体詞': ['この その あの どの'],
+    '接頭辞': ['共:きょう 再:さい 非:ひ 未:み 不:ふ 超:ちょう 各:かく 全:ぜん'],
+    '接尾辞': ['的:てき 化:か 性:せい 者:しゃ 達:たち たち さん 的な:てきな']
+};
+
+// 五段活用の語尾展開（未然・連用・終止・仮定・意志・音便）
+const GODAN_ENDINGS = {
+    'う': ['わ', 'い', 'う', 'え', 'お', 'っ'],
+    'く': ['か', 'き', 'く', 'け', 'こ', 'い'],
+    'ぐ': ['が', 'ぎ', 'ぐ', 'げ', 'ご', 'い'],
+    'す': ['さ', 'し', 'す', 'せ', 'そ'],
+    'つ': ['た', 'ち', 'つ', 'て', 'と', 'っ'],
+    'ぬ': ['な', 'に', 'ぬ', 'ね', 'の', 'ん'],
+    'ぶ': ['ば', 'び', 'ぶ', 'べ', 'ぼ', 'ん'],
+    'む': ['ま', 'み', 'む', 'め', 'も', 'ん'],
+    'る': ['ら', 'り', 'る', 'れ', 'ろ', 'っ']
+};
+
+class JapaneseTokenizer {
+    constructor(options = {}) {
+        this.options = {
+            maxUnknownLength: 16,   // 未知語連続の最大長
+            lengthBonus: 4,         // 長い一致を優先するためのコスト減
+            unknownRunCost: 40,     // 未知語（字種連続）の基本コスト
+            unknownCharCost: 50,    // 一文字未知語のコスト
+            ...options
+        };
+
+        // 品詞ごとの基本コスト
+        this.posCosts = {
+            '名詞': 20, '動詞': 20, '形容詞': 20, '副詞': 25, '接続詞': 25,
+            '連体詞': 25, '接頭辞': 30, '接尾辞': 25, '助詞': 10, '助動詞': 10,
+            '記号': 5, '空白': 1
+        };
+
+        // 先頭文字 → 辞書エントリ配列
+        this.dictionary = new Map();
+        this.entryCount = 0;
+
+        this.loadLexicon(JAPANESE_LEXICON);
+    }
+
+    /**
+     * 共有インスタンスの取得（SemanticField・TemporalContextで共用）
+     */
+    static getSharedInstance() {
+        if (!JapaneseTokenizer.sharedInstance) {
+            JapaneseTokenizer.sharedInstance = new JapaneseTokenizer();
+        }
+        return JapaneseTokenizer.sharedInstance;
+    }
+
+    /**
+     * 同梱辞書の展開と登録
+     */
+    loadLexicon(lexicon) {
+        Object.entries(lexicon).forEach(([pos, lines]) => {
+            lines.join(' ').split(/\s+/).filter(item => item.length > 0).forEach(item => {
+                const [surface, reading = surface, conjugation] = item.split(':');
+
+                if (pos === '動詞') {
+                    this.expandVerb(surface, reading, conjugation).forEach(entry => this.addEntry(entry));
+                } else if (pos === '形容詞') {
+                    this.expandAdjective(surface, reading).forEach(entry => this.addEntry(entry));
+                } else {
+                    this.addEntry({ surface, reading, pos, basic: surface });
+                }
+            });
+        });
+    }
+
+    /**
+     * 辞書エントリの追加（利用者辞書の拡張にも使用）
+     */
+    addEntry(entry) {
+        if (!entry || typeof entry.surface !== 'string' || entry.surface.length === 0) {
+            console.warn('Invalid tokenizer entry:', entry);
+            return false;
+        }
+
+        const normalized = {
+            surface: entry.surface,
+            reading: entry.reading || entry.surface,
+            pos: entry.pos || '名詞',
+            basic: entry.basic || entry.surface
+        };
+
+        const head = this.getCharAt(normalized.surface, 0);
+        if (!this.dictionary.has(head)) {
+            this.dictionary.set(head, []);
+        }
+
+        const bucket = this.dictionary.get(head);
+        const duplicate = bucket.some(existing =>
+            existing.surface === normalized.surface && existing.pos === normalized.pos
+        );
+        if (duplicate) return false;
+
+        bucket.push(normalized);
+        this.entryCount++;
+        return true;
+    }
+
+    /**
+     * 動詞の活用形展開
+     */
+    expandVerb(base, reading, conjugation) {
+        const forms = [];
+        const push = (surface, formReading) => forms.push({ surface, reading: formReading, pos: '動詞', basic: base });
+
+        if (conjugation === '一段') {
+            const stem = base.slice(0, -1);
+            const readingStem = reading.slice(0, -1);
+            ['', 'る', 'れ', 'ろ', 'よ'].forEach(ending => push(stem + ending, readingStem + ending));
+        } else if (conjugation === 'サ変') {
+            ['し', 'さ', 'せ', 'する', 'すれ', 'しろ', 'せよ'].forEach(form => push(form, form));
+        } else if (conjugation === 'カ変') {
+            ['き', 'こ', 'くる', 'くれ', 'こい'].forEach(form => push(form, form));
+        } else {
+            const stem = base.slice(0, -1);
+            const readingStem = reading.slice(0, -1);
+            const endings = GODAN_ENDINGS[base.slice(-1)] || [base.slice(-1)];
+            endings.forEach(ending => push(stem + ending, readingStem + ending));
+        }
+
+        return forms;
+    }
+
+    /**
+     * 形容詞の活用形展開
+     */
+    expandAdjective(base, reading) {
+        const stem = base.slice(0, -1);
+        const readingStem = reading.slice(0, -1);
+
+        return ['い', 'かっ', 'く', 'けれ', ''].map(ending => ({
+            surface: stem + ending,
+            reading: readingStem + ending,
+            pos: '形容詞',
+            basic: base
+        })).filter(form => form.surface.length > 0);
+    }
+
+    /**
+     * テキストを形態素に分割
+     * 返り値: [{ surface, reading, pos, basic, start, end, unknown }]
+     * start・end は文字列の添字（UTF-16のコード単位）。サロゲートペアの文字（𠮷など）は分けずに1文字として扱う
+     */
+    tokenize(text) {
+        if (typeof text !== 'string' || text.length === 0) {
+            return [];
+        }
+
+        const length = text.length;
+        const best = new Array(length + 1).fill(null);
+        best[0] = { cost: 0, token: null, prev: null };
+
+        for (let i = 0; i < length; i++) {
+            if (!best[i]) continue;
+
+            const prevPos = best[i].token ? best[i].token.pos : null;
+
+            for (const candidate of this.getCandidates(text, i)) {
+                const end = i + candidate.surface.length;
+                const cost = best[i].cost + candidate.cost + this.getConnectionCost(prevPos, candidate.pos);
+
+                if (!best[end] || cost < best[end].cost) {
+                    best[end] = {
+                        cost: cost,
+                        token: { ...candidate, start: i, end: end },
+                        prev: i
+                    };
+                }
+            }
+        }
+
+        // 後ろ向きに最小コスト経路を復元
+        const tokens = [];
+        let position = length;
+        while (position > 0 && best[position]) {
+            const { token, prev } = best[position];
+            delete token.cost;
+            tokens.unshift(token);
+            position = prev;
+        }
+
+        return tokens;
+    }
+
+    /**
+     * 表層形のみの語列を取得（記号・空白を除外）
+     */
+    getSurfaces(text, includeSymbols = false) {
+        return this.tokenize(text)
+            .filter(token => includeSymbols || (token.pos !== '記号' && token.pos !== '空白'))
+            .map(token => token.surface);
+    }
+
+    /**
+     * 位置iから始まる候補語の列挙（辞書語＋未知語）
+     */
+    getCandidates(text, i) {
+        const candidates = [];
+        const char = this.getCharAt(text, i);
+        const bucket = this.dictionary.get(char) || [];
+
+        for (const entry of bucket) {
+            if (text.startsWith(entry.surface, i)) {
+                candidates.push({
+                    ...entry,
+                    unknown: false,
+                    cost: Math.max(1, this.posCosts[entry.pos] - this.options.lengthBonus * (entry.surface.length - 1))
+                });
+            }
+        }
+
+        const charClass = this.getCharClass(char);
+
+        if (charClass === 'space' || charClass === 'symbol') {
+            const run = charClass === 'space' ? this.getClassRun(text, i, charClass) : char;
+            candidates.push(this.createUnknownToken(run, charClass, this.posCosts[charClass === 'space' ? '空白' : '記号']));
+            return candidates;
+        }
+
+        // 字種連続による未知語（ひらがなは助詞を飲み込まないよう一文字単位）
+        if (charClass !== 'hiragana') {
+            const run = this.getClassRun(text, i, charClass);
+            if (run.length > char.length) {
+                candidates.push(this.createUnknownToken(
+                    run, charClass, this.options.unknownRunCost + Array.from(run).length * 5
+                ));
+            }
+        }
+
+        candidates.push(this.createUnknownToken(char, charClass, this.options.unknownCharCost));
+
+        return candidates;
+    }
+
+    createUnknownToken(surface, charClass, cost) {
+        const posByClass = {
+            space: '空白',
+            symbol: '記号',
+            latin: '名詞',
+            digit: '名詞',
+            katakana: '名詞',
+            kanji: '名詞',
+            hiragana: '名詞'
+        };
+
+        return {
+            surface: surface,
+            reading: (charClass === 'katakana' || charClass === 'hiragana') ? this.toHiragana(surface) : null,
+            pos: posByClass[charClass] || '名詞',
+            basic: surface,
+            unknown: true,
+            cost: cost
+        };
+    }
+
+    getClassRun(text, start, charClass) {
+        let end = start + this.getCharAt(text, start).length;
+        let count = 1;
+        while (end < text.length &&
+               count < this.options.maxUnknownLength &&
+               this.getCharClass(this.getCharAt(text, end)) === charClass) {
+            end += this.getCharAt(text, end).length;
+            count++;
+        }
+        return text.slice(start, end);
+    }
+
+    /**
+     * 位置iの1文字（サロゲートペアは2コード単位をまとめる）
+     */
+    getCharAt(text, i) {
+        return String.fromCodePoint(text.codePointAt(i));
+    }
+
+    /**
+     * 品詞連接コスト（簡易版：直前の最良経路の品詞のみ参照）
+     */
+    getConnectionCost(prevPos, pos) {
+        if (!prevPos) return 0;
+        if (prevPos === '助詞' && pos === '助詞') return 5;
+        if (prevPos === '接頭辞' && pos !== '名詞') return 15;
+        if (pos === '接尾辞' && prevPos !== '名詞') return 15;
+        if (pos === '助動詞' && (prevPos === '助詞' || prevPos === '記号')) return 10;
+        return 0;
+    }
+
+    /**
+     * 字種の判定
+     */
+    getCharClass(char) {
+        const code = char.codePointAt(0);
+
+        if (/\s/.test(char)) return 'space';
+        if ((code >= 0x3041 && code <= 0x309F)) return 'hiragana';
+        if ((code >= 0x30A1 && code <= 0x30FA) || code === 0x30FC || code === 0x30FB) return 'katakana';
+        if ((code >= 0x4E00 && code <= 0x9FFF) || (code >= 0x3400 && code <= 0x4DBF) ||
+            (code >= 0xF900 && code <= 0xFAFF) || (code >= 0x20000 && code <= 0x3134F) ||
+            char === '々' || char === '〆' || char === 'ヶ') return 'kanji';
+        if (/[A-Za-zＡ-Ｚａ-ｚ]/.test(char)) return 'latin';
+        if (/[0-9０-９]/.test(char)) return 'digit';
+        return 'symbol';
+    }
+
+    /**
+     * カタカナをひらがなに変換（長音記号はそのまま）
+     */
+    toHiragana(str) {
+        return str.replace(/[ァ-ヶ]/g, char => String.fromCharCode(char.charCodeAt(0) - 0x60));
+    }
+}
+
+// エクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = JapaneseTokenizer;
+} else if (typeof window !== 'undefined') {
+    window.JapaneseTokenizer = JapaneseTokenizer;
+}
@@ -0,0 +1,99 @@
+/**
+ * KinsokuRules - JIS X 4051に基づく禁則処理
+ * 枝の分岐（行頭）と成長停止（行末）が禁則に触れないかを判定する
+ */
+
+// 行頭禁則：終わり括弧類・句読点・区切り約物（弱い禁則から適用）
+const KINSOKU_LINE_START_LOOSE = '」』）］｝〉》】〕〙〗｠’”)]}»、。，．,.？！?!‼⁇⁈⁉';
+
+// 行頭禁則：中点類・ハイフン類・繰返し記号（標準以上で適用）
+const KINSOKU_LINE_START_STANDARD = '・：；:;‐゠–〜～ヽヾゝゞ々〻';
+
+// 行頭禁則：小書き仮名・長音記号（厳格のみ）
+const KINSOKU_LINE_START_STRICT = 'ぁぃぅぇぉっゃゅょゎゕゖァィゥェォッャュョヮヵヶㇰㇱㇲㇳㇴㇵㇶㇷㇸㇹㇺㇻㇼㇽㇾㇿー';
+
+// 行末禁則：始め括弧類
+const KINSOKU_LINE_END = '「『（［｛〈《【〔〘〖｟‘“([{«';
+
+// 分離禁止：同じ文字の連続（二倍ダッシュ・二倍リーダ）
+const KINSOKU_INSEPARABLE = '―…‥';
+
+class KinsokuRules {
+    /**
+     * strictness: 'strict'（厳格） | 'standard'（標準） | 'loose'（弱い禁則） | 'none'
+     */
+    constructor(strictness = 'strict') {
+        this.strictness = strictness;
+
+        const levels = ['none', 'loose', 'standard', 'strict'];
+        const level = levels.indexOf(strictness);
+        if (level === -1) {
+            throw new Error(`Unknown kinsoku strictness: ${strictness}`);
+        }
+
+        let lineStart = '';
+        if (level >= 1) lineStart += KINSOKU_LINE_START_LOOSE;
+        if (level >= 2) lineStart += KINSOKU_LINE_START_STANDARD;
+        if (level >= 3) lineStart += KINSOKU_LINE_START_STRICT;
+
+        this.lineStartForbidden = new Set(Array.from(lineStart));
+        this.lineEndForbidden = new Set(level >= 1 ? Array.from(KINSOKU_LINE_END) : []);
+        this.inseparable = new Set(level >= 1 ? Array.from(KINSOKU_INSEPARABLE) : []);
+        this.enabled = level >= 1;
+    }
+
+    isLineStartForbidden(char) {
+        return this.lineStartForbidden.has(char);
+    }
+
+    isLineEndForbidden(char) {
+        return this.lineEndForbidden.has(char);
+    }
+
+    /**
+     * 分離禁止（二倍ダッシュ・リーダ、連数字、欧文の語）
+     */
+    isInseparable(prev, next) {
+        if (!this.enabled || !prev || !next) return false;
+
+        if (prev === next && this.inseparable.has(prev)) return true;
+
+        const alphanumeric = /^[0-9A-Za-z０-９Ａ-Ｚａ-ｚ]$/;
+        return alphanumeric.test(prev) && alphanumeric.test(next);
+    }
+
+    /**
+     * text[index - 1] と text[index] の間で行を分けられるか
+     */
+    canBreakBefore(text, index) {
+        if (!this.enabled || index <= 0 || index >= text.length) return true;
+
+        const prev = text[index - 1];
+        const next = text[index];
+
+        return !this.isLineEndForbidden(prev) &&
+               !this.isLineStartForbidden(next) &&
+               !this.isInseparable(prev, next);
+    }
+
+    /**
+     * text[index] から分岐（新しい行）を始められるか
+     */
+    canStartAt(text, index) {
+        return this.canBreakBefore(text, index);
+    }
+
+    /**
+     * text[index] で枝（行）を終えられるか
+     */
+    canEndAt(text, index) {
+        return this.canBreakBefore(text, index + 1);
+    }
+}
+
+// エクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = KinsokuRules;
+} else if (typeof window !== 'undefined') {
+    window.KinsokuRules = KinsokuRules;
+}
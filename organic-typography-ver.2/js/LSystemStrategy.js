@@ -0,0 +1,461 @@
+/**
+ * LSystemStrategy - リンデンマイヤー文法による成長（成長戦略 'lsystem'）
+ * 公理を書き換え規則で展開した記号列を、各枝先が文字を消費しながら亀の動きとして読む
+ *
+ *   F, G   1文字進む（ノードを1つ置く）
+ *   +, -   angle 度だけ左・右へ向きを変える
+ *   |      反転
+ *   [ ]    分岐（括弧の中を別の枝として読み、元の枝は括弧の後から続ける）
+ *   その他 書き換え用の記号（読むときは何もしない）
+ *
+ * 規則は記号ごとに後続の記号列、または規則の配列で書く
+ *   rules: {
+ *       F: 'F[+F]F',                                         // 決定的
+ *       X: [{ successor: 'F[+X]-X', probability: 0.6 },
+ *           { successor: 'F[-X]+X', probability: 0.4 }],    // 確率的（展開時に選ぶ）
+ *       B: [{ when: 'collocation > 0.5', successor: '[+F][-F]F' },
+ *           { when: 'punctuation', successor: '++F' },
+ *           { successor: 'F' }]                              // 語義的（読むときに判定）
+ *   }
+ * when 付きの規則をもつ記号は展開せず、枝先がその記号を読んだ時点で次の文字について
+ * 上から順に条件を評価し、最初に成り立った規則の後続を読む
+ */
+
+// 組み込みの語義的述語（node の次のノードになる text[nextIndex] からの文字・語について評価）
+const LSYSTEM_PREDICATES = new Map();
+
+// 句読点・約物
+const LSYSTEM_PUNCTUATION = '、。，．,.！？!?‼⁇⁈⁉・：；:;「」『』（）()［］[]〈〉《》【】〔〕…‥―';
+
+// 読むたびに無限に展開されるのを防ぐ上限
+const LSYSTEM_MAX_SYMBOLS = 100000;
+const LSYSTEM_MAX_STEPS = 10000;
+
+// 定番の形（options.preset で指定し、個別の設定で上書きできる）
+const LSYSTEM_PRESETS = {
+    fern: { axiom: 'X', rules: { X: 'F+[[X]-X]-F[-FX]+X', F: 'FF' }, angle: 25, iterations: 4 },
+    bush: { axiom: 'F', rules: { F: 'FF+[+F-F-F]-[-F+F+F]' }, angle: 22.5, iterations: 3 },
+    weed: {
+        axiom: 'F',
+        rules: {
+            F: [
+                { successor: 'F[+F]F[-F]F', probability: 1 / 3 },
+                { successor: 'F[+F]F', probability: 1 / 3 },
+                { successor: 'F[-F]F', probability: 1 / 3 }
+            ]
+        },
+        angle: 25.7,
+        iterations: 4
+    }
+};
+
+class LSystemStrategy extends GrowthStrategy {
+    /**
+     * options:
+     *   preset: 'fern' | 'bush' | 'weed'
+     *   axiom, rules, iterations: 文法と展開回数
+     *   angle: 回転角（度）, angleJitter: 回転角の揺らぎ（度）
+     *   step: 1歩の長さ（px、省略時は文字間隔）
+     *   seed: 確率的規則の展開に使うシード（省略時はレイアウトのシード）
+     *   repeat: 幹が記号列を読み終えたら最初から読み直す（既定 true）
+     *   avoidCollisions: 既存のノード・枝と重なる枝を止める（既定 true）
+     *   maxDepth: 語義的規則の入れ子の上限
+     */
+    constructor(options = {}) {
+        super(options);
+        this.name = 'lsystem';
+
+        const preset = options.preset ? LSYSTEM_PRESETS[options.preset] : {};
+        if (!preset) {
+            throw new Error(`Unknown L-system preset: ${options.preset}`);
+        }
+
+        this.axiom = String(options.axiom || preset.axiom || 'F');
+        this.findBrackets(this.axiom);
+        this.iterations = Math.max(0, Math.floor(options.iterations !== undefined ? options.iterations : (preset.iterations || 0)));
+        this.angle = (options.angle !== undefined ? options.angle : (preset.angle || 25)) * Math.PI / 180;
+        this.angleJitter = (options.angleJitter || 0) * Math.PI / 180;
+        this.step = options.step || null;
+        this.seed = options.seed;
+        this.repeat = options.repeat !== false;
+        this.avoidCollisions = options.avoidCollisions !== false;
+        this.maxDepth = options.maxDepth || 16;
+
+        this.rules = this.compileRules(options.rules || preset.rules || {});
+        this.programs = null;    // [0] は展開済みの公理、以降は語義的規則の後続
+        this.brackets = null;    // 記号列ごとの '[' → 対応する ']' の位置
+        this.plans = new WeakMap();   // ノード → この世代の読み進め結果
+    }
+
+    /**
+     * 組み込み以外の語義的述語の登録
+     * predicate(layout, node, nextIndex) が数値（比較に使う）または真偽値を返す
+     */
+    static definePredicate(name, predicate) {
+        if (typeof predicate !== 'function') {
+            throw new Error(`L-system predicate must be a function: ${name}`);
+        }
+        LSYSTEM_PREDICATES.set(name, predicate);
+    }
+
+    static getPresetNames() {
+        return Object.keys(LSYSTEM_PRESETS);
+    }
+
+    // === 文法 ===
+
+    /**
+     * 規則の正規化（記号 → { list: 規則の配列, semantic: 読むときに判定するか }）
+     */
+    compileRules(rules) {
+        const compiled = new Map();
+
+        Object.keys(rules).forEach(symbol => {
+            if (symbol.length !== 1) {
+                throw new Error(`L-system rule symbol must be a single character: ${symbol}`);
+            }
+
+            const list = (Array.isArray(rules[symbol]) ? rules[symbol] : [rules[symbol]]).map(rule => {
+                const entry = typeof rule === 'string' ? { successor: rule } : { ...rule };
+                if (typeof entry.successor !== 'string') {
+                    throw new Error(`L-system rule for ${symbol} needs a successor string`);
+                }
+                this.findBrackets(entry.successor);
+                entry.condition = (entry.when !== undefined && entry.when !== null) ? this.compileCondition(entry.when) : null;
+                return entry;
+            });
+
+            compiled.set(symbol, {
+                list,
+                semantic: list.some(entry => entry.condition)
+            });
+        });
+
+        return compiled;
+    }
+
+    /**
+     * 条件式の解析（'punctuation' | '!punctuation' | 'collocation > 0.5' | 関数）
+     */
+    compileCondition(when) {
+        if (typeof when === 'function') return when;
+
+        const match = String(when).match(/^\s*(!?)\s*([A-Za-z_]\w*)\s*(?:(<=|>=|==|!=|<|>)\s*(-?\d+(?:\.\d+)?))?\s*$/);
+        if (!match) {
+            throw new Error(`Invalid L-system condition: ${when}`);
+        }
+
+        const [, negate, name, operator, operand] = match;
+        const threshold = Number(operand);
+        if (!LSYSTEM_PREDICATES.has(name)) {
+            throw new Error(`Unknown L-system predicate: ${name}`);
+        }
+
+        // 述語は評価のたびに引く（definePredicate() での差し替えを反映する）
+        return (layout, node, nextIndex) => {
+            const value = LSYSTEM_PREDICATES.get(name)(layout, node, nextIndex);
+            let result;
+            switch (operator) {
+                case '<': result = value < threshold; break;
+                case '<=': result = value <= threshold; break;
+                case '>': result = value > threshold; break;
+                case '>=': result = value >= threshold; break;
+                case '==': result = value === threshold; break;
+                case '!=': result = value !== threshold; break;
+                default: result = Boolean(value);
+            }
+            return negate ? !result : result;
+        };
+    }
+
+    /**
+     * '[' と ']' の対応（釣り合っていなければエラー）
+     */
+    findBrackets(program) {
+        const pairs = new Map();
+        const open = [];
+
+        for (let i = 0; i < program.length; i++) {
+            if (program[i] === '[') {
+                open.push(i);
+            } else if (program[i] === ']') {
+                if (open.length === 0) {
+                    throw new Error(`Unbalanced brackets in L-system string: ${program}`);
+                }
+                pairs.set(open.pop(), i);
+            }
+        }
+
+        if (open.length > 0) {
+            throw new Error(`Unbalanced brackets in L-system string: ${program}`);
+        }
+        return pairs;
+    }
+
+    /**
+     * 公理の展開（最初に読むときに一度だけ行う。確率的規則は専用の乱数列で選ぶ）
+     */
+    derive(layout) {
+        const seed = this.seed !== undefined ? this.seed : (layout.environment ? layout.environment.seed : null);
+        const random = new SimulationEnvironment({ seed });
+
+        let current = this.axiom;
+        for (let i = 0; i < this.iterations; i++) {
+            let next = '';
+            for (const symbol of current) {
+                const rule = this.rules.get(symbol);
+                next += (rule && !rule.semantic) ? this.chooseSuccessor(rule.list, random) : symbol;
+            }
+
+            if (next.length > LSYSTEM_MAX_SYMBOLS) {
+                console.warn(`L-system string exceeded ${LSYSTEM_MAX_SYMBOLS} symbols; stopped at iteration ${i}`);
+                break;
+            }
+            current = next;
+        }
+
+        this.programs = [current];
+        this.rules.forEach(rule => {
+            if (!rule.semantic) return;
+            rule.list.forEach(entry => {
+                entry.programId = this.programs.length;
+                this.programs.push(entry.successor);
+            });
+        });
+        this.brackets = this.programs.map(program => this.findBrackets(program));
+    }
+
+    chooseSuccessor(list, random) {
+        if (list.length === 1) return list[0].successor;
+
+        const total = list.reduce((sum, entry) => sum + (entry.probability !== undefined ? entry.probability : 1), 0);
+        let threshold = random.random() * total;
+        for (const entry of list) {
+            threshold -= entry.probability !== undefined ? entry.probability : 1;
+            if (threshold < 0) return entry.successor;
+        }
+        return list[list.length - 1].successor;
+    }
+
+    // === 解釈 ===
+
+    /**
+     * 枝先の読み進め状態（L-system を使わずに置かれたノードは幹の先頭から読む）
+     * stack: [記号列の番号, 次に読む位置, 読み終える位置] の入れ子
+     */
+    getState(node) {
+        if (node.lsystem) return node.lsystem;
+        return {
+            stack: [[0, 0, this.programs[0].length]],
+            heading: Math.atan2(node.velocity.dy, node.velocity.dx),
+            trunk: true
+        };
+    }
+
+    /**
+     * 次の F まで読み進める（向きの変更と分岐を集める）。読み終えたら null
+     */
+    advance(layout, node, state) {
+        const stack = state.stack.map(frame => frame.slice());
+        let heading = state.heading;
+        const branches = [];
+
+        for (let steps = 0; steps < LSYSTEM_MAX_STEPS; steps++) {
+            if (stack.length === 0) {
+                if (!state.trunk || !this.repeat) return null;
+                stack.push([0, 0, this.programs[0].length]);
+            }
+
+            const frame = stack[stack.length - 1];
+            if (frame[1] >= frame[2]) {
+                stack.pop();
+                continue;
+            }
+
+            const [programId, index] = frame;
+            const symbol = this.programs[programId][index];
+            frame[1]++;
+
+            if (symbol === 'F' || symbol === 'G') {
+                return { stack, heading, branches, trunk: state.trunk };
+            } else if (symbol === '+') {
+                heading -= this.angle + this.getJitter(layout);
+            } else if (symbol === '-') {
+                heading += this.angle + this.getJitter(layout);
+            } else if (symbol === '|') {
+                heading += Math.PI;
+            } else if (symbol === '[') {
+                // 括弧の中は別の枝として読み、この枝は対応する ']' の後へ進む
+                const close = this.brackets[programId].get(index);
+                branches.push({ stack: [[programId, index + 1, close]], heading, trunk: false });
+                frame[1] = close + 1;
+            } else {
+                const rule = this.rules.get(symbol);
+                if (rule && rule.semantic && stack.length < this.maxDepth) {
+                    const entry = this.chooseSemanticRule(layout, node, rule.list);
+                    if (entry) {
+                        stack.push([entry.programId, 0, entry.successor.length]);
+                    }
+                }
+            }
+        }
+
+        return null;
+    }
+
+    getJitter(layout) {
+        return this.angleJitter > 0 ? (layout.environment.random() - 0.5) * 2 * this.angleJitter : 0;
+    }
+
+    /**
+     * 語義的規則の選択（条件なしの規則は既定として扱う）
+     */
+    chooseSemanticRule(layout, node, list) {
+        const nextIndex = layout.getTextUnitEnd(node.textIndex);
+        for (const entry of list) {
+            if (entry.condition && !entry.condition(layout, node, nextIndex)) continue;
+            if (entry.probability !== undefined && layout.environment.random() >= entry.probability) continue;
+            return entry;
+        }
+        return null;
+    }
+
+    getPlan(layout, node) {
+        if (!this.programs) this.derive(layout);
+        if (!this.plans.has(node)) {
+            this.plans.set(node, this.advance(layout, node, this.getState(node)));
+        }
+        return this.plans.get(node);
+    }
+
+    getStepVector(layout, heading) {
+        const scale = this.step ? this.step / layout.params.characterSpacing : 1;
+        return { dx: Math.cos(heading) * scale, dy: Math.sin(heading) * scale };
+    }
+
+    // === 成長フック ===
+
+    shouldTerminate(layout, node) {
+        if (layout.isAtTextEnd(node)) return true;
+        this.plans.delete(node);
+        return this.getPlan(layout, node) === null;
+    }
+
+    getDirection(layout, node) {
+        return this.getStepVector(layout, this.getPlan(layout, node).heading);
+    }
+
+    getCurvature() {
+        return 0;
+    }
+
+    applyCurvature(layout, direction) {
+        return direction;
+    }
+
+    getEnergyDecay() {
+        return 0;
+    }
+
+    isBlocked(layout, newNode, nearbyNodes) {
+        return this.avoidCollisions ?
+               layout.checkIntersection(newNode, nearbyNodes) :
+               layout.isForbiddenPosition(newNode.position);
+    }
+
+    onNodeCreated(layout, newNode, parentNode) {
+        const plan = this.getPlan(layout, parentNode);
+        newNode.lsystem = { stack: plan.stack, heading: plan.heading, trunk: plan.trunk };
+    }
+
+    shouldBranch(layout, node) {
+        return this.getPlan(layout, node).branches.length > 0;
+    }
+
+    /**
+     * 括弧ごとに枝を伸ばす（分岐先の先頭文字が禁則に触れる場合は見送る）
+     */
+    createBranch(layout, node, nearbyNodes) {
+        const textIndex = layout.getTextUnitEnd(node.textIndex);
+        if (!layout.canForkAt(textIndex)) return null;
+
+        const created = [];
+        for (const branch of this.getPlan(layout, node).branches) {
+            const plan = this.advance(layout, node, branch);
+            if (!plan) continue;
+
+            const direction = this.getStepVector(layout, plan.heading);
+            const branchNode = {
+                id: layout.createNodeId(),
+                char: layout.getTextUnit(textIndex),
+                position: {
+                    x: node.position.x + direction.dx * layout.getStepLength(node),
+                    y: node.position.y + direction.dy * layout.getStepLength(node)
+                },
+                velocity: direction,
+                energy: node.energy,
+                generation: node.generation + 1,
+                textIndex: textIndex,
+                tokenId: layout.getTokenId(textIndex),
+                parent: node.id,
+                children: [],
+                curvature: 0,
+                branchType: 'lsystem',
+                lsystem: { stack: plan.stack, heading: plan.heading, trunk: false }
+            };
+
+            if (this.isBlocked(layout, branchNode, nearbyNodes)) continue;
+
+            layout.addNode(branchNode);
+            node.children.push(branchNode.id);
+            layout.addConnection({
+                from: node.id,
+                to: branchNode.id,
+                type: 'secondary',
+                semanticType: 'lsystem',
+                curvature: 0
+            });
+            created.push(branchNode);
+        }
+
+        return created;
+    }
+
+    onBlocked() {
+        return null;
+    }
+}
+
+// 組み込みの述語
+LSystemStrategy.definePredicate('punctuation', (layout, node, nextIndex) =>
+    LSYSTEM_PUNCTUATION.includes(layout.text[nextIndex]));
+
+LSystemStrategy.definePredicate('collocation', (layout, node, nextIndex) =>
+    layout.semanticField.getNodeCollocationStrength(node, {
+        textIndex: nextIndex, tokenId: layout.getTokenId(nextIndex), char: layout.getTextUnit(nextIndex)
+    }));
+
+LSystemStrategy.definePredicate('similarity', (layout, node, nextIndex) =>
+    1 - layout.semanticField.getSemanticDistance(layout.getNodeWord(node),
+                                                 layout.getWordAt(nextIndex) || layout.getTextUnit(nextIndex)));
+
+LSystemStrategy.definePredicate('complexity', (layout, node, nextIndex) =>
+    layout.semanticField.getSemanticComplexity(layout.getWordAt(nextIndex) || layout.getTextUnit(nextIndex)));
+
+LSystemStrategy.definePredicate('wordStart', (layout, node, nextIndex) => {
+    const morpheme = layout.getMorphemeAt(nextIndex);
+    return Boolean(morpheme && morpheme.start === layout.textOffset + nextIndex);
+});
+
+LSystemStrategy.definePredicate('energy', (layout, node) => node.energy / layout.params.initialEnergy);
+
+LSystemStrategy.definePredicate('depth', (layout, node) => node.generation);
+
+GrowthStrategy.register('lsystem', LSystemStrategy);
+
+// エクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LSystemStrategy;
+} else if (typeof window !== 'undefined') {
+    window.LSystemStrategy = LSystemStrategy;
+}
@@ -0,0 +1,264 @@
+/**
+ * LayoutSerializer - 成長したレイアウトの保存形式（バージョン付きJSON）
+ * ノード・接続・成長前線・語義場（Map）・乱数列の状態まで含めて書き出し、
+ * 読み戻したレイアウトが中断した世代からそのまま成長を続けられるようにする
+ *
+ * JSON上の表現:
+ *   Map        → { "$map": [[キー, 値], ...] }
+ *   Set        → { "$set": [値, ...] }
+ *   ノード参照 → { "$node": "node_12" }（nodes配列以外に現れるノード）
+ *   接続参照   → { "$connection": 3 }（connections配列以外に現れる接続）
+ *   共有参照   → 初出に "$id"、以降は { "$ref": id }（読解履歴などの共有・循環）
+ *   NaN/±Infinity → { "$number": "NaN" }
+ */
+
+const LAYOUT_FORMAT = 'organic-typography/layout';
+const LAYOUT_FORMAT_VERSION = 1;
+
+// OrganicLayout から保存する状態（nodes・connections・growthQueue は別扱い）
+const LAYOUT_STATE_KEYS = [
+    'generation', 'isGrowing', 'params', 'initialParams',
+    'rubySpans', 'annotations',
+    'collocationFields', 'readingTrajectory', 'emergentPatterns',
+    'selfReflectionHistory', 'currentReadingState',
+    'attractors', 'obstacles', 'fieldElementCount'
+];
+
+// SemanticField から保存する状態（形態素解析器・分散表現は保存しない）
+const SEMANTIC_FIELD_STATE_KEYS = [
+    'semanticGraph', 'collocationMatrix', 'unigramCounts', 'collocationMarginals',
+    'collocationScoreMax', 'readingHistory', 'morphemes', 'contextualLayers',
+    'cognitiveParams', 'collocationParams'
+];
+
+class LayoutSerializer {
+    constructor() {
+        this.nodeIds = new Map();           // ノード → id
+        this.connectionIndices = new Map(); // 接続 → 添字
+        this.referenceCounts = new Map();   // オブジェクト → 出現回数
+        this.sharedIds = new Map();         // 共有オブジェクト → $id
+        this.nodesById = new Map();
+        this.connectionList = [];
+        this.sharedObjects = new Map();     // $id → 復元したオブジェクト
+    }
+
+    /**
+     * レイアウトの書き出し
+     */
+    static serialize(layout) {
+        const serializer = new LayoutSerializer();
+        layout.nodes.forEach(node => serializer.nodeIds.set(node, node.id));
+        layout.connections.forEach((conn, index) => serializer.connectionIndices.set(conn, index));
+
+        const state = {};
+        LAYOUT_STATE_KEYS.forEach(key => { state[key] = layout[key]; });
+        const semanticState = {};
+        SEMANTIC_FIELD_STATE_KEYS.forEach(key => { semanticState[key] = layout.semanticField[key]; });
+        // 共有の空間インデックス・語義場・出来事の通知（OrganicEcosystem）は参照なので書き出さない
+        const { environment, spatialIndex, semanticField, events, ...config } = layout.config;
+
+        // 共有参照を数えてから書き出す
+        [config, state, semanticState, layout.connections].forEach(value => serializer.countReferences(value));
+        layout.nodes.forEach(node => serializer.countFields(node));
+
+        const env = layout.environment;
+        return {
+            format: LAYOUT_FORMAT,
+            version: LAYOUT_FORMAT_VERSION,
+            text: layout.text,
+            canvasWidth: layout.canvasWidth,
+            canvasHeight: layout.canvasHeight,
+            config: serializer.encode(config),
+            environment: (env && typeof env.serialize === 'function') ? env.serialize() : null,
+            nodes: layout.nodes.map(node => serializer.encodeFields(node)),
+            connections: layout.connections.map(conn => serializer.encodeFields(conn)),
+            growthQueue: layout.growthQueue.map(node => node.id),
+            ...serializer.encode(state),
+            semanticField: serializer.encode(semanticState)
+        };
+    }
+
+    /**
+     * 書き出したJSON（文字列またはオブジェクト）からレイアウトを復元
+     * options.environment: 乱数・時計を差し替える場合
+     * options.embeddingProvider: 分散表現（保存対象外のため再設定する）
+     */
+    static deserialize(json, options = {}) {
+        const data = typeof json === 'string' ? JSON.parse(json) : json;
+
+        if (!data || data.format !== LAYOUT_FORMAT) {
+            throw new Error('Organic Typography のレイアウト形式ではありません');
+        }
+        if (typeof data.version !== 'number' || data.version > LAYOUT_FORMAT_VERSION) {
+            throw new Error(`Unsupported layout format version: ${data.version}`);
+        }
+
+        const serializer = new LayoutSerializer();
+        const config = serializer.decode(data.config) || {};
+
+        let environment = options.environment;
+        if (!environment && data.environment && typeof SimulationEnvironment !== 'undefined') {
+            environment = SimulationEnvironment.fromJSON(data.environment);
+        }
+
+        // 本文は記法を取り除いた形で保存されているため、再解析させない
+        const layout = new OrganicLayout(data.text, data.canvasWidth, data.canvasHeight, {
+            ...config,
+            textFormat: 'plain',
+            environment
+        });
+        layout.config = { ...config, environment: layout.environment };
+        const initialParams = layout.initialParams;
+
+        // ノードと接続を先に復元し、他の状態からの参照を結び直す
+        layout.nodes = data.nodes.map(node => serializer.decodeFields(node));
+        layout.nodes.forEach(node => serializer.nodesById.set(node.id, node));
+        layout.connections = data.connections.map(conn => serializer.decodeFields(conn));
+        serializer.connectionList = layout.connections;
+        layout.growthQueue = data.growthQueue.map(id => serializer.nodesById.get(id)).filter(Boolean);
+
+        LAYOUT_STATE_KEYS.forEach(key => {
+            if (data[key] !== undefined) layout[key] = serializer.decode(data[key]);
+        });
+        // 以前の版で保存したファイルにないパラメータは既定値で補う
+        ['params', 'initialParams'].forEach(key => {
+            if (data[key] !== undefined) layout[key] = { ...initialParams, ...layout[key] };
+        });
+        const semanticState = serializer.decode(data.semanticField) || {};
+        SEMANTIC_FIELD_STATE_KEYS.forEach(key => {
+            if (semanticState[key] !== undefined) layout.semanticField[key] = semanticState[key];
+        });
+
+        if (options.embeddingProvider) {
+            layout.embeddingProvider = options.embeddingProvider;
+            layout.semanticField.setEmbeddingProvider(options.embeddingProvider);
+        }
+
+        // 保存時の禁則設定と空間インデックスを再構築
+        layout.kinsoku = (typeof KinsokuRules !== 'undefined') ? new KinsokuRules(layout.params.kinsoku) : null;
+        layout.rebuildSpatialIndex();
+        layout.rubyGlyphCache = null;
+
+        // 乱数列・時計を保存時点に戻す（コンストラクタでの消費を打ち消す）
+        if (!options.environment && data.environment && typeof layout.environment.restore === 'function') {
+            layout.environment.restore(data.environment);
+        }
+
+        return layout;
+    }
+
+    // === 書き出し ===
+
+    countReferences(value) {
+        if (!value || typeof value !== 'object') return;
+        if (this.nodeIds.has(value) || this.connectionIndices.has(value)) return;
+
+        const count = (this.referenceCounts.get(value) || 0) + 1;
+        this.referenceCounts.set(value, count);
+        if (count > 1) return;
+
+        if (value instanceof Map) {
+            value.forEach((entry, key) => {
+                this.countReferences(key);
+                this.countReferences(entry);
+            });
+        } else if (value instanceof Set || Array.isArray(value)) {
+            value.forEach(entry => this.countReferences(entry));
+        } else {
+            Object.values(value).forEach(entry => this.countReferences(entry));
+        }
+    }
+
+    countFields(object) {
+        Object.values(object).forEach(entry => this.countReferences(entry));
+    }
+
+    encode(value) {
+        if (typeof value === 'number' && !Number.isFinite(value)) {
+            return { $number: String(value) };
+        }
+        if (!value || typeof value !== 'object') {
+            return (typeof value === 'function' || value === undefined) ? null : value;
+        }
+
+        if (this.nodeIds.has(value)) return { $node: this.nodeIds.get(value) };
+        if (this.connectionIndices.has(value)) return { $connection: this.connectionIndices.get(value) };
+        if (this.sharedIds.has(value)) return { $ref: this.sharedIds.get(value) };
+
+        let encoded;
+        const shared = this.referenceCounts.get(value) > 1;
+        const id = shared ? this.sharedIds.size : null;
+        if (shared) this.sharedIds.set(value, id);
+
+        if (value instanceof Map) {
+            encoded = { $map: Array.from(value, ([key, entry]) => [this.encode(key), this.encode(entry)]) };
+        } else if (value instanceof Set) {
+            encoded = { $set: Array.from(value, entry => this.encode(entry)) };
+        } else if (Array.isArray(value)) {
+            const items = value.map(entry => this.encode(entry));
+            encoded = shared ? { $array: items } : items;
+        } else {
+            encoded = this.encodeFields(value);
+        }
+
+        return shared ? { $id: id, ...encoded } : encoded;
+    }
+
+    encodeFields(object) {
+        const encoded = {};
+        Object.keys(object).forEach(key => {
+            if (object[key] !== undefined && typeof object[key] !== 'function') {
+                encoded[key] = this.encode(object[key]);
+            }
+        });
+        return encoded;
+    }
+
+    // === 読み戻し ===
+
+    decode(value) {
+        if (!value || typeof value !== 'object') return value;
+        if (Array.isArray(value)) return value.map(entry => this.decode(entry));
+
+        if (value.$number !== undefined) return Number(value.$number);
+        if (value.$node !== undefined) return this.nodesById.get(value.$node) || null;
+        if (value.$connection !== undefined) return this.connectionList[value.$connection] || null;
+        if (value.$ref !== undefined) return this.sharedObjects.get(value.$ref);
+
+        const { $id, ...fields } = value;
+        let decoded;
+
+        if (fields.$map) {
+            decoded = new Map();
+            if ($id !== undefined) this.sharedObjects.set($id, decoded);
+            fields.$map.forEach(([key, entry]) => decoded.set(this.decode(key), this.decode(entry)));
+        } else if (fields.$set) {
+            decoded = new Set();
+            if ($id !== undefined) this.sharedObjects.set($id, decoded);
+            fields.$set.forEach(entry => decoded.add(this.decode(entry)));
+        } else if (fields.$array) {
+            decoded = [];
+            if ($id !== undefined) this.sharedObjects.set($id, decoded);
+            fields.$array.forEach(entry => decoded.push(this.decode(entry)));
+        } else {
+            decoded = {};
+            if ($id !== undefined) this.sharedObjects.set($id, decoded);
+            Object.keys(fields).forEach(key => { decoded[key] = this.decode(fields[key]); });
+        }
+
+        return decoded;
+    }
+
+    decodeFields(object) {
+        const decoded = {};
+        Object.keys(object).forEach(key => { decoded[key] = this.decode(object[key]); });
+        return decoded;
+    }
+}
+
+// エクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LayoutSerializer;
+} else if (typeof window !== 'undefined') {
+    window.LayoutSerializer = LayoutSerializer;
+}
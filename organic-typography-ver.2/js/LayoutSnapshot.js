@@ -0,0 +1,315 @@
+/**
+ * LayoutSnapshot - Web Worker で成長させるレイアウトの描画用の写し
+ * ワーカー側は LayoutSnapshot.capture() で前回送った後に増えたノード・接続だけを
+ * 転送可能な型付き配列に詰め（間引き・巻き戻しなどで前回の続きでなくなったら全体を送る）、
+ * メインスレッド側は apply() で受け取った差分を積み上げて、描画・書き出しに渡せる
+ * レイアウトと同じ形（nodes・connections・getGlyphs() など）を保つ
+ *
+ *   // ワーカー
+ *   const cursor = LayoutSnapshot.createCursor();
+ *   const { snapshot, transfer } = LayoutSnapshot.capture(layout, cursor);
+ *   postMessage({ type: 'snapshot', snapshot }, transfer);
+ *
+ *   // メインスレッド
+ *   const view = new LayoutSnapshot();
+ *   view.apply(message.snapshot);
+ *   new CanvasRenderBackend(ctx).render(view);
+ */
+
+// ノード1つあたりの数値（x, y, dx, dy, energy, semanticResonance）
+const SNAPSHOT_NODE_STRIDE = 6;
+
+// 毎回まとめて送る重ね描き用の記録の上限
+const SNAPSHOT_OVERLAY_LIMITS = {
+    collocationFields: 50,
+    readingTrajectory: 200,
+    emergentPatterns: 20
+};
+
+class LayoutSnapshot {
+    constructor() {
+        this.text = '';
+        this.nodes = [];
+        this.connections = [];
+        this.rubyGlyphs = [];
+        this.collocationFields = [];
+        this.readingTrajectory = [];
+        this.emergentPatterns = [];
+        this.attractors = [];
+        this.obstacles = [];
+        this.params = { writingMode: 'horizontal', characterSpacing: 18 };
+        this.generation = 0;
+        this.isGrowing = false;
+        this.historyRange = null;   // 成長の履歴の範囲（{ first, last, current, canStepBack, canStepForward }）
+        this.connectionTypes = [];
+        this.spatialIndex = null;   // 当たり判定用（findNodeAt() で必要になったときに作る）
+        this.indexedNodes = 0;
+        this.longestUnit = 1;       // 索引したノードのうち最も長いものの字数
+    }
+
+    // === ワーカー側 ===
+
+    /**
+     * 前回送った範囲（ノード・接続の数と両端、どの続きかの判定に使う）
+     */
+    static createCursor() {
+        return {
+            nodes: 0, firstNode: null, lastNode: null,
+            connections: 0, lastConnection: null,
+            nodeIndices: new Map(),
+            connectionTypes: new Map(),
+            textLength: -1,
+            rubyGlyphs: null
+        };
+    }
+
+    /**
+     * 前回からの差分の書き出し（cursor を更新する）。transfer は postMessage に渡す転送リスト
+     */
+    static capture(layout, cursor, extras = {}) {
+        const nodes = layout.nodes;
+        const connections = layout.connections;
+
+        // 送った範囲の両端が同じオブジェクトのままなら続きだけを送る
+        const continues = cursor.nodes <= nodes.length &&
+                          cursor.connections <= connections.length &&
+                          (cursor.nodes === 0 || (nodes[0] === cursor.firstNode && nodes[cursor.nodes - 1] === cursor.lastNode)) &&
+                          (cursor.connections === 0 || connections[cursor.connections - 1] === cursor.lastConnection);
+        const full = !continues || cursor.nodes === 0;
+        if (!continues) {
+            cursor.nodes = 0;
+            cursor.connections = 0;
+            cursor.nodeIndices.clear();
+        }
+
+        const nodeStart = cursor.nodes;
+        const newNodes = nodes.slice(nodeStart);
+        const nodeData = new Float32Array(newNodes.length * SNAPSHOT_NODE_STRIDE);
+        const textIndices = new Int32Array(newNodes.length);
+        newNodes.forEach((node, i) => {
+            const offset = i * SNAPSHOT_NODE_STRIDE;
+            nodeData[offset] = node.position.x;
+            nodeData[offset + 1] = node.position.y;
+            nodeData[offset + 2] = node.velocity ? node.velocity.dx : 0;
+            nodeData[offset + 3] = node.velocity ? node.velocity.dy : 0;
+            nodeData[offset + 4] = node.energy || 0;
+            nodeData[offset + 5] = node.semanticResonance || 0;
+            textIndices[i] = node.textIndex;
+            cursor.nodeIndices.set(node.id, nodeStart + i);
+        });
+
+        // 接続は両端のノードの添字と種類の番号（種類名の表は毎回送る）
+        const connectionStart = cursor.connections;
+        const newConnections = connections.slice(connectionStart);
+        const connectionData = new Int32Array(newConnections.length * 3);
+        const curvatures = new Float32Array(newConnections.length);
+        newConnections.forEach((connection, i) => {
+            if (!cursor.connectionTypes.has(connection.type)) {
+                cursor.connectionTypes.set(connection.type, cursor.connectionTypes.size);
+            }
+            connectionData[i * 3] = LayoutSnapshot.getIndex(cursor, connection.from);
+            connectionData[i * 3 + 1] = LayoutSnapshot.getIndex(cursor, connection.to);
+            connectionData[i * 3 + 2] = cursor.connectionTypes.get(connection.type);
+            curvatures[i] = connection.curvature || 0;
+        });
+
+        cursor.nodes = nodes.length;
+        cursor.firstNode = nodes[0] || null;
+        cursor.lastNode = nodes[nodes.length - 1] || null;
+        cursor.connections = connections.length;
+        cursor.lastConnection = connections[connections.length - 1] || null;
+
+        // ルビと本文は変わったときだけ送る
+        const rubyGlyphs = typeof layout.getRubyGlyphs === 'function' ? layout.getRubyGlyphs() : [];
+        const rubyChanged = !continues || rubyGlyphs !== cursor.rubyGlyphs;
+        cursor.rubyGlyphs = rubyGlyphs;
+        const textChanged = layout.text.length !== cursor.textLength;
+        cursor.textLength = layout.text.length;
+
+        const trajectory = (layout.readingTrajectory || []).slice(-SNAPSHOT_OVERLAY_LIMITS.readingTrajectory);
+        const trajectoryData = new Float32Array(trajectory.length * 2);
+        trajectory.forEach((point, i) => {
+            trajectoryData[i * 2] = point.from.position.x;
+            trajectoryData[i * 2 + 1] = point.from.position.y;
+        });
+
+        const snapshot = {
+            full,
+            text: textChanged ? layout.text : null,
+            nodeStart,
+            nodeIds: newNodes.map(node => node.id),
+            chars: newNodes.map(node => node.char),
+            nodeData,
+            textIndices,
+            connectionStart,
+            connections: connectionData,
+            curvatures,
+            connectionTypes: Array.from(cursor.connectionTypes.keys()),
+            rubyGlyphs: rubyChanged ? rubyGlyphs.map(glyph => ({
+                id: glyph.id, char: glyph.char, position: glyph.position, velocity: glyph.velocity, size: glyph.size
+            })) : null,
+            collocationFields: (layout.collocationFields || []).slice(-SNAPSHOT_OVERLAY_LIMITS.collocationFields)
+                .map(field => ({ intensity: field.intensity, geometry: field.geometry.map(point => ({ x: point.x, y: point.y })) })),
+            readingTrajectory: trajectoryData,
+            emergentPatterns: (layout.emergentPatterns || []).slice(-SNAPSHOT_OVERLAY_LIMITS.emergentPatterns)
+                .map(pattern => LayoutSnapshot.capturePattern(pattern, cursor)),
+            attractors: (layout.attractors || []).map(element => ({ ...element, position: { ...element.position } })),
+            obstacles: (layout.obstacles || []).map(element => ({ ...element, position: { ...element.position } })),
+            params: {
+                writingMode: layout.params.writingMode,
+                characterSpacing: layout.params.characterSpacing
+            },
+            generation: layout.generation,
+            isGrowing: layout.isGrowing,
+            history: layout.history ? {
+                ...layout.history.getRange(),
+                canStepBack: layout.history.canStepBack(),
+                canStepForward: layout.history.canStepForward()
+            } : null,
+            ...extras
+        };
+
+        return {
+            snapshot,
+            transfer: [nodeData.buffer, textIndices.buffer, connectionData.buffer, curvatures.buffer, trajectoryData.buffer]
+        };
+    }
+
+    static getIndex(cursor, id) {
+        const index = cursor.nodeIndices.get(typeof id === 'object' && id ? id.id : id);
+        return index === undefined ? -1 : index;
+    }
+
+    /**
+     * 創発パターンの重ね描き用の形（種類と、関わるノードの添字）
+     */
+    static capturePattern(pattern, cursor) {
+        let ids = [];
+        if (pattern.type === 'semantic_cluster') {
+            ids = pattern.elements.map(element => element.id);
+        } else if (pattern.type === 'semantic_bridge') {
+            ids = [pattern.connection.from, pattern.connection.to];
+        } else if (pattern.type === 'reading_spiral') {
+            ids = pattern.trajectory.map(entry => entry.node);
+        }
+
+        return {
+            type: pattern.type,
+            generation: pattern.generation,
+            strength: pattern.strength !== undefined ? pattern.strength : pattern.complexity,
+            nodes: Int32Array.from(ids.map(id => LayoutSnapshot.getIndex(cursor, id)).filter(index => index >= 0))
+        };
+    }
+
+    // === メインスレッド側 ===
+
+    /**
+     * 差分の適用
+     */
+    apply(snapshot) {
+        if (snapshot.text !== null) this.text = snapshot.text;
+        if (snapshot.nodeStart < this.indexedNodes) this.spatialIndex = null;
+
+        this.nodes.length = snapshot.nodeStart;
+        snapshot.nodeIds.forEach((id, i) => {
+            const offset = i * SNAPSHOT_NODE_STRIDE;
+            const data = snapshot.nodeData;
+            this.nodes.push({
+                id,
+                char: snapshot.chars[i],
+                position: { x: data[offset], y: data[offset + 1] },
+                velocity: { dx: data[offset + 2], dy: data[offset + 3] },
+                energy: data[offset + 4],
+                semanticResonance: data[offset + 5],
+                textIndex: snapshot.textIndices[i]
+            });
+        });
+
+        this.connectionTypes = snapshot.connectionTypes;
+        this.connections.length = snapshot.connectionStart;
+        for (let i = 0; i < snapshot.curvatures.length; i++) {
+            const from = this.nodes[snapshot.connections[i * 3]];
+            const to = this.nodes[snapshot.connections[i * 3 + 1]];
+            this.connections.push({
+                from: from ? from.id : null,
+                to: to ? to.id : null,
+                type: this.connectionTypes[snapshot.connections[i * 3 + 2]],
+                curvature: snapshot.curvatures[i]
+            });
+        }
+
+        if (snapshot.rubyGlyphs !== null) this.rubyGlyphs = snapshot.rubyGlyphs;
+
+        this.collocationFields = snapshot.collocationFields;
+        this.readingTrajectory = [];
+        for (let i = 0; i < snapshot.readingTrajectory.length; i += 2) {
+            this.readingTrajectory.push({
+                from: { position: { x: snapshot.readingTrajectory[i], y: snapshot.readingTrajectory[i + 1] } }
+            });
+        }
+        this.emergentPatterns = snapshot.emergentPatterns.map(pattern => ({
+            type: pattern.type,
+            generation: pattern.generation,
+            strength: pattern.strength,
+            elements: Array.from(pattern.nodes, index => this.nodes[index]).filter(Boolean)
+        }));
+
+        this.attractors = snapshot.attractors;
+        this.obstacles = snapshot.obstacles;
+        this.params = { ...this.params, ...snapshot.params };
+        this.generation = snapshot.generation;
+        this.isGrowing = snapshot.isGrowing;
+        this.historyRange = snapshot.history;
+
+        return this;
+    }
+
+    /**
+     * 描画用の字形（語のノードはレイアウトと同じ規則で1文字ずつ並べる）
+     */
+    getGlyphs() {
+        if (typeof OrganicLayout === 'undefined') return this.nodes;
+        return this.nodes.flatMap(node => OrganicLayout.prototype.getNodeGlyphs.call(this, node));
+    }
+
+    getRubyGlyphs() {
+        return this.rubyGlyphs;
+    }
+
+    getNodeGlyphs(node) {
+        if (typeof OrganicLayout === 'undefined') return [node];
+        return OrganicLayout.prototype.getNodeGlyphs.call(this, node);
+    }
+
+    getDistance(pos1, pos2) {
+        return Math.hypot(pos1.x - pos2.x, pos1.y - pos2.y);
+    }
+
+    /**
+     * 位置にあるノード（OrganicLayout.findNodeAt() と同じ。詳細はワーカーに問い合わせる）
+     */
+    findNodeAt(position, tolerance = this.params.characterSpacing / 2) {
+        if (typeof OrganicLayout === 'undefined' || typeof SpatialIndex === 'undefined') return null;
+
+        // 前回から届いたノードだけを索引に足す（送り直されたら作り直す）
+        if (!this.spatialIndex) {
+            this.spatialIndex = new SpatialIndex(1000, 1000, 50);
+            this.indexedNodes = 0;
+            this.longestUnit = 1;
+        }
+        for (let i = this.indexedNodes; i < this.nodes.length; i++) {
+            this.spatialIndex.insert(this.nodes[i]);
+            OrganicLayout.prototype.trackUnitLength.call(this, this.nodes[i]);
+        }
+        this.indexedNodes = this.nodes.length;
+
+        return OrganicLayout.prototype.findNodeAt.call(this, position, tolerance);
+    }
+}
+
+// エクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LayoutSnapshot;
+} else if (typeof window !== 'undefined') {
+    window.LayoutSnapshot = LayoutSnapshot;
+}
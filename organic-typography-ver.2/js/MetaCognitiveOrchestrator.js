@@ -40,78 +40,16 @@ if (typeof TemporalContext === 'undefined') {
     }
 }
 
-if (typeof MetaCognitiveLayer === 'undefined') {
-    class MetaCognitiveLayer {
-        initialize() {}
-        analyzeCognitiveProcess() { return { complexity: 0.7 }; }
-        executeMetaMetaCognition() { return { recursiveDepth: 2 }; }
-        getCurrentState() { return {}; }
-        start() {}
-        pause() {}
-    }
-}
-
-if (typeof SelfReflectionEngine === 'undefined') {
-    class SelfReflectionEngine {
-        initialize() {}
-        thinkAboutSelf() { return { selfAwareness: 0.8 }; }
-        readAboutReading() { return { metaReading: 0.7 }; }
-        languageAboutLanguage() { return { metalanguage: 0.6 }; }
-        analyzeEpistemologicalStatus() { return { novelty: 0.7, depth: 0.6, selfReference: 0.8, paradox: 0.3 }; }
-        getCurrentState() { return {}; }
-        start() {}
-        pause() {}
-    }
-}
-
-if (typeof ConsciousnessSimulator === 'undefined') {
-    class ConsciousnessSimulator {
-        initialize() {}
-        calculatePhi() { return 0.7; }
-        simulateGlobalWorkspace() { return { coherence: 0.7 }; }
-        generatePhenomenalConsciousness() { return { intensity: 0.8 }; }
-        emergeSelfConsciousness() { return { clarity: 0.7 }; }
-        start() {}
-        pause() {}
-    }
-}
-
-if (typeof SelfObservationSystem === 'undefined') {
-    class SelfObservationSystem {
-        startObserving() {}
-    }
-}
-
-if (typeof IntrospectionEngine === 'undefined') {
-    class IntrospectionEngine {
-        beginIntrospection() {}
-    }
-}
-
-if (typeof PhenomenologyEngine === 'undefined') {
-    class PhenomenologyEngine {
-        startPhenomenologicalAnalysis() {}
-        performReduction() { return { essence: {}, reduction: 0.8 }; }
-        analyzeIntentionality() { return { directionality: 0.7 }; }
-        analyzeTimeConsciousness() { return { retention: 0.7 }; }
-        analyzeEmbodiedExperience() { return { embodiment: 0.8 }; }
-        analyzeAlterity() { return { alterity: 0.6 }; }
-        getCurrentState() { return {}; }
-    }
-}
-
-if (typeof ReadingExperienceArchive === 'undefined') {
-    class ReadingExperienceArchive {
-        getArchive() { return []; }
-    }
-}
-
 class MetaCognitiveOrchestrator {
     constructor(text, canvasWidth, canvasHeight, config = {}) {
+        // 全モジュールで共有する乱数・時計（config.seed で決定論的に）
+        this.environment = SimulationEnvironment.resolve(config);
+        config = { ...config, environment: this.environment };
+        
         // 基盤システムの初期化
-        this.organicLayout = new OrganicLayout(text, canvasWidth, canvasHeight);
+        this.organicLayout = new OrganicLayout(text, canvasWidth, canvasHeight, config);
         this.semanticField = this.organicLayout.semanticField;
-        this.temporalContext = new TemporalContext();
+        this.temporalContext = new TemporalContext({ environment: this.environment });
         
         // メタ認知システム
         this.metaCognition = new MetaCognitiveLayer();
@@ -143,6 +81,9 @@ class MetaCognitiveOrchestrator {
         this.emergentInsights = [];
         this.systemRevelations = [];
         
+        // 成長の出来事の通知は OrganicLayout と共有し、洞察・自己リフレクションもそこに発行する
+        this.events = this.organicLayout.events || null;
+        
         this.initialize();
     }
 
@@ -261,7 +202,7 @@ class MetaCognitiveOrchestrator {
         
         // 認知サイクルの記録
         this.cognitiveCycles.push({
-            timestamp: Date.now(),
+            timestamp: this.environment.now(),
             primary: cognitiveAnalysis,
             meta: metaMetaCognition,
             depth: this.calculateCognitiveDepth(cognitiveAnalysis, metaMetaCognition)
@@ -299,7 +240,7 @@ class MetaCognitiveOrchestrator {
         );
         
         // 意識レベルの記録
-        this.awarenessLevels.set(Date.now(), {
+        this.awarenessLevels.set(this.environment.now(), {
             phi: phi,
             globalWorkspace: globalWorkspace,
             phenomenal: phenomenalConsciousness,
@@ -336,14 +277,16 @@ class MetaCognitiveOrchestrator {
         );
         
         // 自己リフレクションの記録
-        this.systemRevelations.push({
-            timestamp: Date.now(),
+        const revelation = {
+            timestamp: this.environment.now(),
             selfThoughts: selfThoughts,
             readingAboutReading: readingAboutReading,
             languageAboutLanguage: languageAboutLanguage,
             epistemological: epistemologicalStatus,
             revelationType: this.classifyRevelation(epistemologicalStatus)
-        });
+        };
+        this.systemRevelations.push(revelation);
+        this.emit('revelation', { revelation });
     }
 
     /**
@@ -441,6 +384,7 @@ class MetaCognitiveOrchestrator {
         const novelInsights = this.filterNovelInsights(integratedInsights);
         
         this.emergentInsights.push(...novelInsights);
+        novelInsights.forEach(insight => this.emit('insight', { insight }));
     }
 
     /**
@@ -448,7 +392,7 @@ class MetaCognitiveOrchestrator {
      */
     recordSystemState(phase) {
         const state = {
-            timestamp: Date.now(),
+            timestamp: this.environment.now(),
             phase: phase,
             generation: this.organicLayout.generation,
             
@@ -495,17 +439,17 @@ class MetaCognitiveOrchestrator {
     getPhysicalState() {
         // 仮想的身体状態（実装では生体信号から取得）
         return {
-            heartRate: 70 + Math.random() * 20,
+            heartRate: 70 + this.environment.random() * 20,
             breathingPattern: {
-                rate: 15 + Math.random() * 5,
-                depth: 0.7 + Math.random() * 0.3
+                rate: 15 + this.environment.random() * 5,
+                depth: 0.7 + this.environment.random() * 0.3
             },
             brainwaves: {
-                alpha: 10 + Math.random() * 2,
-                gamma: 40 + Math.random() * 10
+                alpha: 10 + this.environment.random() * 2,
+                gamma: 40 + this.environment.random() * 10
             },
-            arousal: 0.6 + Math.random() * 0.3,
-            embodiment: 0.7 + Math.random() * 0.2
+            arousal: 0.6 + this.environment.random() * 0.3,
+            embodiment: 0.7 + this.environment.random() * 0.2
         };
     }
 
@@ -813,6 +757,33 @@ class MetaCognitiveOrchestrator {
 
     // === 外部アクセス用メソッド ===
 
+    /**
+     * 成長とメタ認知の出来事のリスナーの登録（OrganicLayout.on() と同じ。戻り値は登録を解除する関数）
+     */
+    on(type, listener) {
+        return this.requireEvents().on(type, listener);
+    }
+
+    once(type, listener) {
+        return this.requireEvents().once(type, listener);
+    }
+
+    off(type, listener) {
+        if (this.events) this.events.off(type, listener);
+    }
+
+    requireEvents() {
+        if (!this.events) {
+            throw new Error('Growth events require GrowthEvents.js');
+        }
+        return this.events;
+    }
+
+    emit(type, payload) {
+        if (!this.events || !this.events.hasListeners(type)) return null;
+        return this.events.emit(type, { generation: this.organicLayout.generation, organism: null, ...payload });
+    }
+
     /**
      * システム全体の開始
      */
@@ -833,12 +804,19 @@ class MetaCognitiveOrchestrator {
         this.consciousnessSimulator.pause();
     }
 
+    /**
+     * テキストの追記（有機体をリセットせずに成長を継続）
+     */
+    appendText(text) {
+        return this.organicLayout.appendText(text);
+    }
+
     /**
      * システムのリセット
      */
     reset() {
         this.organicLayout.reset();
-        this.temporalContext = new TemporalContext();
+        this.temporalContext = new TemporalContext({ environment: this.environment });
         this.systemStates = [];
         this.cognitiveCycles = [];
         this.awarenessLevels.clear();
@@ -908,7 +886,7 @@ class MetaCognitiveOrchestrator {
     }
 
     calculateCurrentCognitiveLoad() {
-        return 0.6 + Math.random() * 0.3;
+        return 0.6 + this.environment.random() * 0.3;
     }
 
     getTemporalDepth() {
@@ -981,18 +959,18 @@ class MetaCognitiveOrchestrator {
     }
     
     findContradictions() {
-        return this.systemStates.filter(() => Math.random() > 0.8).map(() => ({
+        return this.systemStates.filter(() => this.environment.random() > 0.8).map(() => ({
             thesis: 'concept_A',
             antithesis: 'concept_B',
-            tension: Math.random()
+            tension: this.environment.random()
         }));
     }
     
     attemptSynthesis(contradiction) {
         return {
-            success: Math.random() > 0.5,
+            success: this.environment.random() > 0.5,
             result: 'synthesized_concept',
-            novelty: Math.random()
+            novelty: this.environment.random()
         };
     }
     
@@ -1006,8 +984,8 @@ class MetaCognitiveOrchestrator {
     
     attemptBoundaryTranscendence(boundary) {
         return {
-            achieved: Math.random() > 0.6,
-            transformationLevel: Math.random()
+            achieved: this.environment.random() > 0.6,
+            transformationLevel: this.environment.random()
         };
     }
     
@@ -1021,11 +999,11 @@ class MetaCognitiveOrchestrator {
     
     categorizeInsight(insight) {
         const categories = ['cognitive', 'semantic', 'temporal', 'existential'];
-        return categories[Math.floor(Math.random() * categories.length)];
+        return categories[Math.floor(this.environment.random() * categories.length)];
     }
     
     calculateInsightRelationality(insight, allInsights) {
-        return Math.random() * 0.8;
+        return this.environment.random() * 0.8;
     }
     
     calculateInsightTemporality(insight) {
@@ -1038,9 +1016,9 @@ class MetaCognitiveOrchestrator {
     
     calculateInsightSimilarity(insight1, insight2) {
         if (insight1.type === insight2.type) {
-            return 0.7 + Math.random() * 0.3;
+            return 0.7 + this.environment.random() * 0.3;
         }
-        return Math.random() * 0.5;
+        return this.environment.random() * 0.5;
     }
     
     // 更多简化实现...
@@ -1060,7 +1038,7 @@ class MetaCognitiveOrchestrator {
     }
     
     detectTranscendence() {
-        return Math.random() > 0.7 ? 'transcendent' : 'immanent';
+        return this.environment.random() > 0.7 ? 'transcendent' : 'immanent';
     }
     
     calculateMetacognitiveIntegration(cognition, consciousness, phenomenology) {
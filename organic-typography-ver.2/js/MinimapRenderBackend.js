@@ -0,0 +1,224 @@
+/**
+ * MinimapRenderBackend - ミニマップへの縮小描画（Canvas 2D）
+ * ノードを点、接続を直線にして、描画内容の外接矩形をミニマップに収める。
+ * 前回から増えたノード・接続だけを描き足し、内容が描いた範囲からはみ出したとき、
+ * リセット・巻き戻しなどで前回の続きでなくなったときだけ全体を描き直す
+ *
+ *   const minimap = new MinimapRenderBackend(minimapCanvas.getContext('2d'));
+ *   minimap.render(layout);                                   // 成長のたびに呼ぶ
+ *   const world = minimap.minimapToWorld({ x: 50, y: 40 });   // ミニマップ上の位置 → レイアウト座標
+ */
+
+// ミニマップに描く層（ほかの層は描かない）
+const MINIMAP_LAYERS = ['connections', 'nodes'];
+
+class MinimapRenderBackend extends RenderBackend {
+    /**
+     * options: padding（内容の周りの余白、px）、growthMargin（描き直すときに範囲を広げておく割合）、
+     *          nodeSize（点の大きさ、px）、nodeColor・connectionColor・background
+     */
+    constructor(ctx, options = {}) {
+        super(ctx, {
+            padding: 40,
+            growthMargin: 0.25,
+            nodeSize: 1.5,
+            nodeColor: '#333333',
+            connectionColor: 'rgba(33, 150, 243, 0.5)',
+            background: '#ffffff',
+            ...options
+        });
+        this.name = 'minimap';
+        this.reset();
+    }
+
+    /**
+     * 描いた範囲の破棄（次の render() で全体を描き直す）
+     */
+    reset() {
+        this.bounds = null;          // ミニマップに写しているレイアウト座標の範囲 { x, y, width, height }
+        this.transform = null;       // { scale, offsetX, offsetY }
+        this.drawnNodes = 0;
+        this.drawnConnections = 0;
+        this.firstNode = null;
+        this.lastNode = null;
+        this.lastConnection = null;
+        this.nodeMap = new Map();
+    }
+
+    createEnvironment(layout) {
+        // 接続の両端は描き足したノードの表から引く（毎回全ノードの表を作らない）
+        return {
+            layout,
+            backend: this,
+            writingMode: layout.params ? layout.params.writingMode : 'horizontal',
+            nodeMap: this.nodeMap,
+            layer: null,
+            target: null,
+            drawDefault: null
+        };
+    }
+
+    begin(env) {
+        const nodes = env.layout.nodes || [];
+        const connections = env.layout.connections || [];
+
+        // 描いた範囲の両端が同じオブジェクトのままなら続きだけを描く（LayoutSnapshot.capture() と同じ判定）
+        const continues = this.bounds !== null &&
+                          this.drawnNodes <= nodes.length &&
+                          this.drawnConnections <= connections.length &&
+                          (this.drawnNodes === 0 || (nodes[0] === this.firstNode && nodes[this.drawnNodes - 1] === this.lastNode)) &&
+                          (this.drawnConnections === 0 || connections[this.drawnConnections - 1] === this.lastConnection);
+
+        const newNodes = continues ? nodes.slice(this.drawnNodes) : nodes;
+        if (!continues || !newNodes.every(node => this.containsPoint(node.position))) {
+            this.redraw(nodes);
+        }
+
+        for (let i = this.drawnNodes; i < nodes.length; i++) {
+            this.nodeMap.set(nodes[i].id, nodes[i]);
+        }
+    }
+
+    end(env) {
+        const nodes = env.layout.nodes || [];
+        const connections = env.layout.connections || [];
+
+        this.drawnNodes = nodes.length;
+        this.drawnConnections = connections.length;
+        this.firstNode = nodes[0] || null;
+        this.lastNode = nodes[nodes.length - 1] || null;
+        this.lastConnection = connections[connections.length - 1] || null;
+    }
+
+    /**
+     * 全体の描き直し（内容の外接矩形に余白と成長の余地を足した範囲を写す）
+     */
+    redraw(nodes) {
+        const ctx = this.target;
+        const points = nodes
+            .map(node => node.position)
+            .filter(point => point && Number.isFinite(point.x) && Number.isFinite(point.y));
+
+        if (points.length === 0) {
+            this.bounds = { x: 0, y: 0, width: ctx.canvas.width, height: ctx.canvas.height };
+        } else {
+            // ノード数が多くても引数の数の上限に触れないよう、1つずつ比べる
+            let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+            points.forEach(point => {
+                minX = Math.min(minX, point.x);
+                minY = Math.min(minY, point.y);
+                maxX = Math.max(maxX, point.x);
+                maxY = Math.max(maxY, point.y);
+            });
+            const marginX = (maxX - minX) * this.options.growthMargin / 2 + this.options.padding;
+            const marginY = (maxY - minY) * this.options.growthMargin / 2 + this.options.padding;
+            this.bounds = {
+                x: minX - marginX,
+                y: minY - marginY,
+                width: maxX - minX + marginX * 2,
+                height: maxY - minY + marginY * 2
+            };
+        }
+
+        // 縦横比を保って中央に置く
+        const scale = Math.min(ctx.canvas.width / this.bounds.width, ctx.canvas.height / this.bounds.height);
+        this.transform = {
+            scale,
+            offsetX: (ctx.canvas.width - this.bounds.width * scale) / 2,
+            offsetY: (ctx.canvas.height - this.bounds.height * scale) / 2
+        };
+
+        ctx.fillStyle = this.options.background;
+        ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+
+        this.drawnNodes = 0;
+        this.drawnConnections = 0;
+        this.nodeMap.clear();   // 描画の文脈が同じ表を持っている
+    }
+
+    containsPoint(point) {
+        if (!point) return true;
+        return point.x >= this.bounds.x && point.x <= this.bounds.x + this.bounds.width &&
+               point.y >= this.bounds.y && point.y <= this.bounds.y + this.bounds.height;
+    }
+
+    /**
+     * 前回から増えた分だけを描く
+     */
+    getLayerElements(layer, env) {
+        if (!MINIMAP_LAYERS.includes(layer.name)) return null;
+
+        if (layer.name === 'nodes') {
+            return (env.layout.nodes || []).slice(this.drawnNodes);
+        }
+        return (env.layout.connections || []).slice(this.drawnConnections);
+    }
+
+    drawConnection(connection, env) {
+        const from = env.nodeMap.get(connection.from);
+        const to = env.nodeMap.get(connection.to);
+        if (!from || !to) return;
+
+        const ctx = this.target;
+        const p1 = this.worldToMinimap(from.position);
+        const p2 = this.worldToMinimap(to.position);
+
+        ctx.strokeStyle = this.options.connectionColor;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(p1.x, p1.y);
+        ctx.lineTo(p2.x, p2.y);
+        ctx.stroke();
+    }
+
+    drawNode(node, env) {
+        if (!node.position || !Number.isFinite(node.position.x) || !Number.isFinite(node.position.y)) return;
+
+        const ctx = this.target;
+        const point = this.worldToMinimap(node.position);
+        const size = this.options.nodeSize;
+
+        ctx.fillStyle = this.options.nodeColor;
+        ctx.fillRect(point.x - size / 2, point.y - size / 2, size, size);
+    }
+
+    // === 座標の変換 ===
+
+    /**
+     * レイアウト座標 → ミニマップ上の位置
+     */
+    worldToMinimap(point) {
+        if (!this.transform) return { x: 0, y: 0 };
+        return {
+            x: this.transform.offsetX + (point.x - this.bounds.x) * this.transform.scale,
+            y: this.transform.offsetY + (point.y - this.bounds.y) * this.transform.scale
+        };
+    }
+
+    /**
+     * ミニマップ上の位置 → レイアウト座標（まだ描いていなければ null）
+     */
+    minimapToWorld(point) {
+        if (!this.transform) return null;
+        return {
+            x: this.bounds.x + (point.x - this.transform.offsetX) / this.transform.scale,
+            y: this.bounds.y + (point.y - this.transform.offsetY) / this.transform.scale
+        };
+    }
+
+    /**
+     * レイアウト座標の矩形（ビューポートなど）のミニマップ上の矩形
+     */
+    getMinimapRect(rect) {
+        const topLeft = this.worldToMinimap(rect);
+        const scale = this.transform ? this.transform.scale : 0;
+        return { x: topLeft.x, y: topLeft.y, width: rect.width * scale, height: rect.height * scale };
+    }
+}
+
+// エクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MinimapRenderBackend;
+} else if (typeof window !== 'undefined') {
+    window.MinimapRenderBackend = MinimapRenderBackend;
+}
@@ -0,0 +1,257 @@
+/**
+ * OrganicEcosystem - 複数のテキストを1つのキャンバスで別々の生物として育てる
+ * 生物（OrganicLayout）はそれぞれ播種領域・色・パラメータを持ち、
+ * 空間インデックス（ノードの衝突・枝の交差）と、全テキストをまとめて解析した語義場
+ * （テキストをまたぐ語義的引力）を共有する。2篇の詩、話者ごとの発話などの間テクスト性を可視化する
+ *
+ *   const ecosystem = new OrganicEcosystem(2000, 1200, { seed: 7 });
+ *   ecosystem.addOrganism(poemA, { id: 'a', seedRegion: { x: 600, y: 600, radius: 150 } });
+ *   ecosystem.addOrganism(poemB, { id: 'b', color: '#1976d2', params: { crossTextGravity: -0.5 } });
+ *   ecosystem.initialize();
+ *   ecosystem.start();
+ *   ecosystem.grow();
+ *   new SVGExporter().export(ecosystem);
+ */
+
+// 色の指定がない生物に順に割り当てる色
+const ORGANISM_COLORS = ['#c2185b', '#1976d2', '#388e3c', '#f57c00', '#7b1fa2', '#00838f'];
+
+class OrganicEcosystem {
+    /**
+     * config: 全生物に共通の OrganicLayout の設定（seed・writingMode・collocation など）
+     */
+    constructor(canvasWidth, canvasHeight, config = {}) {
+        this.canvasWidth = canvasWidth;
+        this.canvasHeight = canvasHeight;
+        this.environment = SimulationEnvironment.resolve(config);
+        this.config = { ...config, environment: this.environment };
+        this.params = { writingMode: config.writingMode || 'horizontal' };
+
+        // reset() で同じ順に作り直すための生物の指定
+        this.organismSpecs = [];
+
+        // 全生物で共有する出来事の通知（リセットしてもリスナーは残る。出来事の organism で生物を見分ける）
+        this.events = (typeof GrowthEvents !== 'undefined') ? new GrowthEvents() : null;
+        this.createSharedState();
+    }
+
+    createSharedState() {
+        this.spatialIndex = new SpatialIndex(this.canvasWidth, this.canvasHeight, 50);
+        this.semanticField = new SemanticField(this.config);
+        this.organisms = [];
+        this.text = '';
+        this.generation = 0;
+        this.isGrowing = false;
+        this.initialized = false;
+    }
+
+    /**
+     * 生物の追加（初期化後に加えた生物はその場で播種する）
+     * options: id, color, seedRegion: { x, y, radius }, params（成長パラメータの上書き）,
+     *          その他は OrganicLayout の設定（growthStrategy・constraint・kinsoku など）
+     */
+    addOrganism(text, options = {}) {
+        const {
+            id = `organism_${this.organisms.length}`,
+            color = ORGANISM_COLORS[this.organisms.length % ORGANISM_COLORS.length],
+            params = {},
+            ...layoutConfig
+        } = options;
+
+        if (typeof id !== 'string' || id.length === 0 || id.includes(':')) {
+            throw new Error(`Organism id must be a non-empty string without ':': ${id}`);
+        }
+        if (this.getOrganism(id)) {
+            throw new Error(`Duplicate organism id: ${id}`);
+        }
+
+        const layout = new OrganicLayout(text, this.canvasWidth, this.canvasHeight, {
+            ...this.config,
+            ...layoutConfig,
+            environment: this.environment,
+            spatialIndex: this.spatialIndex,
+            semanticField: this.semanticField,
+            events: this.events,
+            textOffset: this.text.length,
+            organism: id
+        });
+        Object.assign(layout.params, params);
+        layout.initialParams = { ...layout.params };
+
+        // 記法を取り除いた本文を共有の語義場に追記する（既存のテキストの語との語義的結合も張られる。
+        // 別のテキストなので、前の生物のテキスト末尾の語とはつなげない）
+        this.semanticField.appendText(layout.text, this.text.length, { separate: true });
+        this.text += layout.text;
+
+        const organism = { id, color, layout };
+        this.organisms.push(organism);
+        this.organismSpecs.push({ text, options });
+
+        if (this.initialized) {
+            layout.initialize();
+            if (this.isGrowing) layout.start();
+        }
+        return organism;
+    }
+
+    getOrganism(id) {
+        return this.organisms.find(organism => organism.id === id) || null;
+    }
+
+    /**
+     * 全生物の成長の出来事のリスナーの登録（OrganicLayout.on() と同じ）
+     */
+    on(type, listener) {
+        return this.requireEvents().on(type, listener);
+    }
+
+    once(type, listener) {
+        return this.requireEvents().once(type, listener);
+    }
+
+    off(type, listener) {
+        if (this.events) this.events.off(type, listener);
+    }
+
+    requireEvents() {
+        if (!this.events) {
+            throw new Error('Growth events require GrowthEvents.js');
+        }
+        return this.events;
+    }
+
+    initialize() {
+        this.organisms.forEach(({ layout }) => layout.initialize());
+        this.initialized = true;
+    }
+
+    start() {
+        this.isGrowing = true;
+        this.organisms.forEach(({ layout }) => layout.start());
+    }
+
+    pause() {
+        this.isGrowing = false;
+        this.organisms.forEach(({ layout }) => layout.pause());
+    }
+
+    /**
+     * 1世代の成長（先に伸びた生物が場所を取るので、世代ごとに成長させる順を巡回させる）
+     */
+    grow() {
+        if (!this.isGrowing) return;
+
+        const count = this.organisms.length;
+        for (let i = 0; i < count; i++) {
+            this.organisms[(this.generation + i) % count].layout.grow();
+        }
+        this.generation++;
+    }
+
+    /**
+     * 同じシード・同じ順の生物の追加から作り直す
+     */
+    reset() {
+        const specs = this.organismSpecs;
+        const wasInitialized = this.initialized;
+
+        this.environment.reset();
+        this.organismSpecs = [];
+        this.createSharedState();
+        specs.forEach(({ text, options }) => this.addOrganism(text, options));
+
+        if (wasInitialized) this.initialize();
+    }
+
+    /**
+     * 分散表現プロバイダの差し替えと全テキストの再解析
+     */
+    setEmbeddingProvider(provider) {
+        this.semanticField.setEmbeddingProvider(provider);
+        this.organisms.forEach(({ layout }) => { layout.embeddingProvider = provider; });
+
+        this.semanticField.semanticGraph.clear();
+        this.semanticField.clearCollocations();
+        this.semanticField.analyzeSemanticStructure(this.text);
+    }
+
+    /**
+     * 全生物のノードと枝の線分から共有の空間インデックスを作り直す
+     */
+    rebuildSpatialIndex() {
+        this.spatialIndex.clear();
+        this.organisms.forEach(({ layout }) => {
+            layout.nodes.forEach(node => this.spatialIndex.insert(node));
+            layout.connections.forEach(connection => layout.indexConnection(connection));
+        });
+    }
+
+    // === 描画・書き出し用（SVGExporter などには OrganicLayout と同じ形で渡せる） ===
+
+    get nodes() {
+        return this.organisms.flatMap(({ layout }) => layout.nodes);
+    }
+
+    get connections() {
+        return this.organisms.flatMap(({ color, layout }) =>
+            layout.connections.map(connection => ({ ...connection, color })));
+    }
+
+    get growthQueue() {
+        return this.organisms.flatMap(({ layout }) => layout.growthQueue);
+    }
+
+    get collocationFields() {
+        return this.organisms.flatMap(({ layout }) => layout.collocationFields);
+    }
+
+    get emergentPatterns() {
+        return this.organisms.flatMap(({ layout }) => layout.emergentPatterns);
+    }
+
+    /**
+     * 全生物の字形（生物の色つき）
+     */
+    getGlyphs() {
+        return this.organisms.flatMap(({ color, layout }) =>
+            layout.getGlyphs().map(glyph => ({ ...glyph, color })));
+    }
+
+    getRubyGlyphs() {
+        return this.organisms.flatMap(({ color, layout }) =>
+            layout.getRubyGlyphs().map(glyph => ({ ...glyph, color })));
+    }
+
+    /**
+     * ノードの持ち主の生物
+     */
+    getNodeOrganism(node) {
+        return node && node.organism ? this.getOrganism(node.organism) : null;
+    }
+
+    /**
+     * 生物ごとの成長の概要と、テキストをまたぐ接近（他の生物のノードとの近さ）
+     */
+    getReport() {
+        return {
+            generation: this.generation,
+            organisms: this.organisms.map(({ id, color, layout }) => ({
+                id,
+                color,
+                characters: layout.text.length,
+                nodes: layout.nodes.length,
+                connections: layout.connections.length,
+                activeTips: layout.growthQueue.length,
+                encounters: layout.nodes.filter(node =>
+                    this.spatialIndex.query(node.position, 50).some(other => other.organism !== id)).length
+            }))
+        };
+    }
+}
+
+// エクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OrganicEcosystem;
+} else if (typeof window !== 'undefined') {
+    window.OrganicEcosystem = OrganicEcosystem;
+}
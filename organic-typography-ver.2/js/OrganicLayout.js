@@ -13,6 +13,7 @@ if (typeof SemanticField === 'undefined') {
         visualizeCollocationSensation() { return []; }
         getSemanticDistance() { return 1; }
         getCollocationStrength() { return 0; }
+        getNodeCollocationStrength() { return 0; }
         getSemanticComplexity() { return 1; }
         calculateCognitiveLoad() { return 0.5; }
         recognizeEmergentPatterns() { return { clusters: [], bridges: [], spirals: [], fractals: [] }; }
@@ -44,19 +45,39 @@ if (typeof SpatialIndex === 'undefined') {
 }
 
 class OrganicLayout {
-    constructor(text, canvasWidth, canvasHeight) {
+    constructor(text, canvasWidth, canvasHeight, config = {}) {
+        // 青空文庫形式ではルビ・注記を取り除いた本文で成長させる
+        this.rubySpans = [];
+        this.annotations = [];
+        if (config.textFormat === 'aozora' && typeof AozoraParser !== 'undefined') {
+            const parsed = AozoraParser.parse(text);
+            text = parsed.text;
+            this.rubySpans = parsed.rubies;
+            this.annotations = parsed.annotations;
+        }
         this.text = text;
+        this.rubyGlyphCache = null;
+        
+        // 乱数・時計（シード指定時は決定論的、SemanticFieldと共有）
+        this.environment = SimulationEnvironment.resolve(config);
+        this.config = { ...config, environment: this.environment };
         this.canvasWidth = canvasWidth;
         this.canvasHeight = canvasHeight;
         this.nodes = [];
         this.connections = [];
-        this.spatialIndex = new SpatialIndex(canvasWidth, canvasHeight, 50);
+        
+        // 複数の生物（OrganicEcosystem）では空間インデックスと語義場を共有し、
+        // textOffset は共有の語義場の中でのこのテキストの開始位置、organism はノードの持ち主
+        this.organism = config.organism || null;
+        this.textOffset = config.textOffset || 0;
+        this.spatialIndex = config.spatialIndex || new SpatialIndex(canvasWidth, canvasHeight, 50);
+        this.longestUnit = 1;   // 最も長いノードの字数（findNodeAt() の探索半径）
         this.growthQueue = [];
         this.generation = 0;
         this.isGrowing = false;
         
         // 語義場システムの統合
-        this.semanticField = new SemanticField();
+        this.semanticField = config.semanticField || new SemanticField(this.config);
         this.collocationFields = [];
         this.readingTrajectory = [];
         this.emergentPatterns = [];
@@ -67,10 +88,20 @@ class OrganicLayout {
             energyDecay: 0.3,
             straightPreference: 0.9,
             branchProbability: 0.15,
-            intersectionPenalty: 50,
+            intersectionPenalty: 50,       // 既存の枝を横切る方向への減点（横切る枝1本あたり、px換算）
             coilingThreshold: 30,
             characterSpacing: 18,
             lineSpacing: 20,
+            writingMode: config.writingMode || 'horizontal',  // 'horizontal' | 'vertical'（縦組み）
+            kinsoku: config.kinsoku || 'strict',               // 禁則の強さ 'strict' | 'standard' | 'loose' | 'none'
+            kinsokuExtensionLimit: 4,                          // 行末禁則で成長停止を延長できる最大文字数
+            textFormat: config.textFormat || 'plain',          // 'plain' | 'aozora'（青空文庫形式のルビ・注記）
+            rubyScale: 0.5,                                    // 親文字に対するルビの大きさ
+            rubyOffset: 0.65,                                  // 枝からルビまでの距離（文字間隔比）
+            granularity: config.granularity || 'character',    // ノードの単位 'character'（1文字）| 'token'（1語）
+            crossTextGravity: 1.0,                             // 他の生物のノードとの語義的な力の倍率（負なら反発）
+            attractorInfluence: 0.5,                           // 引力点が枝先を引き寄せる強さ
+            obstacleRepulsion: 1.0,                            // 障害物が枝先を押し返す強さ
             
             // 語義的パラメータ
             semanticGravity: 0.6,          // 語義的引力の強さ
@@ -81,6 +112,35 @@ class OrganicLayout {
             reflexivityDepth: 0.5          // 自己言及の深度
         };
         
+        // 分岐・成長停止に適用する禁則処理
+        this.kinsoku = (typeof KinsokuRules !== 'undefined') ? new KinsokuRules(this.params.kinsoku) : null;
+        
+        // 成長領域の制約と播種用のガイドパス（config.constraint）
+        this.constraint = (typeof ShapeConstraint !== 'undefined') ?
+                          ShapeConstraint.create(config.constraint, canvasWidth, canvasHeight) : null;
+        if (this.constraint) {
+            this.config.constraint = this.constraint.toJSON();
+        }
+        
+        // 実行中に配置・移動できる引力点と障害物
+        this.attractors = [];
+        this.obstacles = [];
+        this.fieldElementCount = 0;
+        
+        // 成長規則（config.growthStrategy: 登録名または GrowthStrategy のインスタンス）
+        this.setGrowthStrategy(config.growthStrategy, config.growthStrategyOptions);
+        
+        // 自己適応で変化したパラメータをリセット時に戻すための初期値
+        this.initialParams = { ...this.params };
+        
+        // 世代ごとの差分の履歴（config.history: false で無効、{ limit } で保持する世代数）。
+        // 空間インデックスを共有する生物（OrganicEcosystem）では他の生物の成長と切り離せないため記録しない
+        this.history = (typeof GrowthHistory !== 'undefined' && config.history !== false && !config.spatialIndex) ?
+                       new GrowthHistory(this, config.history || {}) : null;
+        
+        // 成長の出来事の通知（on() でリスナーを登録する。生物の中では OrganicEcosystem と共有する）
+        this.events = config.events || ((typeof GrowthEvents !== 'undefined') ? new GrowthEvents() : null);
+        
         // 初期化時に語義構造を解析
         this.initializeSemanticStructure();
     }
@@ -89,88 +149,346 @@ class OrganicLayout {
      * 語義構造の初期化
      */
     initializeSemanticStructure() {
-        // テキストの語義構造を解析
-        this.semanticField.analyzeSemanticStructure(this.text);
+        // テキストの語義構造を解析（共有の語義場は共有する側が全テキストを解析する）
+        if (!this.config.semanticField) {
+            this.semanticField.analyzeSemanticStructure(this.text);
+        }
         
         // 初期読解状態を設定
         this.currentReadingState = {
             position: { x: this.canvasWidth / 2, y: this.canvasHeight / 2 },
             attention: [],
             cognitiveLoad: 0.5,
-            temporalContext: Date.now()
+            temporalContext: this.environment.now()
         };
     }
 
+    /**
+     * 分散表現プロバイダの差し替えと語義構造の再解析
+     */
+    setEmbeddingProvider(provider) {
+        this.embeddingProvider = provider;
+        this.semanticField.setEmbeddingProvider(provider);
+        
+        this.semanticField.semanticGraph.clear();
+        this.semanticField.clearCollocations();
+        this.semanticField.analyzeSemanticStructure(this.text);
+    }
+
+    /**
+     * 成長規則の切り替え（成長の途中でも次の世代から適用される）
+     */
+    setGrowthStrategy(strategy, options = {}) {
+        this.growthStrategy = GrowthStrategy.create(strategy, options);
+        this.config.growthStrategy = this.growthStrategy.name;
+        this.config.growthStrategyOptions = this.growthStrategy.options;
+        return this.growthStrategy;
+    }
+
     initialize() {
         // 初期シードの生成
         const seedCount = Math.max(3, Math.floor(Math.sqrt(this.text.length) / 5));
-        const centerX = this.canvasWidth / 2;
-        const centerY = this.canvasHeight / 2;
+        const seedRegion = this.config.seedRegion || null;   // { x, y, radius }（省略時はキャンバス中央）
+        const centerX = seedRegion ? seedRegion.x : this.canvasWidth / 2;
+        const centerY = seedRegion ? seedRegion.y : this.canvasHeight / 2;
+        const vertical = this.params.writingMode === 'vertical';
+        const guidePoints = this.constraint ? this.constraint.getGuidePoints(seedCount) : [];
         
         for (let i = 0; i < seedCount; i++) {
             const angle = (i / seedCount) * Math.PI * 2;
-            const radius = 100 + Math.random() * 50;
+            const radius = seedRegion ?
+                           seedRegion.radius * (0.5 + this.environment.random() * 0.5) :
+                           100 + this.environment.random() * 50;
+            
+            // 縦組みでは上端に右から左へ並べ、下向きに成長させる
+            let growthAngle = vertical ? Math.PI / 2 : angle;
+            let position = vertical ? {
+                x: centerX + ((seedCount - 1) / 2 - i) * this.params.lineSpacing * 3,
+                y: centerY - radius
+            } : {
+                x: centerX + Math.cos(angle) * radius,
+                y: centerY + Math.sin(angle) * radius
+            };
+            
+            // ガイドパスがあればそれに沿って並べ、接線方向へ伸ばす。領域外のシードは領域内へ移す
+            if (guidePoints[i]) {
+                position = guidePoints[i].position;
+                growthAngle = Math.atan2(guidePoints[i].tangent.dy, guidePoints[i].tangent.dx);
+            } else if (this.constraint && this.constraint.hasRegion() && !this.constraint.contains(position)) {
+                position = this.constraint.randomPointInside(() => this.environment.random()) || position;
+            }
+            
+            const textIndex = this.getTextUnitStart(i * Math.floor(this.text.length / seedCount));
             const seed = {
-                id: `node_${this.nodes.length}`,
-                char: this.text[0],
-                position: {
-                    x: centerX + Math.cos(angle) * radius,
-                    y: centerY + Math.sin(angle) * radius
-                },
+                id: this.createNodeId(),
+                char: this.getTextUnit(textIndex),
+                position: position,
                 velocity: {
-                    dx: Math.cos(angle + (Math.random() - 0.5) * 0.5),
-                    dy: Math.sin(angle + (Math.random() - 0.5) * 0.5)
+                    dx: Math.cos(growthAngle + (this.environment.random() - 0.5) * 0.5),
+                    dy: Math.sin(growthAngle + (this.environment.random() - 0.5) * 0.5)
                 },
                 energy: this.params.initialEnergy,
                 generation: 0,
-                textIndex: i * Math.floor(this.text.length / seedCount),
+                textIndex: textIndex,
+                tokenId: this.getTokenId(textIndex),
                 parent: null,
                 children: [],
                 curvature: 0
             };
             
-            this.nodes.push(seed);
-            this.spatialIndex.insert(seed);
+            this.addNode(seed);
             this.growthQueue.push(seed);
         }
     }
 
+    /**
+     * text[textIndex] を含むノードの単位の始まり（'token' では語の途中から始めない）
+     */
+    getTextUnitStart(textIndex) {
+        if (this.params.granularity !== 'token') return textIndex;
+        
+        const index = this.semanticField.findMorphemeIndex(this.textOffset + textIndex);
+        let start = index < 0 ? textIndex : Math.max(0, this.semanticField.morphemes[index].start - this.textOffset);
+        while (start > 0 && this.isInsideRubyBase(start)) start--;
+        return start;
+    }
+
+    /**
+     * text[textIndex] から始まるノードの単位の終わり（次のノードの textIndex）
+     * 'token' では textIndex を含む形態素の終わりまでを1ノードとする（ルビの親文字は分けない）
+     */
+    getTextUnitEnd(textIndex) {
+        if (this.params.granularity !== 'token') return textIndex + 1;
+        
+        const index = this.semanticField.findMorphemeIndex(this.textOffset + textIndex);
+        let end = index < 0 ? textIndex + 1 : this.semanticField.morphemes[index].end - this.textOffset;
+        while (end < this.text.length && this.isInsideRubyBase(end)) end++;
+        return Math.min(end, this.text.length);
+    }
+
+    /**
+     * ノードが表す文字列（'character' では1文字、'token' では1語）
+     */
+    getTextUnit(textIndex) {
+        if (this.params.granularity !== 'token') return this.text[textIndex];
+        return this.text.slice(textIndex, this.getTextUnitEnd(textIndex));
+    }
+
+    /**
+     * テキストの最後の単位まで達したか
+     */
+    isAtTextEnd(node) {
+        return this.getTextUnitEnd(node.textIndex) >= this.text.length;
+    }
+
+    /**
+     * ノードから次のノードまでの距離（語のノードは字数分の長さを枝の上に占める）
+     */
+    getStepLength(node) {
+        return this.params.characterSpacing * (node.char ? Array.from(node.char).length : 1);
+    }
+
+    /**
+     * text[textIndex] を含む内容語のトークンID（語義場の形態素列の添字）
+     */
+    getTokenId(textIndex) {
+        return this.semanticField.getTokenId(this.textOffset + textIndex);
+    }
+
+    /**
+     * text[textIndex] を含む内容語の形態素（start・end は語義場の文字位置）と表層形
+     */
+    getMorphemeAt(textIndex) {
+        return this.semanticField.getMorphemeAt(this.textOffset + textIndex);
+    }
+
+    getWordAt(textIndex) {
+        return this.semanticField.getWordAt(this.textOffset + textIndex);
+    }
+
+    /**
+     * ノードの語義を評価する語（属する語、語に属さない記号などはノードの文字）
+     */
+    getNodeWord(node) {
+        return this.semanticField.getNodeWord(node);
+    }
+
+    /**
+     * text[textIndex] から分岐を始められるか（禁則処理）
+     */
+    canForkAt(textIndex) {
+        if (this.isInsideRubyBase(textIndex)) return false;
+        return !this.kinsoku || this.kinsoku.canStartAt(this.text, textIndex);
+    }
+
+    /**
+     * text[textIndex - 1] と text[textIndex] が同じルビの親文字か（親文字は分割しない）
+     */
+    isInsideRubyBase(textIndex) {
+        return this.rubySpans.some(span => span.start < textIndex && textIndex < span.end);
+    }
+
+    /**
+     * 成長停止が行末禁則に触れる（またはルビの親文字を分ける）ため、枝を延長すべきか
+     */
+    shouldExtendForKinsoku(node) {
+        if ((node.kinsokuExtension || 0) >= this.params.kinsokuExtensionLimit) return false;
+        const end = this.getTextUnitEnd(node.textIndex);
+        if (this.isInsideRubyBase(end)) return true;
+        if (!this.kinsoku) return false;
+        return !this.kinsoku.canEndAt(this.text, end - 1);
+    }
+
+    /**
+     * 組方向に沿った向きか（縦組みでは上向き・右向きへの逆行を除く）
+     */
+    isWithinWritingFlow(direction) {
+        if (this.params.writingMode !== 'vertical') return true;
+        return direction.dy >= -0.1 && direction.dx <= 0.1;
+    }
+
+    /**
+     * テキストの追記（語義場を増分更新し、既存の枝先から新しい成長前線を伸ばす）
+     */
+    appendText(text) {
+        if (typeof text !== 'string' || text.length === 0) return [];
+        if (this.config.semanticField) {
+            throw new Error('Cannot append text to a layout that shares its SemanticField; add another organism instead');
+        }
+        
+        const offset = this.text.length;
+        if (this.params.textFormat === 'aozora' && typeof AozoraParser !== 'undefined') {
+            const parsed = AozoraParser.parse(text, offset);
+            text = parsed.text;
+            this.rubySpans.push(...parsed.rubies);
+            this.annotations.push(...parsed.annotations);
+            if (text.length === 0) return [];
+        }
+        
+        this.text += text;
+        const morphemes = this.semanticField.appendText(text, offset);
+        
+        // 追記の境目で解析し直した語（「言」→「言語」）に属するノードは語を引き直す。
+        // 'token' の枝先は次のノードが語の終わりから続くため、ノードの文字列も広げる
+        const retokenized = morphemes.length > 0 ? Math.min(morphemes[0].start, offset) : offset;
+        this.nodes.forEach(node => {
+            if (node.textIndex < retokenized || node.textIndex >= offset) return;
+            node.tokenId = this.getTokenId(node.textIndex);
+            if (this.params.granularity === 'token' && node.children.length === 0) {
+                node.char = this.getTextUnit(node.textIndex);
+                this.trackUnitLength(node);
+            }
+        });
+        this.rubyGlyphCache = null;
+        
+        // 追記前の世代へは語義場ごとは戻せないため、履歴はここから取り直す
+        if (this.history) this.history.clear();
+        
+        // 未初期化のレイアウトは initialize() で通常どおり播種する
+        if (this.nodes.length === 0) return [];
+        
+        // 境目の語が追記分まで広がったときは、その語の続きから伸ばす（「言語」の「語」を二度置かない）
+        const start = this.getTextUnitStart(offset) < offset ? this.getTextUnitEnd(offset) : offset;
+        if (start >= this.text.length) return [];
+        
+        return this.seedGrowthFronts(start, Math.max(1, Math.floor(Math.sqrt(text.length) / 5)));
+    }
+
+    /**
+     * 枝先からの成長前線の播種
+     */
+    seedGrowthFronts(textIndex, count) {
+        const activeIds = new Set(this.growthQueue.map(node => node.id));
+        
+        // 成長を終えた枝先のうち、周囲の混み合っていないものを優先
+        const tips = this.nodes
+            .filter(node => node.children.length === 0 && !activeIds.has(node.id))
+            .map(node => ({ node, crowding: this.spatialIndex.query(node.position, 50).length }))
+            .sort((a, b) => a.crowding - b.crowding);
+        
+        const fronts = [];
+        for (const { node: tip } of tips) {
+            if (fronts.length >= count) break;
+            
+            const nearbyNodes = this.spatialIndex.query(tip.position, 50);
+            const front = {
+                id: this.createNodeId(),
+                char: this.getTextUnit(textIndex),
+                position: {
+                    x: tip.position.x + tip.velocity.dx * this.getStepLength(tip),
+                    y: tip.position.y + tip.velocity.dy * this.getStepLength(tip)
+                },
+                velocity: { ...tip.velocity },
+                energy: this.params.initialEnergy,
+                generation: tip.generation + 1,
+                textIndex: textIndex,
+                tokenId: this.getTokenId(textIndex),
+                parent: tip.id,
+                children: [],
+                curvature: 0
+            };
+            
+            if (this.checkIntersection(front, nearbyNodes)) continue;
+            
+            this.addNode(front);
+            tip.children.push(front.id);
+            
+            const connectionType = this.determineConnectionType(tip, front);
+            this.addConnection({
+                from: tip.id,
+                to: front.id,
+                type: connectionType.visual,
+                semanticType: connectionType.semantic,
+                curvature: 0,
+                interference: connectionType.interference
+            });
+            
+            this.growthQueue.push(front);
+            fronts.push(front);
+        }
+        
+        return fronts;
+    }
+
     grow() {
         if (!this.isGrowing || this.growthQueue.length === 0) return;
         
+        // 1世代分の差分を履歴に記録する（過去の世代からの成長はその先の履歴を捨てて分岐する）
+        const historyMark = this.history ? this.history.begin() : null;
+        
         const newQueue = [];
+        const strategy = this.growthStrategy;
+        const nodeCount = this.nodes.length;
         
         for (const node of this.growthQueue) {
-            if (node.energy <= 0 || node.textIndex >= this.text.length - 1) continue;
+            // 終端判定（既定ではテキスト末尾・エネルギー切れ。禁則に触れる位置では終えない）
+            if (strategy.shouldTerminate(this, node)) {
+                this.emit('branch:terminated', { node, reason: this.isAtTextEnd(node) ? 'textEnd' : 'exhausted' });
+                continue;
+            }
             
             // 近隣ノードの検出
             const nearbyNodes = this.spatialIndex.query(node.position, 50);
             
-            // 語義場の影響を考慮した成長方向の計算
-            const growthDir = this.calculateSemanticGrowthDirection(node, nearbyNodes);
-            
-            // 身体化された読解体験のシミュレーション
-            const embodiedDirection = this.semanticField.simulateReadingBody(node, this.nodes);
-            
-            // 視覚-語義干渉パターンの適用
-            const interferencePattern = this.applyInterferencePattern(growthDir, embodiedDirection, node);
-            
-            // エネルギー減少による曲率の増加（語義的要因を含む）
-            const curvature = this.calculateSemanticCurvature(node, nearbyNodes);
-            const curvedDir = this.applyCurvature(interferencePattern, curvature);
+            // 成長方向と曲率（既定では語義場・身体化・干渉パターン・組方向を合成）
+            const flowDir = strategy.getDirection(this, node, nearbyNodes);
+            const curvature = strategy.getCurvature(this, node, nearbyNodes);
+            const curvedDir = this.constrainDirection(node, strategy.applyCurvature(this, flowDir, curvature, node));
             
             // 新しいノードの生成
+            const textIndex = this.getTextUnitEnd(node.textIndex);
             const newNode = {
-                id: `node_${this.nodes.length}`,
-                char: this.text[node.textIndex + 1],
+                id: this.createNodeId(),
+                char: this.getTextUnit(textIndex),
                 position: {
-                    x: node.position.x + curvedDir.dx * this.params.characterSpacing,
-                    y: node.position.y + curvedDir.dy * this.params.characterSpacing
+                    x: node.position.x + curvedDir.dx * this.getStepLength(node),
+                    y: node.position.y + curvedDir.dy * this.getStepLength(node)
                 },
                 velocity: curvedDir,
-                energy: node.energy - this.calculateEnergyDecay(node, nearbyNodes),
+                energy: node.energy - strategy.getEnergyDecay(this, node, nearbyNodes),
                 generation: node.generation + 1,
-                textIndex: node.textIndex + 1,
+                textIndex: textIndex,
+                tokenId: this.getTokenId(textIndex),
                 parent: node.id,
                 children: [],
                 curvature: curvature,
@@ -182,6 +500,10 @@ class OrganicLayout {
                 temporalLayer: this.getCurrentTemporalLayer()
             };
             
+            if (node.energy <= 0) {
+                newNode.kinsokuExtension = (node.kinsokuExtension || 0) + 1;
+            }
+            
             // 連語感覚フィールドの生成
             const collocationField = this.semanticField.visualizeCollocationSensation(node, nearbyNodes);
             if (collocationField.length > 0) {
@@ -189,15 +511,16 @@ class OrganicLayout {
             }
             
             // 交差チェック（語義的考慮を含む）
-            if (!this.checkSemanticIntersection(newNode, nearbyNodes)) {
-                this.nodes.push(newNode);
-                this.spatialIndex.insert(newNode);
+            if (!strategy.isBlocked(this, newNode, nearbyNodes)) {
+                this.addNode(newNode);
                 node.children.push(newNode.id);
                 newQueue.push(newNode);
+                strategy.onNodeCreated(this, newNode, node);
+                this.consumeAttractors(newNode.position);
                 
                 // 接続の追加（語義的タイプを含む）
                 const connectionType = this.determineConnectionType(node, newNode);
-                this.connections.push({
+                this.addConnection({
                     from: node.id,
                     to: newNode.id,
                     type: connectionType.visual,
@@ -207,19 +530,28 @@ class OrganicLayout {
                     resonance: newNode.semanticResonance
                 });
                 
-                // 語義的分岐判定
-                const branchProbability = this.calculateSemanticBranchProbability(node, nearbyNodes);
-                if (Math.random() < branchProbability && node.energy > 50) {
-                    const branchNode = this.createSemanticBranch(node, nearbyNodes);
-                    if (branchNode) {
-                        newQueue.push(branchNode);
+                // 分岐判定
+                if (strategy.shouldBranch(this, node, nearbyNodes)) {
+                    const branchNodes = strategy.createBranch(this, node, nearbyNodes);
+                    if (branchNodes) {
+                        [].concat(branchNodes).forEach(branch => {
+                            this.emit('branch:forked', { node: branch, parent: node, reason: 'branch' });
+                        });
+                        newQueue.push(...[].concat(branchNodes));
                     }
                 }
             } else {
-                // 語義的回避分岐
-                const avoidanceNode = this.createSemanticAvoidanceBranch(node, nearbyNodes);
-                if (avoidanceNode) {
-                    newQueue.push(avoidanceNode);
+                this.emit('collision', { node, position: newNode.position, nearbyNodes });
+                
+                // 行き止まり（既定では語義的回避分岐、禁則位置なら次世代に再挑戦）
+                const retryNode = strategy.onBlocked(this, node, nearbyNodes);
+                if (retryNode) {
+                    if (retryNode !== node) {
+                        this.emit('branch:forked', { node: retryNode, parent: node, reason: 'avoidance' });
+                    }
+                    newQueue.push(retryNode);
+                } else {
+                    this.emit('branch:terminated', { node, reason: 'blocked' });
                 }
             }
             
@@ -236,7 +568,18 @@ class OrganicLayout {
         }
         
         this.growthQueue = newQueue;
+        this.emit('generation:end', {
+            created: this.nodes.length - nodeCount,
+            nodes: this.nodes.length,
+            activeTips: newQueue.length
+        });
+        
         this.generation++;
+        this.environment.tick();
+        
+        if (historyMark) {
+            this.history.commit(historyMark);
+        }
     }
 
     calculateGrowthDirection(node, nearbyNodes) {
@@ -265,9 +608,23 @@ class OrganicLayout {
         };
     }
 
+    /**
+     * 組方向への引き戻し（縦組みでは行方向＝下向きを基調とする）
+     */
+    applyWritingFlow(direction) {
+        if (this.params.writingMode !== 'vertical') return direction;
+        
+        const normalized = this.normalizeVector(direction);
+        const weight = this.params.straightPreference * 0.5;
+        return {
+            dx: normalized.dx * (1 - weight),
+            dy: normalized.dy * (1 - weight) + weight
+        };
+    }
+
     applyCurvature(direction, curvature) {
         const angle = Math.atan2(direction.dy, direction.dx);
-        const curveAngle = angle + (Math.random() - 0.5) * curvature * Math.PI;
+        const curveAngle = angle + (this.environment.random() - 0.5) * curvature * Math.PI;
         
         return {
             dx: Math.cos(curveAngle),
@@ -276,6 +633,8 @@ class OrganicLayout {
     }
 
     checkIntersection(node, nearbyNodes) {
+        if (this.isForbiddenPosition(node.position)) return true;
+        
         for (const nearby of nearbyNodes) {
             const dx = node.position.x - nearby.position.x;
             const dy = node.position.y - nearby.position.y;
@@ -285,19 +644,406 @@ class OrganicLayout {
                 return true;
             }
         }
-        return false;
+        
+        // 親から伸びる新しい枝が既存の枝を横切る場合も交差とする
+        const parent = node.parent !== null && node.parent !== undefined ?
+                       this.spatialIndex.findItemById(node.parent) : null;
+        return parent ? this.countBranchCrossings(parent.position, node.position) > 0 : false;
+    }
+
+    /**
+     * ノードを置けない位置か（制約領域の外、または障害物の中）
+     */
+    isForbiddenPosition(position) {
+        return this.isOutsideConstraint(position) || this.isInsideObstacle(position);
+    }
+
+    /**
+     * 成長を止める制約（mode: 'kill'）の領域外か
+     */
+    isOutsideConstraint(position) {
+        return Boolean(this.constraint && this.constraint.mode === 'kill' && !this.constraint.contains(position));
+    }
+
+    /**
+     * 引力点の追加（範囲内の枝先を引き寄せ、consumeRadius 以内に届いた時点で消える。0 なら消えない）
+     */
+    addAttractor({ x, y, strength = 1, radius = 300, consumeRadius = 0, id } = {}) {
+        const attractor = {
+            id: id || `attractor_${this.fieldElementCount++}`,
+            type: 'attractor',
+            position: { x, y },
+            strength,
+            radius,
+            consumeRadius
+        };
+        this.attractors.push(attractor);
+        return attractor;
+    }
+
+    /**
+     * 障害物の追加（画像・UIパネル・別の文章ブロックなど。中には置けず、margin 以内の枝先を押し返す）
+     * shape: 'rect'（x, y が左上）| 'circle'（x, y が中心）| 'polygon'（points は x, y からの相対座標）
+     */
+    addObstacle({ shape = 'rect', x = 0, y = 0, width = 100, height = 100, radius = 50, points = [], margin = 40, id } = {}) {
+        if (!['rect', 'circle', 'polygon'].includes(shape)) {
+            throw new Error(`Unknown obstacle shape: ${shape}`);
+        }
+
+        const obstacle = {
+            id: id || `obstacle_${this.fieldElementCount++}`,
+            type: 'obstacle',
+            shape,
+            position: { x, y },
+            margin
+        };
+        if (shape === 'rect') Object.assign(obstacle, { width, height });
+        if (shape === 'circle') obstacle.radius = radius;
+        if (shape === 'polygon') obstacle.points = points.map(point => ({ x: point.x, y: point.y }));
+
+        this.obstacles.push(obstacle);
+        return obstacle;
+    }
+
+    getFieldElement(id) {
+        return this.attractors.find(element => element.id === id) ||
+            this.obstacles.find(element => element.id === id) || null;
+    }
+
+    /**
+     * 引力点・障害物の移動（成長中でもよい。次の世代から新しい位置で働く）
+     */
+    moveFieldElement(id, x, y) {
+        const element = this.getFieldElement(id);
+        if (!element) return null;
+        element.position.x = x;
+        element.position.y = y;
+        return element;
+    }
+
+    removeFieldElement(id) {
+        const element = this.getFieldElement(id);
+        if (!element) return false;
+        const list = element.type === 'attractor' ? this.attractors : this.obstacles;
+        list.splice(list.indexOf(element), 1);
+        return true;
+    }
+
+    /**
+     * 位置にある引力点・障害物（引力点を優先）
+     */
+    findFieldElementAt(position, tolerance = 12) {
+        const attractor = this.attractors.find(element =>
+            this.getDistance(element.position, position) <= tolerance);
+        if (attractor) return attractor;
+
+        // 後から追加した障害物が上に描かれるので逆順に探す
+        for (let i = this.obstacles.length - 1; i >= 0; i--) {
+            if (this.getObstacleDistance(this.obstacles[i], position) <= 0) return this.obstacles[i];
+        }
+        return null;
+    }
+
+    isInsideObstacle(position) {
+        return this.obstacles.some(obstacle => this.getObstacleDistance(obstacle, position) < 0);
+    }
+
+    /**
+     * 障害物の縁からの距離（内側は負）と、縁から外へ向かう単位ベクトル
+     */
+    getObstacleDistance(obstacle, position) {
+        return this.measureObstacle(obstacle, position).distance;
+    }
+
+    measureObstacle(obstacle, position) {
+        const { x, y } = obstacle.position;
+
+        if (obstacle.shape === 'circle') {
+            const dx = position.x - x;
+            const dy = position.y - y;
+            const d = Math.sqrt(dx * dx + dy * dy);
+            const normal = d > 0 ? { dx: dx / d, dy: dy / d } : { dx: 1, dy: 0 };
+            return { distance: d - obstacle.radius, normal };
+        }
+
+        const points = obstacle.shape === 'rect'
+            ? [{ x: 0, y: 0 }, { x: obstacle.width, y: 0 }, { x: obstacle.width, y: obstacle.height }, { x: 0, y: obstacle.height }]
+            : obstacle.points;
+        if (points.length < 3) return { distance: Infinity, normal: { dx: 0, dy: 0 } };
+
+        // 最も近い辺上の点と、偶奇規則による内外判定
+        let inside = false;
+        let best = { distanceSq: Infinity, x: 0, y: 0 };
+        for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+            const a = { x: x + points[j].x, y: y + points[j].y };
+            const b = { x: x + points[i].x, y: y + points[i].y };
+
+            if ((b.y > position.y) !== (a.y > position.y) &&
+                position.x < (a.x - b.x) * (position.y - b.y) / (a.y - b.y) + b.x) {
+                inside = !inside;
+            }
+
+            const ex = b.x - a.x;
+            const ey = b.y - a.y;
+            const lengthSq = ex * ex + ey * ey;
+            const t = lengthSq > 0
+                ? Math.max(0, Math.min(1, ((position.x - a.x) * ex + (position.y - a.y) * ey) / lengthSq))
+                : 0;
+            const cx = a.x + ex * t;
+            const cy = a.y + ey * t;
+            const distanceSq = (position.x - cx) ** 2 + (position.y - cy) ** 2;
+            if (distanceSq < best.distanceSq) best = { distanceSq, x: cx, y: cy };
+        }
+
+        const d = Math.sqrt(best.distanceSq);
+        const sign = inside ? -1 : 1;
+        const normal = d > 0
+            ? { dx: sign * (position.x - best.x) / d, dy: sign * (position.y - best.y) / d }
+            : { dx: 0, dy: 0 };
+        return { distance: sign * d, normal };
+    }
+
+    /**
+     * 引力点の引き寄せと障害物の反発の合力（どちらもなければ 0）
+     */
+    calculateFieldForce(node) {
+        const force = { dx: 0, dy: 0 };
+
+        this.attractors.forEach(attractor => {
+            const d = this.getDistance(node.position, attractor.position);
+            if (d === 0 || d > attractor.radius) return;
+            const pull = attractor.strength * (1 - d / attractor.radius) * this.params.attractorInfluence;
+            force.dx += (attractor.position.x - node.position.x) / d * pull;
+            force.dy += (attractor.position.y - node.position.y) / d * pull;
+        });
+
+        this.obstacles.forEach(obstacle => {
+            const { distance, normal } = this.measureObstacle(obstacle, node.position);
+            if (distance > obstacle.margin) return;
+            // 縁に近いほど強く、内側に入り込んでいれば最大で押し返す
+            const push = Math.min(1, 1 - distance / obstacle.margin) * this.params.obstacleRepulsion;
+            force.dx += normal.dx * push;
+            force.dy += normal.dy * push;
+        });
+
+        return force;
+    }
+
+    /**
+     * 枝先が届いた引力点を取り除く
+     */
+    consumeAttractors(position) {
+        if (this.attractors.length === 0) return;
+        this.attractors = this.attractors.filter(attractor =>
+            attractor.consumeRadius <= 0 || this.getDistance(position, attractor.position) > attractor.consumeRadius);
+    }
+
+    /**
+     * 成長方向を制約領域の内側へ曲げる（mode: 'repel'）
+     */
+    constrainDirection(node, direction) {
+        if (!this.constraint) return direction;
+        return this.constraint.steer(node.position, direction, this.params.characterSpacing);
+    }
+
+    /**
+     * 線分 from–to が横切る既存の枝の数
+     */
+    countBranchCrossings(from, to) {
+        return this.spatialIndex.segmentsIntersecting(from, to).length;
+    }
+
+    /**
+     * 新しいノードのID（生物ごとに接頭辞を付け、共有の空間インデックスで衝突させない）
+     */
+    createNodeId() {
+        return this.organism ? `${this.organism}:node_${this.nodes.length}` : `node_${this.nodes.length}`;
+    }
+
+    /**
+     * 成長の出来事のリスナーの登録（種類とペイロードは GrowthEvents を参照。戻り値は登録を解除する関数）
+     */
+    on(type, listener) {
+        return this.requireEvents().on(type, listener);
+    }
+
+    once(type, listener) {
+        return this.requireEvents().once(type, listener);
+    }
+
+    off(type, listener) {
+        if (this.events) this.events.off(type, listener);
+    }
+
+    requireEvents() {
+        if (!this.events) {
+            throw new Error('Growth events require GrowthEvents.js');
+        }
+        return this.events;
+    }
+
+    /**
+     * 出来事の発行（世代と生物を添える。リスナーがなければ何もしない）
+     */
+    emit(type, payload) {
+        if (!this.events || !this.events.hasListeners(type)) return null;
+        return this.events.emit(type, { generation: this.generation, organism: this.organism, ...payload });
+    }
+
+    /**
+     * ノードの追加（空間インデックスにも登録し、生物の中では持ち主を記録する）
+     */
+    addNode(node) {
+        if (this.organism) node.organism = this.organism;
+        this.nodes.push(node);
+        this.spatialIndex.insert(node);
+        this.trackUnitLength(node);
+        this.emit('node:created', { node });
+        return node;
+    }
+
+    /**
+     * 接続の追加（枝の線分を空間インデックスにも登録する）
+     */
+    addConnection(connection) {
+        this.connections.push(connection);
+        this.indexConnection(connection);
+        return connection;
+    }
+
+    indexConnection(connection) {
+        const from = this.spatialIndex.findItemById(connection.from);
+        const to = this.spatialIndex.findItemById(connection.to);
+        if (!from || !to) return false;
+        
+        return this.spatialIndex.insertSegment({
+            id: `${connection.from}->${connection.to}`,
+            p1: from.position,
+            p2: to.position,
+            connection
+        });
+    }
+
+    /**
+     * ノードと枝の線分から空間インデックスを作り直す（復元・間引きの後に使う）
+     */
+    rebuildSpatialIndex() {
+        this.spatialIndex.clear();
+        this.longestUnit = 1;
+        this.nodes.forEach(node => {
+            this.spatialIndex.insert(node);
+            this.trackUnitLength(node);
+        });
+        this.connections.forEach(connection => this.indexConnection(connection));
+    }
+
+    /**
+     * 最も長いノードの字数の更新（ノードを足したとき・ノードの文字列を広げたとき）
+     */
+    trackUnitLength(node) {
+        this.longestUnit = Math.max(this.longestUnit || 1, node.char ? Array.from(node.char).length : 1);
+    }
+
+    /**
+     * 位置にあるノード（字形から tolerance 以内で最も近いもの。語のノードは2文字目以降の字形でも当たる）
+     */
+    findNodeAt(position, tolerance = this.params.characterSpacing / 2) {
+        // 語のノードは先頭の字形の位置で索引されているので、最も長い語の分だけ広く探す
+        const longest = this.longestUnit || 1;
+        const candidates = this.spatialIndex.query(position, tolerance + this.params.characterSpacing * (longest - 1));
+
+        let nearest = null;
+        let nearestDistance = tolerance;
+        for (const node of candidates) {
+            if (this.organism && node.organism !== this.organism) continue;
+
+            for (const glyph of this.getNodeGlyphs(node)) {
+                const distance = this.getDistance(glyph.position, position);
+                if (distance <= nearestDistance) {
+                    nearest = node;
+                    nearestDistance = distance;
+                }
+            }
+        }
+        return nearest;
+    }
+
+    /**
+     * ノードから播種されたノードまでの祖先の列（ノード自身を先頭に含む）
+     */
+    getAncestorPath(node) {
+        const nodeMap = new Map(this.nodes.map(entry => [entry.id, entry]));
+        const path = [];
+        const visited = new Set();
+
+        let current = node;
+        while (current && !visited.has(current.id)) {
+            visited.add(current.id);
+            path.push(current);
+            current = current.parent !== null && current.parent !== undefined ? nodeMap.get(current.parent) : null;
+        }
+        return path;
+    }
+
+    /**
+     * インスペクター用のノードの詳細（構造化複製できる値のみ。見つからなければ null）
+     * connection は親からこのノードへの接続、ancestors はノード自身から播種されたノードまでの id
+     */
+    inspectNode(id) {
+        const node = this.nodes.find(entry => entry.id === id);
+        if (!node) return null;
+
+        const summarize = entry => entry ? { id: entry.id, char: entry.char } : null;
+        const ancestors = this.getAncestorPath(node);
+        const connection = this.connections.find(entry => entry.to === node.id && entry.from === node.parent) || null;
+        const morpheme = this.semanticField.getNodeMorpheme(node);
+        const childIds = new Set(node.children || []);
+
+        return {
+            id: node.id,
+            char: node.char,
+            organism: node.organism || null,
+            textIndex: node.textIndex,
+            token: morpheme ? {
+                id: node.tokenId !== undefined ? node.tokenId : this.getTokenId(node.textIndex),
+                surface: morpheme.surface,
+                reading: morpheme.reading || null,
+                pos: morpheme.pos || null
+            } : null,
+            generation: node.generation,
+            energy: node.energy,
+            semanticResonance: node.semanticResonance,
+            collocationStrength: node.collocationStrength,
+            readingDepth: node.readingDepth,
+            temporalInfluence: node.temporalInfluence || null,
+            historicalOtherness: node.historicalOtherness || null,
+            parent: summarize(ancestors[1]),
+            children: this.nodes.filter(entry => childIds.has(entry.id)).map(summarize),
+            connection: connection ? {
+                type: connection.type,
+                semanticType: connection.semanticType || null,
+                interference: connection.interference || null,
+                curvature: connection.curvature
+            } : null,
+            ancestors: ancestors.map(entry => entry.id)
+        };
     }
 
     createBranch(parentNode, nearbyNodes) {
+        const textIndex = this.getTextUnitEnd(parentNode.textIndex);
+        if (!this.canForkAt(textIndex)) return null;
+        
+        // 縦組みでは行送り方向（左）へ分岐させる
+        const side = this.environment.random() > 0.5 ? 1 : -1;
         const branchAngle = Math.atan2(parentNode.velocity.dy, parentNode.velocity.dx) + 
-                          (Math.random() > 0.5 ? 1 : -1) * (Math.PI / 4 + Math.random() * Math.PI / 4);
+                          (this.params.writingMode === 'vertical' ? 1 : side) * (Math.PI / 4 + this.environment.random() * Math.PI / 4);
         
         const branchNode = {
-            id: `node_${this.nodes.length}`,
-            char: this.text[parentNode.textIndex + 1],
+            id: this.createNodeId(),
+            char: this.getTextUnit(textIndex),
             position: {
-                x: parentNode.position.x + Math.cos(branchAngle) * this.params.characterSpacing,
-                y: parentNode.position.y + Math.sin(branchAngle) * this.params.characterSpacing
+                x: parentNode.position.x + Math.cos(branchAngle) * this.getStepLength(parentNode),
+                y: parentNode.position.y + Math.sin(branchAngle) * this.getStepLength(parentNode)
             },
             velocity: {
                 dx: Math.cos(branchAngle),
@@ -305,18 +1051,18 @@ class OrganicLayout {
             },
             energy: parentNode.energy * 0.7,
             generation: parentNode.generation + 1,
-            textIndex: parentNode.textIndex + 1,
+            textIndex: textIndex,
+            tokenId: this.getTokenId(textIndex),
             parent: parentNode.id,
             children: [],
             curvature: 0
         };
         
         if (!this.checkIntersection(branchNode, nearbyNodes)) {
-            this.nodes.push(branchNode);
-            this.spatialIndex.insert(branchNode);
+            this.addNode(branchNode);
             parentNode.children.push(branchNode.id);
             
-            this.connections.push({
+            this.addConnection({
                 from: parentNode.id,
                 to: branchNode.id,
                 type: 'tertiary',
@@ -336,8 +1082,8 @@ class OrganicLayout {
         
         for (let angle = 0; angle < Math.PI * 2; angle += Math.PI / 8) {
             const testPos = {
-                x: parentNode.position.x + Math.cos(angle) * this.params.characterSpacing,
-                y: parentNode.position.y + Math.sin(angle) * this.params.characterSpacing
+                x: parentNode.position.x + Math.cos(angle) * this.getStepLength(parentNode),
+                y: parentNode.position.y + Math.sin(angle) * this.getStepLength(parentNode)
             };
             
             let minDist = Infinity;
@@ -348,6 +1094,7 @@ class OrganicLayout {
                 );
                 minDist = Math.min(minDist, dist);
             }
+            minDist -= this.countBranchCrossings(parentNode.position, testPos) * this.params.intersectionPenalty;
             
             if (minDist > maxDistance) {
                 maxDistance = minDist;
@@ -383,24 +1130,32 @@ class OrganicLayout {
             
             const dirToNearby = this.getNormalizedDirection(node.position, nearby.position);
             
+            // 他の生物のノードとの力は crossTextGravity 倍
+            const crossText = nearby.organism !== node.organism;
+            const gravity = crossText ? this.params.semanticGravity * this.params.crossTextGravity : this.params.semanticGravity;
+            const lateral = crossText ? semanticVector.lateral * this.params.crossTextGravity : semanticVector.lateral;
+            
             // 語義的引力/斥力の適用
-            semanticForce.dx += dirToNearby.dx * semanticVector.attraction * this.params.semanticGravity;
-            semanticForce.dy += dirToNearby.dy * semanticVector.attraction * this.params.semanticGravity;
+            semanticForce.dx += dirToNearby.dx * semanticVector.attraction * gravity;
+            semanticForce.dy += dirToNearby.dy * semanticVector.attraction * gravity;
             
             // 語義的斥力
-            semanticForce.dx -= dirToNearby.dx * semanticVector.repulsion * this.params.semanticGravity;
-            semanticForce.dy -= dirToNearby.dy * semanticVector.repulsion * this.params.semanticGravity;
+            semanticForce.dx -= dirToNearby.dx * semanticVector.repulsion * gravity;
+            semanticForce.dy -= dirToNearby.dy * semanticVector.repulsion * gravity;
             
             // 側方力（螺旋構造生成）
             const lateralDir = { dx: -dirToNearby.dy, dy: dirToNearby.dx };
-            semanticForce.dx += lateralDir.dx * semanticVector.lateral;
-            semanticForce.dy += lateralDir.dy * semanticVector.lateral;
+            semanticForce.dx += lateralDir.dx * lateral;
+            semanticForce.dy += lateralDir.dy * lateral;
         }
         
+        // 引力点・障害物からの力
+        const fieldForce = this.calculateFieldForce(node);
+        
         // 物理的方向と語義的方向の合成
         const combinedDir = {
-            dx: physicalDir.dx * (1 - this.params.semanticGravity) + semanticForce.dx,
-            dy: physicalDir.dy * (1 - this.params.semanticGravity) + semanticForce.dy
+            dx: physicalDir.dx * (1 - this.params.semanticGravity) + semanticForce.dx + fieldForce.dx,
+            dy: physicalDir.dy * (1 - this.params.semanticGravity) + semanticForce.dy + fieldForce.dy
         };
         
         return this.normalizeVector(combinedDir);
@@ -438,12 +1193,12 @@ class OrganicLayout {
         // 連語強度による曲率修正
         let maxCollocation = 0;
         for (const nearby of nearbyNodes) {
-            const collocationStrength = this.semanticField.getCollocationStrength(node.char, nearby.char);
+            const collocationStrength = this.semanticField.getNodeCollocationStrength(node, nearby);
             maxCollocation = Math.max(maxCollocation, collocationStrength);
         }
         
         // 語義的複雑性による曲率
-        const semanticComplexity = this.semanticField.getSemanticComplexity(node.char);
+        const semanticComplexity = this.semanticField.getSemanticComplexity(this.getNodeWord(node));
         const complexityFactor = Math.min(1, semanticComplexity / 10);
         
         return baseCurvature + (maxCollocation * 0.3) + (complexityFactor * 0.2);
@@ -462,7 +1217,7 @@ class OrganicLayout {
         // 連語関係によるエネルギー回復
         let collocationBonus = 0;
         for (const nearby of nearbyNodes) {
-            const strength = this.semanticField.getCollocationStrength(node.char, nearby.char);
+            const strength = this.semanticField.getNodeCollocationStrength(node, nearby);
             collocationBonus += strength * 0.05;
         }
         
@@ -476,7 +1231,7 @@ class OrganicLayout {
         let totalResonance = 0;
         
         for (const nearby of nearbyNodes) {
-            const semanticSimilarity = 1 - this.semanticField.getSemanticDistance(node.char, nearby.char);
+            const semanticSimilarity = 1 - this.semanticField.getSemanticDistance(this.getNodeWord(node), this.getNodeWord(nearby));
             const spatialProximity = Math.max(0, 1 - this.getDistance(node.position, nearby.position) / 100);
             
             totalResonance += semanticSimilarity * spatialProximity;
@@ -492,7 +1247,7 @@ class OrganicLayout {
         let maxStrength = 0;
         
         for (const nearby of nearbyNodes) {
-            const strength = this.semanticField.getCollocationStrength(node.char, nearby.char);
+            const strength = this.semanticField.getNodeCollocationStrength(node, nearby);
             maxStrength = Math.max(maxStrength, strength);
         }
         
@@ -516,7 +1271,7 @@ class OrganicLayout {
     }
 
     getCulturalDepth(node) {
-        return this.semanticField.contextualLayers.cultural.get(node.char)?.depth || 0;
+        return this.semanticField.contextualLayers.cultural.get(this.getNodeWord(node))?.depth || 0;
     }
 
     /**
@@ -525,7 +1280,7 @@ class OrganicLayout {
     getCurrentTemporalLayer() {
         return {
             generation: this.generation,
-            timestamp: Date.now(),
+            timestamp: this.environment.now(),
             readingPhase: this.getReadingPhase(),
             contextualDepth: this.semanticField.readingHistory.length
         };
@@ -549,7 +1304,7 @@ class OrganicLayout {
         
         // 語義的干渉チェック
         for (const nearby of nearbyNodes) {
-            const semanticDistance = this.semanticField.getSemanticDistance(node.char, nearby.char);
+            const semanticDistance = this.semanticField.getSemanticDistance(this.getNodeWord(node), this.getNodeWord(nearby));
             const spatialDistance = this.getDistance(node.position, nearby.position);
             
             // 語義的に近い単語が物理的に近すぎる場合は干渉
@@ -566,8 +1321,8 @@ class OrganicLayout {
      */
     determineConnectionType(fromNode, toNode) {
         const energy = fromNode.energy;
-        const semanticDistance = this.semanticField.getSemanticDistance(fromNode.char, toNode.char);
-        const collocationStrength = this.semanticField.getCollocationStrength(fromNode.char, toNode.char);
+        const semanticDistance = this.semanticField.getSemanticDistance(this.getNodeWord(fromNode), this.getNodeWord(toNode));
+        const collocationStrength = this.semanticField.getNodeCollocationStrength(fromNode, toNode);
         
         let visualType, semanticType, interference;
         
@@ -609,13 +1364,13 @@ class OrganicLayout {
         let baseProbability = this.params.branchProbability;
         
         // 語義的複雑性による分岐促進
-        const semanticComplexity = this.semanticField.getSemanticComplexity(node.char);
+        const semanticComplexity = this.semanticField.getSemanticComplexity(this.getNodeWord(node));
         const complexityBonus = Math.min(0.3, semanticComplexity / 10);
         
         // 連語関係による分岐促進
         let collocationBonus = 0;
         for (const nearby of nearbyNodes) {
-            const strength = this.semanticField.getCollocationStrength(node.char, nearby.char);
+            const strength = this.semanticField.getNodeCollocationStrength(node, nearby);
             if (strength > 0.5) {
                 collocationBonus += 0.1;
             }
@@ -631,13 +1386,25 @@ class OrganicLayout {
      * 語義的分岐の作成
      */
     createSemanticBranch(parentNode, nearbyNodes) {
+        // 分岐先の先頭文字が行頭禁則・分離禁止に触れる場合は分岐を見送る
+        const textIndex = this.getTextUnitEnd(parentNode.textIndex);
+        if (!this.canForkAt(textIndex)) return null;
+        
         // 最も語義的に興味深い方向を探す
         let bestDirection = null;
         let maxInterest = 0;
         
         for (let angle = 0; angle < Math.PI * 2; angle += Math.PI / 12) {
             const testDir = { dx: Math.cos(angle), dy: Math.sin(angle) };
-            const interest = this.calculateSemanticInterest(parentNode, testDir, nearbyNodes);
+            if (!this.isWithinWritingFlow(testDir)) continue;
+            
+            const testPos = {
+                x: parentNode.position.x + testDir.dx * this.getStepLength(parentNode),
+                y: parentNode.position.y + testDir.dy * this.getStepLength(parentNode)
+            };
+            const crossings = this.countBranchCrossings(parentNode.position, testPos);
+            const interest = this.calculateSemanticInterest(parentNode, testDir, nearbyNodes) -
+                             crossings * this.params.intersectionPenalty / this.params.characterSpacing;
             
             if (interest > maxInterest) {
                 maxInterest = interest;
@@ -648,16 +1415,17 @@ class OrganicLayout {
         if (!bestDirection) return null;
         
         const branchNode = {
-            id: `node_${this.nodes.length}`,
-            char: this.text[parentNode.textIndex + 1],
+            id: this.createNodeId(),
+            char: this.getTextUnit(textIndex),
             position: {
-                x: parentNode.position.x + bestDirection.dx * this.params.characterSpacing,
-                y: parentNode.position.y + bestDirection.dy * this.params.characterSpacing
+                x: parentNode.position.x + bestDirection.dx * this.getStepLength(parentNode),
+                y: parentNode.position.y + bestDirection.dy * this.getStepLength(parentNode)
             },
             velocity: bestDirection,
             energy: parentNode.energy * 0.8,
             generation: parentNode.generation + 1,
-            textIndex: parentNode.textIndex + 1,
+            textIndex: textIndex,
+            tokenId: this.getTokenId(textIndex),
             parent: parentNode.id,
             children: [],
             curvature: 0,
@@ -669,11 +1437,10 @@ class OrganicLayout {
         };
         
         if (!this.checkSemanticIntersection(branchNode, nearbyNodes)) {
-            this.nodes.push(branchNode);
-            this.spatialIndex.insert(branchNode);
+            this.addNode(branchNode);
             parentNode.children.push(branchNode.id);
             
-            this.connections.push({
+            this.addConnection({
                 from: parentNode.id,
                 to: branchNode.id,
                 type: 'semantic_branch',
@@ -702,7 +1469,7 @@ class OrganicLayout {
             const dirSimilarity = this.dot(direction, nearbyDir);
             
             if (dirSimilarity > 0.7) { // 同方向
-                const semanticSimilarity = 1 - this.semanticField.getSemanticDistance(node.char, nearby.char);
+                const semanticSimilarity = 1 - this.semanticField.getSemanticDistance(this.getNodeWord(node), this.getNodeWord(nearby));
                 interest += semanticSimilarity * 0.4;
             }
         }
@@ -720,11 +1487,11 @@ class OrganicLayout {
         
         for (let angle = 0; angle < Math.PI * 2; angle += Math.PI / 8) {
             const testPos = {
-                x: parentNode.position.x + Math.cos(angle) * this.params.characterSpacing,
-                y: parentNode.position.y + Math.sin(angle) * this.params.characterSpacing
+                x: parentNode.position.x + Math.cos(angle) * this.getStepLength(parentNode),
+                y: parentNode.position.y + Math.sin(angle) * this.getStepLength(parentNode)
             };
             
-            const freedom = this.calculateSemanticFreedom(testPos, parentNode.char, nearbyNodes);
+            const freedom = this.calculateSemanticFreedom(testPos, this.getNodeWord(parentNode), nearbyNodes);
             
             if (freedom > maxFreedom) {
                 maxFreedom = freedom;
@@ -739,13 +1506,13 @@ class OrganicLayout {
         return null;
     }
 
-    calculateSemanticFreedom(position, char, nearbyNodes) {
+    calculateSemanticFreedom(position, word, nearbyNodes) {
         let spatialFreedom = 1;
         let semanticFreedom = 1;
         
         for (const nearby of nearbyNodes) {
             const spatialDist = this.getDistance(position, nearby.position);
-            const semanticDist = this.semanticField.getSemanticDistance(char, nearby.char);
+            const semanticDist = this.semanticField.getSemanticDistance(word, this.getNodeWord(nearby));
             
             spatialFreedom *= Math.min(1, spatialDist / 30);
             semanticFreedom *= Math.min(1, semanticDist);
@@ -759,7 +1526,7 @@ class OrganicLayout {
      */
     recordReadingTrajectory(fromNode, toNode, direction) {
         const trajectoryPoint = {
-            timestamp: Date.now(),
+            timestamp: this.environment.now(),
             from: {
                 id: fromNode.id,
                 char: fromNode.char,
@@ -798,11 +1565,15 @@ class OrganicLayout {
         if (this.nodes.length < 10) return;
         
         const patterns = this.semanticField.recognizeEmergentPatterns(this.nodes, this.connections);
+        const addPattern = (pattern) => {
+            this.emergentPatterns.push(pattern);
+            this.emit('pattern:detected', { pattern });
+        };
         
         // 新しいパターンのみを追加
         patterns.clusters.forEach(cluster => {
             if (!this.hasExistingPattern('cluster', cluster)) {
-                this.emergentPatterns.push({
+                addPattern({
                     type: 'semantic_cluster',
                     elements: cluster,
                     generation: this.generation,
@@ -813,7 +1584,7 @@ class OrganicLayout {
         
         patterns.bridges.forEach(bridge => {
             if (!this.hasExistingPattern('bridge', bridge)) {
-                this.emergentPatterns.push({
+                addPattern({
                     type: 'semantic_bridge',
                     connection: bridge,
                     generation: this.generation,
@@ -823,12 +1594,14 @@ class OrganicLayout {
         });
         
         patterns.spirals.forEach(spiral => {
-            this.emergentPatterns.push({
-                type: 'reading_spiral',
-                trajectory: spiral,
-                generation: this.generation,
-                complexity: spiral.length
-            });
+            if (!this.hasExistingPattern('spiral', spiral)) {
+                addPattern({
+                    type: 'reading_spiral',
+                    trajectory: spiral,
+                    generation: this.generation,
+                    complexity: spiral.length
+                });
+            }
         });
     }
 
@@ -837,6 +1610,14 @@ class OrganicLayout {
             if (type === 'cluster' && pattern.type === 'semantic_cluster') {
                 return this.arraysOverlap(pattern.elements.map(e => e.id), newPattern.map(e => e.id), 0.7);
             }
+            // 橋は同じ接続、螺旋は読書体験の履歴の同じ区間なら既出（保存・復元で別のオブジェクトになっても比べられるように）
+            if (type === 'bridge' && pattern.type === 'semantic_bridge') {
+                return pattern.connection.from === newPattern.from && pattern.connection.to === newPattern.to;
+            }
+            if (type === 'spiral' && pattern.type === 'reading_spiral') {
+                return pattern.trajectory.length === newPattern.length &&
+                       pattern.trajectory.every((entry, i) => entry.node === newPattern[i].node && entry.timestamp === newPattern[i].timestamp);
+            }
             return false;
         });
     }
@@ -865,7 +1646,7 @@ class OrganicLayout {
         
         // 自己言及的フィードバックループの生成
         const selfReflection = {
-            timestamp: Date.now(),
+            timestamp: this.environment.now(),
             generation: this.generation,
             metrics: readingMetrics,
             reflexiveElements: reflexiveElements,
@@ -878,6 +1659,7 @@ class OrganicLayout {
             this.selfReflectionHistory = [];
         }
         this.selfReflectionHistory.push(selfReflection);
+        this.emit('reflection', { reflection: selfReflection });
         
         // システムパラメータの適応的調整
         this.adaptSystemParameters(selfReflection);
@@ -968,6 +1750,8 @@ class OrganicLayout {
     adaptSystemParameters(reflection) {
         const metrics = reflection.metrics;
         const state = reflection.systemState;
+        const adaptiveKeys = ['semanticGravity', 'interferenceAmplitude', 'energyDecay'];
+        const before = adaptiveKeys.map(key => this.params[key]);
         
         // 語義密度に基づく調整
         if (state.semanticDensity > 0.8) {
@@ -994,6 +1778,14 @@ class OrganicLayout {
         this.params.semanticGravity = Math.max(0.1, Math.min(1.0, this.params.semanticGravity));
         this.params.interferenceAmplitude = Math.max(0.1, Math.min(1.0, this.params.interferenceAmplitude));
         this.params.energyDecay = Math.max(0.1, Math.min(1.0, this.params.energyDecay));
+        
+        const changes = {};
+        adaptiveKeys.forEach((key, i) => {
+            if (this.params[key] !== before[i]) changes[key] = [before[i], this.params[key]];
+        });
+        if (Object.keys(changes).length > 0) {
+            this.emit('params:adapted', { changes });
+        }
     }
 
     // === ユーティリティメソッド ===
@@ -1029,25 +1821,207 @@ class OrganicLayout {
     }
 
     reset() {
+        if (this.config.semanticField) {
+            throw new Error('Cannot reset a layout that shares its SemanticField; reset its OrganicEcosystem instead');
+        }
+        
         this.nodes = [];
         this.connections = [];
         this.growthQueue = [];
         this.generation = 0;
         this.isGrowing = false;
         this.spatialIndex.clear();
+        this.longestUnit = 1;
+        this.rubyGlyphCache = null;
+        if (this.history) this.history.clear();
+        
+        // 乱数列・時計・適応パラメータを巻き戻し、同じシードから同じ成長を再現
+        this.environment.reset();
+        this.params = { ...this.initialParams };
         
         // 語義システムのリセット
         this.collocationFields = [];
         this.readingTrajectory = [];
         this.emergentPatterns = [];
         this.selfReflectionHistory = [];
-        this.semanticField = new SemanticField();
+        this.semanticField = new SemanticField(this.config);
+        if (this.embeddingProvider) {
+            this.semanticField.setEmbeddingProvider(this.embeddingProvider);
+        }
+        this.semanticField.analyzeSemanticStructure(this.text);
         
         this.initialize();
     }
 
+    /**
+     * ルビの字形配置（親文字のノード列に沿って、枝の法線方向へずらして並べる）
+     * 横組みでは親文字の上、縦組みでは右に置かれ、枝が曲がってもそれに沿う
+     */
+    getRubyGlyphs() {
+        if (this.rubySpans.length === 0) return [];
+        if (this.rubyGlyphCache && this.rubyGlyphCache.nodeCount === this.nodes.length) {
+            return this.rubyGlyphCache.glyphs;
+        }
+        
+        const nodeMap = new Map(this.nodes.map(node => [node.id, node]));
+        const spanByStart = new Map(this.rubySpans.map(span => [span.start, span]));
+        const glyphs = [];
+        
+        this.nodes.forEach(node => {
+            this.getNodeGlyphs(node).forEach((glyph, offset) => {
+                const span = spanByStart.get(glyph.textIndex);
+                if (!span) return;
+                glyphs.push(...this.placeRubyGlyphs(span, this.collectBaseGlyphs(node, offset, span, nodeMap)));
+            });
+        });
+        
+        this.rubyGlyphCache = { nodeCount: this.nodes.length, glyphs };
+        return glyphs;
+    }
+
+    /**
+     * 親文字の字形を順にたどる（語のノードでは同じノードの続きの字形、次いで続きの文字の子ノード）
+     */
+    collectBaseGlyphs(node, offset, span, nodeMap) {
+        const baseGlyphs = [];
+        let current = node;
+        let glyphs = this.getNodeGlyphs(node).slice(offset);
+        
+        while (current) {
+            for (const glyph of glyphs) {
+                if (glyph.textIndex >= span.end) return baseGlyphs;
+                baseGlyphs.push(glyph);
+            }
+            
+            const nextIndex = this.getTextUnitEnd(current.textIndex);
+            if (nextIndex >= span.end) break;
+            current = current.children
+                .map(id => nodeMap.get(id))
+                .find(child => child && child.textIndex === nextIndex);
+            glyphs = current ? this.getNodeGlyphs(current) : [];
+        }
+        
+        return baseGlyphs;
+    }
+
+    /**
+     * 全ノードの字形（描画・書き出し用）
+     */
+    getGlyphs() {
+        return this.nodes.flatMap(node => this.getNodeGlyphs(node));
+    }
+
+    /**
+     * ノードの字形配置（語のノードは1文字ずつ枝の向きに並べる。1文字のノードはノード自身）
+     * 2文字目以降の字形は id が `${node.id}_${i}` で、nodeId にノードの id を持つ
+     */
+    getNodeGlyphs(node) {
+        if (!node.char || node.char.length <= 1) return [node];
+        
+        const spacing = this.params.characterSpacing;
+        let textIndex = node.textIndex;
+        return Array.from(node.char).map((char, i) => {
+            const glyph = {
+                ...node,
+                id: i === 0 ? node.id : `${node.id}_${i}`,
+                nodeId: node.id,
+                char: char,
+                position: {
+                    x: node.position.x + node.velocity.dx * spacing * i,
+                    y: node.position.y + node.velocity.dy * spacing * i
+                },
+                textIndex: textIndex
+            };
+            textIndex += char.length;
+            return glyph;
+        });
+    }
+
+    placeRubyGlyphs(span, baseNodes) {
+        const rubyChars = Array.from(span.ruby);
+        const spacing = this.params.characterSpacing;
+        const rubySize = spacing * this.params.rubyScale;
+        
+        // 親文字の中心を結ぶ折れ線の長さ
+        let baseLength = 0;
+        for (let i = 1; i < baseNodes.length; i++) {
+            baseLength += this.getDistance(baseNodes[i - 1].position, baseNodes[i].position);
+        }
+        
+        // 両端を半字分（ルビが親文字より長ければその分）延ばす
+        const extension = spacing / 2 + Math.max(0, (rubyChars.length * rubySize - baseLength - spacing) / 2);
+        const first = baseNodes[0];
+        const last = baseNodes[baseNodes.length - 1];
+        const points = [
+            { x: first.position.x - first.velocity.dx * extension, y: first.position.y - first.velocity.dy * extension },
+            ...baseNodes.map(node => node.position),
+            { x: last.position.x + last.velocity.dx * extension, y: last.position.y + last.velocity.dy * extension }
+        ];
+        const owners = [first, ...baseNodes, last];
+        
+        const lengths = [0];
+        for (let i = 1; i < points.length; i++) {
+            lengths.push(lengths[i - 1] + this.getDistance(points[i - 1], points[i]));
+        }
+        const totalLength = lengths[lengths.length - 1];
+        
+        return rubyChars.map((char, i) => {
+            // ルビを折れ線上に均等配置（中付き）
+            const target = totalLength * (i + 0.5) / rubyChars.length;
+            let segment = 1;
+            while (segment < points.length - 1 && lengths[segment] < target) segment++;
+            
+            const from = points[segment - 1];
+            const to = points[segment];
+            const segmentLength = lengths[segment] - lengths[segment - 1];
+            const t = segmentLength > 0 ? (target - lengths[segment - 1]) / segmentLength : 0;
+            const tangent = segmentLength > 0 ?
+                            { dx: (to.x - from.x) / segmentLength, dy: (to.y - from.y) / segmentLength } :
+                            { ...first.velocity };
+            
+            // 接線の左手側（横組みでは上、縦組みでは右）
+            const offset = spacing * this.params.rubyOffset;
+            const owner = t < 0.5 ? owners[segment - 1] : owners[segment];
+            
+            return {
+                id: `ruby_${first.id}_${i}`,
+                char: char,
+                position: {
+                    x: from.x + (to.x - from.x) * t + tangent.dy * offset,
+                    y: from.y + (to.y - from.y) * t - tangent.dx * offset
+                },
+                velocity: tangent,
+                size: rubySize,
+                scale: this.params.rubyScale,
+                baseNodeId: owner.nodeId || owner.id,
+                textIndex: span.start
+            };
+        });
+    }
+
     // === 外部アクセス用メソッド ===
 
+    /**
+     * 全状態の書き出し（バージョン付きJSON、LayoutSerializer参照）
+     */
+    serialize() {
+        return LayoutSerializer.serialize(this);
+    }
+
+    /**
+     * serialize() の結果から復元（復元したレイアウトはそのまま成長を続けられる）
+     */
+    static fromJSON(data, options = {}) {
+        return LayoutSerializer.deserialize(data, options);
+    }
+
+    /**
+     * 全ノード・接続・フィールド・軌跡・創発パターンのSVG書き出し
+     */
+    exportSVG(options = {}) {
+        return new SVGExporter(options).export(this);
+    }
+
     /**
      * 現在の語義構造を取得
      */
@@ -1112,3 +2086,10 @@ class OrganicLayout {
         };
     }
 }
+
+// エクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OrganicLayout;
+} else if (typeof window !== 'undefined') {
+    window.OrganicLayout = OrganicLayout;
+}
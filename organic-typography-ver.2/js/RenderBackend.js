@@ -0,0 +1,293 @@
+/**
+ * RenderBackend - 描画先の差し替え口
+ * レイアウトを層ごとに（障害物 → 引力点 → 連語感覚フィールド → 接続 → 読解軌跡 → 創発パターン → 文字 → ルビ）
+ * 描画先へ描く。描画先ごとの派生クラス（Canvas 2D の CanvasRenderBackend、SVG DOM の Renderer、
+ * SVG文字列の SVGExporter）が要素ごとの draw* を実装し、setCustomRenderer() で同名のフックを渡すと
+ * その層の要素はフックで描かれる。フックは (描画先, 要素, env) で呼ばれ、env.drawDefault(要素) で既定の描画も使える
+ *
+ *   const backend = RenderBackend.forTarget(canvas.getContext('2d'));
+ *   backend.setCustomRenderer({
+ *       drawNode(ctx, node, env) {
+ *           if (node.energy < 30) return;      // 消えかけの文字は描かない
+ *           env.drawDefault(node);
+ *       }
+ *   });
+ *   backend.render(layout);
+ */
+
+// 描く層（描く順）。hook は要素ごとの描画メソッド・フックの名前、option は描くかどうかの設定名
+const RENDER_LAYERS = [
+    { name: 'obstacles', hook: 'drawObstacle', option: 'fieldElements', elements: layout => layout.obstacles },
+    { name: 'attractors', hook: 'drawAttractor', option: 'fieldElements', elements: layout => layout.attractors },
+    { name: 'collocationFields', hook: 'drawCollocationField', option: 'collocationFields', elements: layout => layout.collocationFields },
+    { name: 'connections', hook: 'drawConnection', option: 'connections', elements: layout => layout.connections },
+    {
+        name: 'readingTrajectory', hook: 'drawReadingTrajectory', option: 'readingTrajectory',
+        elements: layout => layout.readingTrajectory ? [layout.readingTrajectory] : null   // 軌跡全体で1要素
+    },
+    { name: 'emergentPatterns', hook: 'drawPattern', option: 'emergentPatterns', elements: layout => layout.emergentPatterns },
+    {
+        name: 'nodes', hook: 'drawNode', option: 'nodes',
+        elements: layout => typeof layout.getGlyphs === 'function' ? layout.getGlyphs() : layout.nodes   // 語のノードは1文字ずつ
+    },
+    {
+        name: 'ruby', hook: 'drawRubyGlyph', option: 'ruby',
+        elements: layout => typeof layout.getRubyGlyphs === 'function' ? layout.getRubyGlyphs() : null
+    }
+];
+
+class RenderBackend {
+    /**
+     * target: 描画先（CanvasRenderingContext2D・SVG要素など。文字列に書き出す場合は null）
+     * options: 層ごとの描画の有無（fieldElements・collocationFields・connections・readingTrajectory・
+     *          emergentPatterns・nodes・ruby、false で描かない）と customRenderer（フック）
+     */
+    constructor(target = null, options = {}) {
+        this.name = 'base';
+        this.target = target;
+        this.options = { ...options };
+        this.hooks = {};
+
+        if (options.customRenderer) {
+            this.setCustomRenderer(options.customRenderer);
+        }
+    }
+
+    /**
+     * 描画先からの既定の描画先の解決（<canvas>・2Dコンテキスト・SVG要素。RenderBackend はそのまま使う）
+     */
+    static forTarget(target, options = {}) {
+        if (target instanceof RenderBackend) return target;
+
+        if (target && typeof target.fillText === 'function') {
+            return new CanvasRenderBackend(target, options);
+        }
+        if (target && typeof target.getContext === 'function') {
+            return new CanvasRenderBackend(target.getContext('2d'), options);
+        }
+        if (target && target.namespaceURI === 'http://www.w3.org/2000/svg') {
+            return new Renderer(target.ownerSVGElement || target, options);
+        }
+
+        throw new Error('Render target must be a canvas, a 2D context, an SVG element or a RenderBackend');
+    }
+
+    static getLayerNames() {
+        return RENDER_LAYERS.map(layer => layer.name);
+    }
+
+    static getHookNames() {
+        return RENDER_LAYERS.map(layer => layer.hook);
+    }
+
+    /**
+     * 要素ごとの描画フックの設定（null で既定の描画に戻す）
+     * hooks: { drawNode, drawConnection, drawCollocationField, drawReadingTrajectory, drawPattern,
+     *          drawRubyGlyph, drawAttractor, drawObstacle } の一部
+     */
+    setCustomRenderer(hooks) {
+        RenderBackend.validateHooks(hooks);
+        this.hooks = { ...(hooks || {}) };
+        return this;
+    }
+
+    static validateHooks(hooks) {
+        if (hooks === null || hooks === undefined) return;
+        if (typeof hooks !== 'object') {
+            throw new Error('Custom renderer must be an object of draw hooks');
+        }
+
+        const names = RenderBackend.getHookNames();
+        Object.keys(hooks).forEach(key => {
+            if (!names.includes(key)) {
+                throw new Error(`Unknown render hook: ${key}`);
+            }
+            if (hooks[key] !== null && hooks[key] !== undefined && typeof hooks[key] !== 'function') {
+                throw new Error(`Render hook must be a function: ${key}`);
+            }
+        });
+    }
+
+    // === 描画 ===
+
+    /**
+     * レイアウト全体の描画（戻り値は派生クラスの end() のもの）
+     */
+    render(layout) {
+        const env = this.createEnvironment(layout);
+
+        this.begin(env);
+        RENDER_LAYERS.forEach(layer => this.drawLayer(layer.name, env));
+        return this.end(env);
+    }
+
+    /**
+     * 層・フックに渡す描画の文脈
+     */
+    createEnvironment(layout) {
+        return {
+            layout,
+            backend: this,
+            writingMode: layout.params ? layout.params.writingMode : 'horizontal',
+            nodeMap: new Map((layout.nodes || []).map(node => [node.id, node])),
+            layer: null,
+            target: null,
+            drawDefault: null
+        };
+    }
+
+    /**
+     * 1つの層の描画（設定で外された層、レイアウトにない層は描かない）
+     */
+    drawLayer(name, env) {
+        const layer = RENDER_LAYERS.find(entry => entry.name === name);
+        if (!layer) {
+            throw new Error(`Unknown render layer: ${name}`);
+        }
+        if (this.options[layer.option] === false) return;
+
+        const elements = this.getLayerElements(layer, env);
+        if (!elements) return;
+
+        this.beginLayer(layer, env);
+        env.layer = layer.name;
+        env.target = this.getTarget(layer, env);
+        env.drawDefault = element => this[layer.hook](element, env);
+
+        const hook = this.hooks[layer.hook];
+        elements.forEach(element => {
+            if (hook) {
+                hook(env.target, element, env);
+            } else {
+                this[layer.hook](element, env);
+            }
+        });
+
+        this.endLayer(layer, env);
+    }
+
+    getLayerElements(layer, env) {
+        return layer.elements(env.layout);
+    }
+
+    // 派生クラスで上書きする（描画の開始・終了、層の開始・終了、フックに渡す描画先）
+    begin(env) {
+    }
+
+    end(env) {
+    }
+
+    beginLayer(layer, env) {
+    }
+
+    endLayer(layer, env) {
+    }
+
+    getTarget(layer, env) {
+        return this.target;
+    }
+
+    // 派生クラスで実装する要素ごとの描画（既定では何も描かない）
+    drawObstacle(obstacle, env) {
+    }
+
+    drawAttractor(attractor, env) {
+    }
+
+    drawCollocationField(field, env) {
+    }
+
+    drawConnection(connection, env) {
+    }
+
+    drawReadingTrajectory(trajectory, env) {
+    }
+
+    drawPattern(pattern, env) {
+    }
+
+    drawNode(node, env) {
+    }
+
+    drawRubyGlyph(glyph, env) {
+    }
+
+    // === 描画先によらない形の計算 ===
+
+    /**
+     * 接続線の二次ベジェ曲線の制御点（曲率の既定は 0.2）
+     */
+    getConnectionControlPoint(from, to, curvature) {
+        const dx = to.x - from.x;
+        const dy = to.y - from.y;
+        const bend = curvature || 0.2;
+        return {
+            x: from.x + dx * 0.5 + dy * bend * 0.3,
+            y: from.y + dy * 0.5 - dx * bend * 0.3
+        };
+    }
+
+    /**
+     * 読解軌跡の点列
+     */
+    getTrajectoryPoints(trajectory) {
+        return trajectory
+            .map(point => point.from && point.from.position)
+            .filter(Boolean);
+    }
+
+    /**
+     * 創発パターンの重ね描きの形
+     * 意味クラスタ → { shape: 'circle', cx, cy, r }、意味の橋 → { shape: 'line', from, to }、
+     * 読解螺旋 → { shape: 'polyline', points }（描けないときは null）。
+     * LayoutSnapshot のパターンは関わるノードを elements に持つので、それから形を作る
+     */
+    getPatternGeometry(pattern, nodeMap, padding = 16) {
+        const elementPositions = () => (pattern.elements || [])
+            .map(element => (nodeMap.get(element.id) || element).position)
+            .filter(Boolean);
+
+        switch (pattern.type) {
+            case 'semantic_cluster': {
+                const positions = elementPositions();
+                if (positions.length === 0) return null;
+
+                const cx = positions.reduce((sum, p) => sum + p.x, 0) / positions.length;
+                const cy = positions.reduce((sum, p) => sum + p.y, 0) / positions.length;
+                const r = positions.reduce((max, p) => Math.max(max, Math.hypot(p.x - cx, p.y - cy)), 0) + padding;
+                return { shape: 'circle', cx, cy, r };
+            }
+            case 'semantic_bridge': {
+                if (!pattern.connection) {
+                    const positions = elementPositions();
+                    return positions.length >= 2 ? { shape: 'line', from: positions[0], to: positions[1] } : null;
+                }
+
+                const fromNode = nodeMap.get(pattern.connection.from);
+                const toNode = nodeMap.get(pattern.connection.to);
+                if (!fromNode || !toNode) return null;
+
+                return { shape: 'line', from: fromNode.position, to: toNode.position };
+            }
+            case 'reading_spiral': {
+                const points = pattern.trajectory ?
+                    pattern.trajectory
+                        .map(entry => entry && entry.readingState && entry.readingState.eyePosition)
+                        .filter(point => point && Number.isFinite(point.x) && Number.isFinite(point.y)) :
+                    elementPositions();
+                if (points.length < 2) return null;
+
+                return { shape: 'polyline', points };
+            }
+            default:
+                return null;
+        }
+    }
+}
+
+// エクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RenderBackend;
+} else if (typeof window !== 'undefined') {
+    window.RenderBackend = RenderBackend;
+}
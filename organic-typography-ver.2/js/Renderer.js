@@ -1,8 +1,23 @@
-class Renderer {
-    constructor(svgElement) {
+/**
+ * Renderer - SVG DOM への描画（SVG DOM の RenderBackend）
+ * 文字は id ごとに要素を使い回して位置だけ更新し、ビューポートの外の文字・接続は描かない。
+ * 描画フックには層の <g> が渡る（文字・ルビのフックがあるときは文字の層を毎回描き直す）
+ */
+class Renderer extends RenderBackend {
+    constructor(svgElement, options = {}) {
+        super(svgElement, {
+            // 既定では連語感覚フィールド・読解軌跡・創発パターンは重ねない
+            collocationFields: false,
+            readingTrajectory: false,
+            emergentPatterns: false,
+            ...options
+        });
+        this.name = 'svg-dom';
         this.svg = svgElement;
-        this.textLayer = document.getElementById('text-layer');
-        this.connectionLayer = document.getElementById('connection-layer');
+        this.connectionLayer = this.getLayer('connection-layer');
+        this.textLayer = this.getLayer('text-layer');
+        this.fieldLayer = null;
+        this.overlayLayer = null;
         this.viewport = {
             x: 0,
             y: 0,
@@ -11,35 +26,103 @@ class Renderer {
             scale: 1
         };
         
-        this.renderQueue = [];
+        this.staleElements = new Map();
         this.frameCount = 0;
         this.lastFrameTime = performance.now();
         this.fps = 0;
     }
-
+    
+    /**
+     * SVG内の層の <g>（なければ before の前、または末尾に作る）
+     */
+    getLayer(id, before = null) {
+        let layer = this.svg.querySelector(`#${id}`);
+        if (!layer) {
+            layer = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+            layer.id = id;
+            this.svg.insertBefore(layer, before);
+        }
+        return layer;
+    }
+    
     setViewport(viewport) {
         this.viewport = viewport;
         this.updateViewBox();
     }
-
+    
     updateViewBox() {
         const viewBox = `${this.viewport.x} ${this.viewport.y} ${this.viewport.width / this.viewport.scale} ${this.viewport.height / this.viewport.scale}`;
         this.svg.setAttribute('viewBox', viewBox);
     }
-
-    render(nodes, connections) {
+    
+    begin(env) {
         // FPS計算
         this.calculateFPS();
         
-        // ビューポート内の要素のみレンダリング
-        const visibleNodes = this.cullNodes(nodes);
-        const visibleConnections = this.cullConnections(connections, nodes);
+        // 接続線・重ね描き・引力点は毎回描き直し、文字は前回の要素を使い回す（差分レンダリング）
+        this.connectionLayer.innerHTML = '';
+        if (this.overlayLayer) this.overlayLayer.innerHTML = '';
+        if (this.fieldLayer) this.fieldLayer.innerHTML = '';
         
-        // 差分レンダリング
-        this.renderConnections(visibleConnections, nodes);
-        this.renderNodes(visibleNodes);
+        if (this.hooks.drawNode || this.hooks.drawRubyGlyph) {
+            this.textLayer.innerHTML = '';
+        }
+        this.staleElements = new Map();
+        this.textLayer.querySelectorAll('text.text-node, text.ruby-node').forEach(elem => {
+            this.staleElements.set(elem.id, elem);
+        });
     }
-
+    
+    end(env) {
+        // 不要な要素を削除
+        this.staleElements.forEach(elem => {
+            elem.remove();
+        });
+        this.staleElements.clear();
+    }
+    
+    /**
+     * ビューポート内の要素のみレンダリング
+     */
+    getLayerElements(layer, env) {
+        const elements = super.getLayerElements(layer, env);
+        if (!elements) return elements;
+        
+        if (layer.name === 'nodes' || layer.name === 'ruby') {
+            return this.cullNodes(elements);
+        }
+        if (layer.name === 'connections') {
+            return this.cullConnections(elements, env.nodeMap);
+        }
+        return elements;
+    }
+    
+    getTarget(layer, env) {
+        switch (layer.name) {
+            case 'obstacles':
+            case 'attractors':
+                return this.getFieldLayer();
+            case 'collocationFields':
+            case 'readingTrajectory':
+            case 'emergentPatterns':
+                if (!this.overlayLayer) {
+                    this.overlayLayer = this.getLayer('overlay-layer', this.connectionLayer);
+                }
+                return this.overlayLayer;
+            case 'connections':
+                return this.connectionLayer;
+            default:
+                return this.textLayer;
+        }
+    }
+    
+    getFieldLayer() {
+        if (!this.fieldLayer) {
+            this.fieldLayer = this.getLayer('field-layer', this.svg.firstChild);
+        }
+        return this.fieldLayer;
+    }
+    
     cullNodes(nodes) {
         const buffer = 100;
         const minX = this.viewport.x - buffer;
@@ -47,16 +130,15 @@ class Renderer {
         const minY = this.viewport.y - buffer;
         const maxY = this.viewport.y + this.viewport.height / this.viewport.scale + buffer;
         
-        return nodes.filter(node => 
-            node.position.x >= minX && 
-            node.position.x <= maxX && 
-            node.position.y >= minY && 
+        return nodes.filter(node =>
+            node.position.x >= minX &&
+            node.position.x <= maxX &&
+            node.position.y >= minY &&
             node.position.y <= maxY
         );
     }
-
-    cullConnections(connections, allNodes) {
-        const nodeMap = new Map(allNodes.map(n => [n.id, n]));
+    
+    cullConnections(connections, nodeMap) {
         const visibleConnections = [];
         
         for (const conn of connections) {
@@ -73,7 +155,7 @@ class Renderer {
         
         return visibleConnections;
     }
-
+    
     lineIntersectsViewport(p1, p2) {
         const minX = this.viewport.x;
         const maxX = this.viewport.x + this.viewport.width / this.viewport.scale;
@@ -88,75 +170,210 @@ class Renderer {
         
         return true;
     }
-
-    renderNodes(nodes) {
-        // 既存のノードを管理
-        const existingNodes = new Map();
-        const textElements = this.textLayer.querySelectorAll('text');
-        textElements.forEach(elem => {
-            existingNodes.set(elem.id, elem);
-        });
+    
+    /**
+     * 前回の要素があれば使い回し、なければ層に作る
+     */
+    getTextElement(id, className, char, layer) {
+        let elem = this.staleElements.get(id);
         
-        // 新規追加・更新
-        nodes.forEach(node => {
-            let elem = existingNodes.get(node.id);
-            
-            if (!elem) {
-                elem = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-                elem.id = node.id;
-                elem.classList.add('text-node');
-                elem.textContent = node.char;
-                this.textLayer.appendChild(elem);
-            }
+        if (elem) {
+            this.staleElements.delete(id);
+        } else {
+            elem = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+            elem.id = id;
+            elem.classList.add(className);
+            elem.textContent = char;
+            layer.appendChild(elem);
+        }
+        
+        return elem;
+    }
+    
+    drawNode(node, env) {
+        const elem = this.getTextElement(node.id, 'text-node', node.char, env.target);
+        
+        const fontSize = this.calculateFontSize(node);
+        elem.setAttribute('font-size', fontSize);
+        
+        if (env.writingMode === 'vertical') {
+            // 縦組み：枝の接線に沿って正立／横倒し、約物は右上へ
+            const glyph = GlyphOrientation.getGlyphTransform(node.char, node.velocity, 'vertical', fontSize);
+            const x = node.position.x + glyph.dx;
+            const y = node.position.y + glyph.dy;
             
+            elem.setAttribute('x', x);
+            elem.setAttribute('y', y);
+            elem.setAttribute('text-anchor', 'middle');
+            elem.setAttribute('dominant-baseline', 'central');
+            elem.setAttribute('transform', `rotate(${glyph.rotation * 180 / Math.PI} ${x} ${y})`);
+        } else {
             elem.setAttribute('x', node.position.x);
             elem.setAttribute('y', node.position.y);
-            elem.setAttribute('font-size', this.calculateFontSize(node));
-            
-            if (node.energy < 30) {
-                elem.classList.add('fading');
-            }
-            
-            existingNodes.delete(node.id);
-        });
+            elem.removeAttribute('text-anchor');
+            elem.removeAttribute('dominant-baseline');
+            elem.removeAttribute('transform');
+        }
         
-        // 不要な要素を削除
-        existingNodes.forEach(elem => {
-            elem.remove();
-        });
+        if (node.energy < 30) {
+            elem.classList.add('fading');
+        }
     }
-
-    renderConnections(connections, allNodes) {
-        const nodeMap = new Map(allNodes.map(n => [n.id, n]));
+    
+    /**
+     * ルビの描画（親文字の半分の大きさで枝に沿わせる）
+     */
+    drawRubyGlyph(glyph, env) {
+        const elem = this.getTextElement(glyph.id, 'ruby-node', glyph.char, env.target);
         
-        // 既存の接続線をクリア
-        this.connectionLayer.innerHTML = '';
+        const baseSize = this.calculateFontSize(glyph);
+        const fontSize = baseSize * glyph.scale;
+        const transform = GlyphOrientation.getGlyphTransform(glyph.char, glyph.velocity, env.writingMode, fontSize);
+        let x = glyph.position.x + transform.dx;
+        let y = glyph.position.y + transform.dy;
         
-        connections.forEach(conn => {
-            const fromNode = nodeMap.get(conn.from);
-            const toNode = nodeMap.get(conn.to);
-            
-            if (!fromNode || !toNode) return;
-            
-            const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-            path.classList.add('connection-line', conn.type);
-            
-            // ベジェ曲線の計算
-            const dx = toNode.position.x - fromNode.position.x;
-            const dy = toNode.position.y - fromNode.position.y;
-            const distance = Math.sqrt(dx * dx + dy * dy);
-            
-            const curvature = conn.curvature || 0.2;
-            const controlX = fromNode.position.x + dx * 0.5 + dy * curvature * 0.3;
-            const controlY = fromNode.position.y + dy * 0.5 - dx * curvature * 0.3;
-            
-            const d = `M ${fromNode.position.x} ${fromNode.position.y} Q ${controlX} ${controlY} ${toNode.position.x} ${toNode.position.y}`;
-            path.setAttribute('d', d);
-            
-            this.connectionLayer.appendChild(path);
-        });
+        if (env.writingMode !== 'vertical') {
+            // 横組みの親文字は位置を左下の基準点として描かれるため、字面の中心に合わせる
+            x += baseSize / 2;
+            y -= baseSize * 0.35;
+        }
+        
+        elem.setAttribute('font-size', fontSize);
+        elem.setAttribute('x', x);
+        elem.setAttribute('y', y);
+        elem.setAttribute('text-anchor', 'middle');
+        elem.setAttribute('dominant-baseline', 'central');
+        if (transform.rotation) {
+            elem.setAttribute('transform', `rotate(${transform.rotation * 180 / Math.PI} ${x} ${y})`);
+        } else {
+            elem.removeAttribute('transform');
+        }
     }
-
+    
+    drawConnection(conn, env) {
+        const fromNode = env.nodeMap.get(conn.from);
+        const toNode = env.nodeMap.get(conn.to);
+        
+        if (!fromNode || !toNode) return;
+        
+        const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        path.classList.add('connection-line', conn.type);
+        
+        // ベジェ曲線の計算
+        const from = fromNode.position;
+        const to = toNode.position;
+        const control = this.getConnectionControlPoint(from, to, conn.curvature);
+        
+        const d = `M ${from.x} ${from.y} Q ${control.x} ${control.y} ${to.x} ${to.y}`;
+        path.setAttribute('d', d);
+        
+        env.target.appendChild(path);
+    }
+    
+    drawCollocationField(field, env) {
+        if (!field.geometry || field.geometry.length === 0) return;
+        
+        const intensity = Math.max(0, Math.min(1, field.intensity || 0));
+        const elem = document.createElementNS('http://www.w3.org/2000/svg', 'polygon');
+        elem.classList.add('collocation-field');
+        elem.setAttribute('points', field.geometry.map(p => `${p.x},${p.y}`).join(' '));
+        elem.setAttribute('fill-opacity', intensity * 0.2);
+        elem.setAttribute('stroke-opacity', intensity * 0.5);
+        env.target.appendChild(elem);
+    }
+    
+    drawReadingTrajectory(trajectory, env) {
+        const points = this.getTrajectoryPoints(trajectory);
+        if (points.length < 2) return;
+        
+        const elem = document.createElementNS('http://www.w3.org/2000/svg', 'polyline');
+        elem.classList.add('reading-trajectory');
+        elem.setAttribute('points', points.map(p => `${p.x},${p.y}`).join(' '));
+        env.target.appendChild(elem);
+    }
+    
+    /**
+     * 創発パターンの重ね描き（意味クラスタ・意味の橋・読解螺旋）
+     */
+    drawPattern(pattern, env) {
+        const geometry = this.getPatternGeometry(pattern, env.nodeMap);
+        if (!geometry) return;
+        
+        let elem;
+        if (geometry.shape === 'circle') {
+            elem = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+            elem.classList.add('pattern-cluster');
+            elem.setAttribute('cx', geometry.cx);
+            elem.setAttribute('cy', geometry.cy);
+            elem.setAttribute('r', geometry.r);
+        } else if (geometry.shape === 'line') {
+            elem = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+            elem.classList.add('pattern-bridge');
+            elem.setAttribute('x1', geometry.from.x);
+            elem.setAttribute('y1', geometry.from.y);
+            elem.setAttribute('x2', geometry.to.x);
+            elem.setAttribute('y2', geometry.to.y);
+        } else {
+            elem = document.createElementNS('http://www.w3.org/2000/svg', 'polyline');
+            elem.classList.add('pattern-spiral');
+            elem.setAttribute('points', geometry.points.map(p => `${p.x},${p.y}`).join(' '));
+        }
+        env.target.appendChild(elem);
+    }
+    
+    /**
+     * 引力点・障害物だけの描き直し（文字の下に敷く。ViewportController がドラッグ中にも呼ぶ）
+     */
+    renderFieldElements(attractors = [], obstacles = []) {
+        const env = this.createEnvironment({ attractors, obstacles });
+        this.getFieldLayer().innerHTML = '';
+        this.drawLayer('obstacles', env);
+        this.drawLayer('attractors', env);
+    }
+    
+    drawObstacle(obstacle, env) {
+        const { x, y } = obstacle.position;
+        let elem;
+        
+        if (obstacle.shape === 'circle') {
+            elem = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+            elem.setAttribute('cx', x);
+            elem.setAttribute('cy', y);
+            elem.setAttribute('r', obstacle.radius);
+        } else if (obstacle.shape === 'polygon') {
+            elem = document.createElementNS('http://www.w3.org/2000/svg', 'polygon');
+            elem.setAttribute('points', obstacle.points.map(p => `${x + p.x},${y + p.y}`).join(' '));
+        } else {
+            elem = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+            elem.setAttribute('x', x);
+            elem.setAttribute('y', y);
+            elem.setAttribute('width', obstacle.width);
+            elem.setAttribute('height', obstacle.height);
+        }
+        
+        elem.id = obstacle.id;
+        elem.classList.add('obstacle');
+        env.target.appendChild(elem);
+    }
+    
+    drawAttractor(attractor, env) {
+        // 影響範囲と本体
+        const range = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+        range.classList.add('attractor-range');
+        range.setAttribute('cx', attractor.position.x);
+        range.setAttribute('cy', attractor.position.y);
+        range.setAttribute('r', attractor.radius);
+        env.target.appendChild(range);
+        
+        const elem = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+        elem.id = attractor.id;
+        elem.classList.add('attractor');
+        elem.setAttribute('cx', attractor.position.x);
+        elem.setAttribute('cy', attractor.position.y);
+        elem.setAttribute('r', 6);
+        env.target.appendChild(elem);
+    }
+    
     calculateFontSize(node) {
         // ズームレベルに応じてフォントサイズを調整
         const baseSize = 16;
@@ -170,7 +387,7 @@ class Renderer {
         
         return baseSize;
     }
-
+    
     calculateFPS() {
         this.frameCount++;
         const currentTime = performance.now();
@@ -188,9 +405,22 @@ class Renderer {
             }
         }
     }
-
+    
     clear() {
         this.textLayer.innerHTML = '';
         this.connectionLayer.innerHTML = '';
+        if (this.overlayLayer) {
+            this.overlayLayer.innerHTML = '';
+        }
+        if (this.fieldLayer) {
+            this.fieldLayer.innerHTML = '';
+        }
     }
 }
+
+// エクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Renderer;
+} else if (typeof window !== 'undefined') {
+    window.Renderer = Renderer;
+}
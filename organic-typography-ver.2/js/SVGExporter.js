@@ -0,0 +1,387 @@
+/**
+ * SVGExporter - 成長した有機体のSVG書き出し（SVG文字列の RenderBackend）
+ * ビューポートのカリングに関係なく全ノード・接続・連語感覚フィールド・読解軌跡・
+ * 創発パターンを、スタイルを埋め込んだ単体のSVG文字列にする（DOM不要、Node.jsでも動作）。
+ * 描画フックには層の <g> に入れる要素の文字列の配列が渡る
+ *
+ *   new SVGExporter({ customRenderer: { drawNode(elements, node, env) { elements.push('<text ...>'); } } })
+ */
+
+// 書き出しSVGに埋め込むスタイル（css/style.css と CanvasRenderBackend の描画色に合わせる）
+const SVG_EXPORT_STYLE = `
+.text-node { fill: #000; }
+.text-node.fading { opacity: 0.3; }
+.ruby-node { fill: #333; }
+.connection-line { stroke-width: 0.3; fill: none; opacity: 0.6; }
+.connection-line.primary { stroke: #e91e63; }
+.connection-line.secondary { stroke: #2196f3; }
+.connection-line.tertiary { stroke: #4caf50; }
+.collocation-field { fill: rgb(255, 200, 100); stroke: rgb(255, 200, 100); stroke-width: 1; }
+.reading-trajectory { fill: none; stroke: rgba(200, 100, 255, 0.3); stroke-width: 2; stroke-dasharray: 5 5; }
+.pattern-cluster { fill: rgba(120, 90, 200, 0.08); stroke: rgba(120, 90, 200, 0.4); stroke-width: 1; }
+.pattern-bridge { fill: none; stroke: rgba(255, 120, 0, 0.6); stroke-width: 1.5; }
+.pattern-spiral { fill: none; stroke: rgba(0, 150, 136, 0.5); stroke-width: 1; }
+`;
+
+// 層ごとの書き出し先の <g> の id（文字とルビは同じ層にまとめる）
+const SVG_EXPORT_GROUPS = {
+    obstacles: 'field-elements',
+    attractors: 'field-elements',
+    collocationFields: 'collocation-fields',
+    connections: 'connections',
+    readingTrajectory: 'reading-trajectory',
+    emergentPatterns: 'emergent-patterns',
+    nodes: 'text-layer',
+    ruby: 'text-layer'
+};
+
+class SVGExporter extends RenderBackend {
+    constructor(options = {}) {
+        super(null, options);
+        this.name = 'svg-string';
+        this.options = {
+            bounds: 'content',          // 'content'（描画内容に合わせる） | 'canvas'（レイアウト全体）
+            padding: 40,                // bounds: 'content' 時の余白
+            background: '#ffffff',      // 背景色（nullで透明）
+            fontFamily: "'Hiragino Mincho ProN', 'Yu Mincho', serif",
+            fontSize: 16,
+            fontUrl: null,              // 指定時は @font-face を埋め込む
+            subsetFont: true,           // @font-face の unicode-range を使用文字に限定
+            precision: 2,               // 座標の小数桁数
+            connections: true,
+            ruby: true,
+            collocationFields: true,
+            readingTrajectory: true,
+            emergentPatterns: true,
+            fieldElements: false,       // 引力点・障害物
+            ...options
+        };
+        this.parts = null;
+        this.currentGroup = null;
+    }
+
+    /**
+     * レイアウトをSVG文字列に書き出す
+     */
+    export(layout) {
+        if (!layout || !Array.isArray(layout.nodes)) {
+            throw new Error('SVGExporter.export にはレイアウトが必要です');
+        }
+
+        return this.render(layout);
+    }
+
+    begin(env) {
+        const options = this.options;
+        const layout = env.layout;
+        this.glyphs = (typeof layout.getGlyphs === 'function') ? layout.getGlyphs() : layout.nodes;
+        this.rubyGlyphs = (options.ruby && typeof layout.getRubyGlyphs === 'function') ? layout.getRubyGlyphs() : null;
+
+        const rubyGlyphs = this.rubyGlyphs || [];
+        const box = this.calculateViewBox(layout, this.glyphs, rubyGlyphs);
+        const usedChars = new Set([...this.glyphs, ...rubyGlyphs].map(item => item.char).filter(Boolean));
+
+        const parts = [];
+        parts.push('<?xml version="1.0" encoding="UTF-8"?>');
+        parts.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${this.format(box.width)}" height="${this.format(box.height)}" ` +
+                   `viewBox="${this.format(box.x)} ${this.format(box.y)} ${this.format(box.width)} ${this.format(box.height)}">`);
+        parts.push(`<desc>${this.escape(`characters: ${layout.text ? layout.text.length : 0}, nodes: ${layout.nodes.length}, generation: ${layout.generation || 0}`)}</desc>`);
+        parts.push(`<style><![CDATA[\n${this.buildStyle(usedChars)}]]></style>`);
+
+        if (options.background) {
+            parts.push(`<rect x="${this.format(box.x)}" y="${this.format(box.y)}" width="${this.format(box.width)}" height="${this.format(box.height)}" fill="${this.escape(options.background)}"/>`);
+        }
+
+        this.parts = parts;
+        this.currentGroup = null;
+    }
+
+    end(env) {
+        this.closeGroup();
+        this.parts.push('</svg>');
+
+        const svg = this.parts.join('\n');
+        this.parts = null;
+        return svg;
+    }
+
+    getLayerElements(layer, env) {
+        if (layer.name === 'nodes') return this.glyphs;
+        if (layer.name === 'ruby') return this.rubyGlyphs;
+        return super.getLayerElements(layer, env);
+    }
+
+    /**
+     * 層の書き出し先の <g>（前の層と同じ <g> ならそのまま続ける）
+     */
+    beginLayer(layer, env) {
+        const id = SVG_EXPORT_GROUPS[layer.name];
+        if (this.currentGroup && this.currentGroup.id === id) return;
+
+        this.closeGroup();
+        this.currentGroup = { id, elements: [] };
+    }
+
+    closeGroup() {
+        if (!this.currentGroup) return;
+
+        this.parts.push(this.group(this.currentGroup.id, this.currentGroup.elements));
+        this.currentGroup = null;
+    }
+
+    getTarget(layer, env) {
+        return this.currentGroup.elements;
+    }
+
+    // === 要素ごとの描画（層の <g> に要素の文字列を足す） ===
+
+    drawNode(node, env) {
+        env.target.push(this.nodeElement(node, env.writingMode));
+    }
+
+    drawRubyGlyph(glyph, env) {
+        env.target.push(this.rubyElement(glyph, env.writingMode));
+    }
+
+    drawConnection(connection, env) {
+        env.target.push(this.connectionElement(connection, env.nodeMap));
+    }
+
+    drawCollocationField(field, env) {
+        env.target.push(this.collocationFieldElement(field));
+    }
+
+    drawReadingTrajectory(trajectory, env) {
+        env.target.push(this.trajectoryElement(trajectory));
+    }
+
+    drawPattern(pattern, env) {
+        env.target.push(this.patternElement(pattern, env.nodeMap));
+    }
+
+    drawObstacle(obstacle, env) {
+        env.target.push(this.obstacleElement(obstacle));
+    }
+
+    drawAttractor(attractor, env) {
+        env.target.push(this.attractorElement(attractor));
+    }
+
+    /**
+     * 書き出し範囲（描画内容の外接矩形、またはレイアウト全体）
+     */
+    calculateViewBox(layout, glyphs, rubyGlyphs) {
+        const points = [...glyphs, ...rubyGlyphs].map(item => item.position);
+        if (this.options.collocationFields && layout.collocationFields) {
+            layout.collocationFields.forEach(field => points.push(...(field.geometry || [])));
+        }
+
+        if (this.options.bounds === 'canvas' || points.length === 0) {
+            return { x: 0, y: 0, width: layout.canvasWidth || 0, height: layout.canvasHeight || 0 };
+        }
+
+        // 点が多くても引数の数の上限に触れないよう、1つずつ比べる
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        points.forEach(point => {
+            if (!point || !Number.isFinite(point.x) || !Number.isFinite(point.y)) return;
+            minX = Math.min(minX, point.x);
+            minY = Math.min(minY, point.y);
+            maxX = Math.max(maxX, point.x);
+            maxY = Math.max(maxY, point.y);
+        });
+
+        const padding = this.options.padding;
+        minX -= padding;
+        minY -= padding;
+        maxX += padding;
+        maxY += padding;
+
+        return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+    }
+
+    /**
+     * 埋め込みスタイル（フォント指定時は使用文字に限った @font-face を付ける）
+     */
+    buildStyle(usedChars) {
+        let fontFace = '';
+        let family = this.options.fontFamily;
+
+        if (this.options.fontUrl) {
+            const rules = [
+                `font-family: 'OrganicTypographyExport';`,
+                `src: url(${JSON.stringify(this.options.fontUrl)});`
+            ];
+            if (this.options.subsetFont && usedChars.size > 0) {
+                rules.push(`unicode-range: ${this.buildUnicodeRange(usedChars)};`);
+            }
+            fontFace = `@font-face { ${rules.join(' ')} }\n`;
+            family = `'OrganicTypographyExport', ${family}`;
+        }
+
+        return fontFace + SVG_EXPORT_STYLE + `text { font-family: ${family}; }\n`;
+    }
+
+    /**
+     * 使用文字のコードポイントを連続範囲にまとめた unicode-range
+     */
+    buildUnicodeRange(chars) {
+        const codePoints = [...new Set(Array.from([...chars].join('')).map(char => char.codePointAt(0)))]
+            .sort((a, b) => a - b);
+        if (codePoints.length === 0) return '';
+
+        const hex = value => value.toString(16).toUpperCase();
+        const ranges = [];
+        let start = codePoints[0];
+        let previous = start;
+        for (let i = 1; i <= codePoints.length; i++) {
+            const codePoint = codePoints[i];
+            if (codePoint === previous + 1) {
+                previous = codePoint;
+                continue;
+            }
+            ranges.push(start === previous ? `U+${hex(start)}` : `U+${hex(start)}-${hex(previous)}`);
+            start = previous = codePoint;
+        }
+
+        return ranges.join(', ');
+    }
+
+    nodeElement(node, writingMode) {
+        if (!node.position) return '';
+
+        const fontSize = this.options.fontSize;
+        const className = node.energy < 30 ? 'text-node fading' : 'text-node';
+        return this.textElement(node.char, node.position, node.velocity, writingMode, fontSize, className, node.id, node.color);
+    }
+
+    rubyElement(glyph, writingMode) {
+        const fontSize = this.options.fontSize * (glyph.scale || 0.5);
+        return this.textElement(glyph.char, glyph.position, glyph.velocity, writingMode, fontSize, 'ruby-node', glyph.id, glyph.color);
+    }
+
+    /**
+     * 字の配置（縦組みでは枝の接線に沿って正立／横倒し。color は OrganicEcosystem の生物の色）
+     */
+    textElement(char, position, velocity, writingMode, fontSize, className, id, color = null) {
+        let x = position.x;
+        let y = position.y;
+        let transform = '';
+
+        if (writingMode === 'vertical' && typeof GlyphOrientation !== 'undefined') {
+            const glyph = GlyphOrientation.getGlyphTransform(char, velocity, writingMode, fontSize);
+            x += glyph.dx;
+            y += glyph.dy;
+            if (glyph.rotation) {
+                transform = ` transform="rotate(${this.format(glyph.rotation * 180 / Math.PI)} ${this.format(x)} ${this.format(y)})"`;
+            }
+        }
+
+        const style = color ? ` style="fill: ${this.escape(color)}"` : '';
+        return `<text id="${this.escape(id)}" class="${className}" x="${this.format(x)}" y="${this.format(y)}" ` +
+               `font-size="${this.format(fontSize)}" text-anchor="middle" dominant-baseline="central"${transform}${style}>${this.escape(char || '')}</text>`;
+    }
+
+    /**
+     * 接続線（Rendererと同じ二次ベジェ曲線）
+     */
+    connectionElement(conn, nodeMap) {
+        const fromNode = nodeMap.get(conn.from);
+        const toNode = nodeMap.get(conn.to);
+        if (!fromNode || !toNode) return '';
+
+        const from = fromNode.position;
+        const to = toNode.position;
+        const control = this.getConnectionControlPoint(from, to, conn.curvature);
+
+        const d = `M ${this.format(from.x)} ${this.format(from.y)} Q ${this.format(control.x)} ${this.format(control.y)} ${this.format(to.x)} ${this.format(to.y)}`;
+        const style = conn.color ? ` style="stroke: ${this.escape(conn.color)}"` : '';
+        return `<path class="connection-line ${this.escape(conn.type || '')}" d="${d}"${style}/>`;
+    }
+
+    collocationFieldElement(field) {
+        if (!field.geometry || field.geometry.length === 0) return '';
+
+        const intensity = Math.max(0, Math.min(1, field.intensity || 0));
+        return `<polygon class="collocation-field" points="${this.formatPoints(field.geometry)}" ` +
+               `fill-opacity="${this.format(intensity * 0.2)}" stroke-opacity="${this.format(intensity * 0.5)}"/>`;
+    }
+
+    trajectoryElement(trajectory) {
+        const points = this.getTrajectoryPoints(trajectory);
+        if (points.length < 2) return '';
+
+        return `<polyline class="reading-trajectory" points="${this.formatPoints(points)}"/>`;
+    }
+
+    /**
+     * 創発パターンの重ね描き（意味クラスタ・意味の橋・読解螺旋）
+     */
+    patternElement(pattern, nodeMap) {
+        const geometry = this.getPatternGeometry(pattern, nodeMap, this.options.fontSize);
+        if (!geometry) return '';
+
+        switch (geometry.shape) {
+            case 'circle':
+                return `<circle class="pattern-cluster" cx="${this.format(geometry.cx)}" cy="${this.format(geometry.cy)}" r="${this.format(geometry.r)}"/>`;
+            case 'line':
+                return `<line class="pattern-bridge" x1="${this.format(geometry.from.x)}" y1="${this.format(geometry.from.y)}" ` +
+                       `x2="${this.format(geometry.to.x)}" y2="${this.format(geometry.to.y)}"/>`;
+            default:
+                return `<polyline class="pattern-spiral" points="${this.formatPoints(geometry.points)}"/>`;
+        }
+    }
+
+    /**
+     * 引力点・障害物（fieldElements: true のときだけ書き出す。色は css/style.css と同じ）
+     */
+    obstacleElement(obstacle) {
+        const { x, y } = obstacle.position;
+        const style = 'fill="rgba(120, 120, 120, 0.15)" stroke="#787878" stroke-width="1"';
+
+        if (obstacle.shape === 'circle') {
+            return `<circle cx="${this.format(x)}" cy="${this.format(y)}" r="${this.format(obstacle.radius)}" ${style}/>`;
+        }
+        if (obstacle.shape === 'polygon') {
+            const points = obstacle.points.map(point => ({ x: x + point.x, y: y + point.y }));
+            return `<polygon points="${this.formatPoints(points)}" ${style}/>`;
+        }
+        return `<rect x="${this.format(x)}" y="${this.format(y)}" width="${this.format(obstacle.width)}" height="${this.format(obstacle.height)}" ${style}/>`;
+    }
+
+    attractorElement(attractor) {
+        const { x, y } = attractor.position;
+        return `<circle cx="${this.format(x)}" cy="${this.format(y)}" r="${this.format(attractor.radius)}" ` +
+               `fill="none" stroke="#4caf50" stroke-width="0.5" stroke-dasharray="4 4" opacity="0.4"/>\n` +
+               `<circle cx="${this.format(x)}" cy="${this.format(y)}" r="6" fill="#4caf50" opacity="0.8"/>`;
+    }
+
+    group(id, elements) {
+        return `<g id="${id}">\n${elements.filter(Boolean).join('\n')}\n</g>`;
+    }
+
+    formatPoints(points) {
+        return points.map(point => `${this.format(point.x)},${this.format(point.y)}`).join(' ');
+    }
+
+    format(value) {
+        if (!Number.isFinite(value)) return '0';
+        const factor = Math.pow(10, this.options.precision);
+        return String(Math.round(value * factor) / factor);
+    }
+
+    escape(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+}
+
+// エクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SVGExporter;
+} else if (typeof window !== 'undefined') {
+    window.SVGExporter = SVGExporter;
+}
@@ -2,11 +2,22 @@
  * SemanticField - 語義的引力場と連語感覚の計算エンジン
  * 視覚的連結と語義的連結の干渉パターンを生成
  */
+
+// 連語の統計的結合度の尺度
+const COLLOCATION_MEASURES = ['pmi', 'npmi', 'llr', 'tscore'];
+
+// 追記のとき、追記分とつなげて解析し直す既存テキスト末尾の形態素の数
+const RETOKENIZE_MORPHEMES = 2;
+
 class SemanticField {
-    constructor() {
+    constructor(config = {}) {
         this.semanticGraph = new Map();
-        this.collocationMatrix = new Map();
+        this.collocationMatrix = new Map();     // 有向共起頻度（"語1_語2" → 窓内で語1が先行した回数）
+        this.unigramCounts = new Map();
+        this.collocationMarginals = { left: new Map(), right: new Map(), total: 0 };
+        this.collocationScoreMax = new Map();   // 正規化用の最大スコア（尺度・方向ごと）
         this.readingHistory = [];
+        this.morphemes = [];
         this.contextualLayers = {
             temporal: new Map(),    // 時間的文脈
             cultural: new Map(),    // 文化的文脈  
@@ -21,28 +32,51 @@ class SemanticField {
             interferenceThreshold: 0.3, // 干渉発生閾値
             memoryDecay: 0.95          // 記憶減衰率
         };
+        
+        // 連語統計のパラメータ
+        this.collocationParams = {
+            measure: 'npmi',           // 'pmi' | 'npmi' | 'llr' | 'tscore'
+            window: 2,                 // 共起窓（後続何語までを共起とみなすか）
+            minCount: 1,               // 評価対象とする最小共起頻度
+            directional: false,        // 既定の参照方向（false: 対称）
+            ...(config.collocation || {})
+        };
+        SemanticField.validateMeasure(this.collocationParams.measure);
+        
+        // 形態素解析器（TemporalContextと共有）
+        this.tokenizer = (typeof JapaneseTokenizer !== 'undefined') ?
+                         JapaneseTokenizer.getSharedInstance() : null;
+        
+        // 乱数・時計（OrganicLayoutから注入）
+        this.environment = SimulationEnvironment.resolve(config);
+        
+        // 単語分散表現（未設定・未読み込み時はハッシュベクトルで代用）
+        this.embeddingProvider = null;
+    }
+
+    static validateMeasure(measure) {
+        if (!COLLOCATION_MEASURES.includes(measure)) {
+            throw new Error(`Unknown collocation measure: ${measure}`);
+        }
+    }
+
+    /**
+     * 分散表現プロバイダの設定
+     */
+    setEmbeddingProvider(provider) {
+        this.embeddingProvider = provider || null;
     }
 
     /**
      * テキストの語義構造を解析し、引力場を構築
      */
     analyzeSemanticStructure(text) {
-        const words = this.tokenize(text);
-        const semanticVectors = this.computeSemanticVectors(words);
+        // 形態素列（表層形・読み・品詞・文字位置）を保持
+        this.morphemes = this.getMorphemes(text);
+        const words = this.filterContentMorphemes(this.morphemes);
         
-        // 語義的類似度行列の構築
-        for (let i = 0; i < words.length; i++) {
-            for (let j = i + 1; j < words.length; j++) {
-                const similarity = this.calculateSemanticSimilarity(
-                    semanticVectors[i], 
-                    semanticVectors[j]
-                );
-                
-                if (similarity > 0.3) {
-                    this.addSemanticConnection(words[i], words[j], similarity);
-                }
-            }
-        }
+        // 語義的類似度行列の構築（異なり語ごと、双方向）
+        this.buildSemanticConnections(Array.from(new Set(words)), []);
         
         // 連語パターンの検出
         this.detectCollocationPatterns(words);
@@ -50,6 +84,82 @@ class SemanticField {
         return this.semanticGraph;
     }
 
+    /**
+     * 追記テキストの増分解析（追記分の語だけを語義グラフ・連語統計に加える）
+     * offset: 全体テキスト中での追記開始位置
+     * 既存テキスト末尾の語は追記分とつながりうる（「今日は言」＋「語を読む」の「言語」）ため、
+     * 末尾の形態素から解析し直して置き換える。options.separate なら別のテキストとして末尾とつなげない
+     * 返り値は置き換えた形態素と追記分の形態素（先頭の start が解析し直した位置）
+     */
+    appendText(text, offset, options = {}) {
+        const window = Math.max(1, this.collocationParams.window);
+        const restart = options.separate ? this.morphemes.length : this.getRetokenizeStart(offset);
+        const replaced = this.morphemes.slice(restart);
+        const start = replaced.length > 0 ? replaced[0].start : offset;
+        
+        const morphemes = this.getMorphemes(replaced.map(morpheme => morpheme.surface).join('') + text)
+            .map(morpheme => ({
+                ...morpheme,
+                start: morpheme.start + start,
+                end: morpheme.end + start
+            }));
+        const words = this.filterContentMorphemes(morphemes);
+        
+        // 置き換える語の連語統計を取り消し、その前の語を共起窓の文脈として引き継ぐ
+        const context = this.filterContentMorphemes(this.morphemes.slice(0, restart)).slice(-window);
+        this.detectCollocationPatterns(this.filterContentMorphemes(replaced), context, -1);
+        
+        const knownWords = Array.from(this.unigramCounts.keys());
+        const newWords = Array.from(new Set(words)).filter(word => !this.unigramCounts.has(word));
+        
+        this.morphemes.splice(restart, replaced.length, ...morphemes);
+        this.buildSemanticConnections(newWords, knownWords);
+        this.detectCollocationPatterns(words, context);
+        
+        return morphemes;
+    }
+
+    /**
+     * 追記分とつなげて解析し直す形態素の添字（追記位置まで隙間なく続く末尾の語。記号・空白で止める）
+     */
+    getRetokenizeStart(offset) {
+        let restart = this.morphemes.length;
+        let end = offset;
+        while (restart > 0 && this.morphemes.length - restart < RETOKENIZE_MORPHEMES) {
+            const morpheme = this.morphemes[restart - 1];
+            if (morpheme.end !== end || morpheme.pos === '記号' || morpheme.pos === '空白') break;
+            restart--;
+            end = morpheme.start;
+        }
+        return restart;
+    }
+
+    /**
+     * 新出語どうし、および新出語と既知語の語義的結合を追加
+     */
+    buildSemanticConnections(newWords, knownWords) {
+        const newVectors = this.computeSemanticVectors(newWords);
+        const knownVectors = this.computeSemanticVectors(knownWords);
+        
+        const connect = (word1, word2, similarity) => {
+            if (similarity > 0.3) {
+                this.addSemanticConnection(word1, word2, similarity);
+                this.addSemanticConnection(word2, word1, similarity);
+            }
+        };
+        
+        for (let i = 0; i < newWords.length; i++) {
+            for (let j = i + 1; j < newWords.length; j++) {
+                connect(newWords[i], newWords[j],
+                        this.calculateSemanticSimilarity(newVectors[i], newVectors[j]));
+            }
+            for (let k = 0; k < knownWords.length; k++) {
+                connect(newWords[i], knownWords[k],
+                        this.calculateSemanticSimilarity(newVectors[i], knownVectors[k]));
+            }
+        }
+    }
+
     /**
      * 語義的引力/斥力の計算
      */
@@ -58,8 +168,9 @@ class SemanticField {
             return { attraction: 0, repulsion: 0, lateral: 0 };
         }
         
-        const word1 = sourceNode.char;
-        const word2 = targetNode.char;
+        // ノードの文字が属する語で語義を評価
+        const word1 = this.getNodeWord(sourceNode);
+        const word2 = this.getNodeWord(targetNode);
         
         // 語義的距離の計算
         const semanticDistance = this.getSemanticDistance(word1, word2);
@@ -89,7 +200,7 @@ class SemanticField {
         const collocationField = [];
         
         for (const nearby of nearbyNodes) {
-            const collocationValue = this.getCollocationStrength(node.char, nearby.char);
+            const collocationValue = this.getNodeCollocationStrength(node, nearby);
             
             if (collocationValue > 0.5) {
                 // 連語関係を視覚的に表現する「感覚フィールド」
@@ -132,7 +243,7 @@ class SemanticField {
         
         // 読書体験の履歴に追加
         this.readingHistory.push({
-            timestamp: Date.now(),
+            timestamp: this.environment.now(),
             node: currentNode.id,
             readingState: readingState,
             context: this.captureCurrentContext()
@@ -170,8 +281,111 @@ class SemanticField {
     // === 内部メソッド群 ===
 
     tokenize(text) {
-        // 高度な形態素解析（日本語対応）
-        return text.split(/[\s、。！？]+/).filter(word => word.length > 0);
+        // 形態素解析による語の切り出し（記号・空白を除く）
+        return this.filterContentMorphemes(this.getMorphemes(text));
+    }
+
+    /**
+     * 形態素列の取得（表層形・読み・品詞・文字位置）
+     */
+    getMorphemes(text) {
+        if (typeof text !== 'string' || text.length === 0) return [];
+        
+        if (this.tokenizer) {
+            return this.tokenizer.tokenize(text);
+        }
+        
+        // フォールバック：区切り文字による分割
+        const morphemes = [];
+        const pattern = /[^\s、。！？]+/g;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            morphemes.push({
+                surface: match[0],
+                reading: null,
+                pos: '名詞',
+                basic: match[0],
+                start: match.index,
+                end: match.index + match[0].length,
+                unknown: true
+            });
+        }
+        return morphemes;
+    }
+
+    filterContentMorphemes(morphemes) {
+        return morphemes
+            .filter(morpheme => morpheme.pos !== '記号' && morpheme.pos !== '空白')
+            .map(morpheme => morpheme.surface);
+    }
+
+    /**
+     * 文字位置を含む形態素の添字（記号・空白を含む。なければ -1）
+     */
+    findMorphemeIndex(textIndex) {
+        if (typeof textIndex !== 'number') return -1;
+        
+        // 形態素列は文字位置順なので二分探索
+        let low = 0;
+        let high = this.morphemes.length - 1;
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            const candidate = this.morphemes[mid];
+            if (textIndex < candidate.start) {
+                high = mid - 1;
+            } else if (textIndex >= candidate.end) {
+                low = mid + 1;
+            } else {
+                return mid;
+            }
+        }
+        
+        return -1;
+    }
+
+    /**
+     * 文字位置を含む内容語の形態素
+     */
+    getMorphemeAt(textIndex) {
+        const tokenId = this.getTokenId(textIndex);
+        return tokenId === null ? null : this.morphemes[tokenId];
+    }
+
+    /**
+     * 文字位置を含む内容語のトークンID（形態素列の添字。追記しても変わらない。記号・空白は null）
+     */
+    getTokenId(textIndex) {
+        const index = this.findMorphemeIndex(textIndex);
+        if (index < 0) return null;
+        
+        const morpheme = this.morphemes[index];
+        return (morpheme.pos === '記号' || morpheme.pos === '空白') ? null : index;
+    }
+
+    /**
+     * 文字位置を含む語の表層形
+     */
+    getWordAt(textIndex) {
+        const morpheme = this.getMorphemeAt(textIndex);
+        return morpheme ? morpheme.surface : null;
+    }
+
+    /**
+     * ノードが属する語の形態素（tokenId を持たない古いノードは文字位置から引く）
+     */
+    getNodeMorpheme(node) {
+        if (node.tokenId !== undefined) {
+            return node.tokenId === null ? null : this.morphemes[node.tokenId] || null;
+        }
+        return this.getMorphemeAt(node.textIndex);
+    }
+
+    /**
+     * ノードの語義を評価する語（属する語の表層形、語に属さない記号などはノードの文字）
+     */
+    getNodeWord(node) {
+        const morpheme = this.getNodeMorpheme(node);
+        return morpheme ? morpheme.surface : node.char;
     }
 
     computeSemanticVectors(words) {
@@ -193,11 +407,17 @@ class SemanticField {
             norm2 += vector2[i] * vector2[i];
         }
         
+        if (norm1 === 0 || norm2 === 0) return 0;
         return dotProduct / (Math.sqrt(norm1) * Math.sqrt(norm2));
     }
 
     getWordEmbedding(word) {
-        // 簡化されたワード埋め込み（实際には事前学習モデルを使用）
+        // 事前学習済みの分散表現（未知語は文字n-gram平均、該当なしはnull）
+        if (this.embeddingProvider && this.embeddingProvider.hasVectors()) {
+            return this.embeddingProvider.getVector(word);
+        }
+        
+        // 簡化されたワード埋め込み（分散表現が未読み込みの場合）
         const hash = this.simpleHash(word);
         const vector = [];
         for (let i = 0; i < 50; i++) {
@@ -231,18 +451,203 @@ class SemanticField {
         return 1; // デフォルト距離
     }
 
-    getCollocationStrength(word1, word2) {
-        const key = `${word1}_${word2}`;
-        return this.collocationMatrix.get(key) || 0;
+    /**
+     * 連語強度（選択中の尺度を0〜1に正規化）
+     * directional: true なら word1 が word2 に先行する共起のみを評価
+     */
+    getCollocationStrength(word1, word2, directional = this.collocationParams.directional) {
+        const measure = this.collocationParams.measure;
+        const score = this.getCollocationScore(word1, word2, { measure, directional });
+        if (score <= 0) return 0;
+        
+        // NPMIは元から[-1, 1]、その他は観測最大値で正規化
+        if (measure === 'npmi') return Math.min(1, score);
+        
+        const maxScore = this.getMaxCollocationScore(measure, directional);
+        return maxScore > 0 ? Math.min(1, score / maxScore) : 0;
     }
 
-    detectCollocationPatterns(words) {
-        // n-gramベースの連語検出
-        for (let i = 0; i < words.length - 1; i++) {
-            const bigram = `${words[i]}_${words[i + 1]}`;
-            const currentStrength = this.collocationMatrix.get(bigram) || 0;
-            this.collocationMatrix.set(bigram, currentStrength + 0.1);
+    /**
+     * ノード間の連語強度（ノードの文字が属する語で評価、方向はテキスト上の順序）
+     */
+    getNodeCollocationStrength(nodeA, nodeB) {
+        const morphemeA = this.getNodeMorpheme(nodeA);
+        const morphemeB = this.getNodeMorpheme(nodeB);
+        
+        if (!morphemeA || !morphemeB) {
+            return this.getCollocationStrength(nodeA.char, nodeB.char);
         }
+        
+        // 同じ語の内部は連語ではない
+        if (morphemeA === morphemeB) return 0;
+        
+        return morphemeA.start < morphemeB.start ?
+               this.getCollocationStrength(morphemeA.surface, morphemeB.surface) :
+               this.getCollocationStrength(morphemeB.surface, morphemeA.surface);
+    }
+
+    /**
+     * 連語の統計的結合度（尺度ごとの生スコア）
+     */
+    getCollocationScore(word1, word2, options = {}) {
+        const measure = options.measure || this.collocationParams.measure;
+        const directional = options.directional !== undefined ?
+                            options.directional : this.collocationParams.directional;
+        
+        const table = this.getContingencyTable(word1, word2, directional);
+        if (!table || table.observed < this.collocationParams.minCount) return 0;
+        
+        switch (measure) {
+            case 'pmi':
+                return this.calculatePMI(table);
+            case 'npmi':
+                return this.calculateNPMI(table);
+            case 'llr':
+                return this.calculateLogLikelihood(table);
+            case 'tscore':
+                return this.calculateTScore(table);
+            default:
+                throw new Error(`Unknown collocation measure: ${measure}`);
+        }
+    }
+
+    /**
+     * 2×2分割表（観測共起数・周辺度数・総数）
+     * 対称参照では両方向の共起を合算し、周辺度数も左右を合算する
+     */
+    getContingencyTable(word1, word2, directional) {
+        const { left, right, total } = this.collocationMarginals;
+        if (total === 0) return null;
+        
+        const forward = this.collocationMatrix.get(`${word1}_${word2}`) || 0;
+        if (directional) {
+            if (forward === 0) return null;
+            return {
+                observed: forward,
+                row: left.get(word1) || 0,
+                column: right.get(word2) || 0,
+                total: total
+            };
+        }
+        
+        const backward = word1 === word2 ? 0 : (this.collocationMatrix.get(`${word2}_${word1}`) || 0);
+        if (forward + backward === 0) return null;
+        return {
+            observed: forward + backward,
+            row: (left.get(word1) || 0) + (right.get(word1) || 0),
+            column: (left.get(word2) || 0) + (right.get(word2) || 0),
+            total: total * 2
+        };
+    }
+
+    calculatePMI({ observed, row, column, total }) {
+        return Math.log2((observed * total) / (row * column));
+    }
+
+    calculateNPMI(table) {
+        const jointProbability = table.observed / table.total;
+        if (jointProbability >= 1) return 1;
+        return this.calculatePMI(table) / -Math.log2(jointProbability);
+    }
+
+    calculateLogLikelihood({ observed, row, column, total }) {
+        // Dunningの対数尤度比 G²（負の関連は負値で返す）
+        const cells = [
+            [observed, row * column / total],
+            [row - observed, row * (total - column) / total],
+            [column - observed, (total - row) * column / total],
+            [total - row - column + observed, (total - row) * (total - column) / total]
+        ];
+        
+        let g2 = 0;
+        for (const [o, e] of cells) {
+            if (o > 0 && e > 0) {
+                g2 += o * Math.log(o / e);
+            }
+        }
+        g2 *= 2;
+        
+        return observed >= row * column / total ? g2 : -g2;
+    }
+
+    calculateTScore({ observed, row, column, total }) {
+        const expected = row * column / total;
+        return (observed - expected) / Math.sqrt(observed);
+    }
+
+    getMaxCollocationScore(measure, directional) {
+        const cacheKey = `${measure}_${directional}`;
+        if (this.collocationScoreMax.has(cacheKey)) {
+            return this.collocationScoreMax.get(cacheKey);
+        }
+        
+        let maxScore = 0;
+        for (const key of this.collocationMatrix.keys()) {
+            const [word1, word2] = this.splitCollocationKey(key);
+            maxScore = Math.max(maxScore, this.getCollocationScore(word1, word2, { measure, directional }));
+        }
+        
+        this.collocationScoreMax.set(cacheKey, maxScore);
+        return maxScore;
+    }
+
+    splitCollocationKey(key) {
+        // 語自体に"_"を含む場合に備え、登録済みの語で分割位置を判定
+        let index = key.indexOf('_');
+        while (index !== -1) {
+            const word1 = key.slice(0, index);
+            const word2 = key.slice(index + 1);
+            if (this.unigramCounts.has(word1) && this.unigramCounts.has(word2)) {
+                return [word1, word2];
+            }
+            index = key.indexOf('_', index + 1);
+        }
+        return [key, ''];
+    }
+
+    /**
+     * 共起窓による連語統計の収集
+     * context: 直前の既集計語（追記時の窓の継続用、単独では数えない）
+     */
+    detectCollocationPatterns(words, context = [], delta = 1) {
+        const window = Math.max(1, this.collocationParams.window);
+        const { left, right } = this.collocationMarginals;
+        
+        // delta = -1 で数えた分を取り消す（0になった項目は消す）
+        const add = (map, key) => {
+            const count = (map.get(key) || 0) + delta;
+            if (count > 0) {
+                map.set(key, count);
+            } else {
+                map.delete(key);
+            }
+        };
+        
+        words = context.concat(words);
+        for (let i = 0; i < words.length; i++) {
+            if (i >= context.length) {
+                add(this.unigramCounts, words[i]);
+            }
+            
+            for (let j = Math.max(i + 1, context.length); j <= i + window && j < words.length; j++) {
+                add(this.collocationMatrix, `${words[i]}_${words[j]}`);
+                add(left, words[i]);
+                add(right, words[j]);
+                this.collocationMarginals.total += delta;
+            }
+        }
+        
+        this.collocationScoreMax.clear();
+    }
+
+    /**
+     * 連語統計の消去
+     */
+    clearCollocations() {
+        this.collocationMatrix.clear();
+        this.unigramCounts.clear();
+        this.collocationMarginals = { left: new Map(), right: new Map(), total: 0 };
+        this.collocationScoreMax.clear();
     }
 
     generateInterferencePattern(spatialDist, semanticDist, collocationStrength) {
@@ -279,8 +684,8 @@ class SemanticField {
 
     calculateResonancePattern(node1, node2) {
         // 共鳴パターンの計算
-        const frequency1 = this.getWordFrequency(node1.char);
-        const frequency2 = this.getWordFrequency(node2.char);
+        const frequency1 = this.getWordFrequency(this.getNodeWord(node1));
+        const frequency2 = this.getWordFrequency(this.getNodeWord(node2));
         
         return {
             frequency: Math.abs(frequency1 - frequency2),
@@ -323,7 +728,7 @@ class SemanticField {
     calculateCognitiveLoad(node) {
         // 認知負荷の計算
         const wordComplexity = node.char.length;
-        const semanticComplexity = this.getSemanticComplexity(node.char);
+        const semanticComplexity = this.getSemanticComplexity(this.getNodeWord(node));
         const contextualLoad = this.getContextualLoad(node);
         
         return (wordComplexity + semanticComplexity + contextualLoad) / 3;
@@ -345,7 +750,7 @@ class SemanticField {
         return {
             recentHistory: this.readingHistory.slice(-10),
             globalContext: this.contextualLayers.temporal.get(node.char) || {},
-            temporalDistance: Date.now() - (node.timestamp || Date.now())
+            temporalDistance: this.environment.now() - (node.timestamp || this.environment.now())
         };
     }
 
@@ -498,7 +903,7 @@ class SemanticField {
         allNodes.forEach(node => {
             if (visited.has(node.id)) return;
             
-            const similarity = 1 - this.getSemanticDistance(seedNode.char, node.char);
+            const similarity = 1 - this.getSemanticDistance(this.getNodeWord(seedNode), this.getNodeWord(node));
             if (similarity > 0.7) {
                 cluster.push(node);
                 visited.add(node.id);
@@ -659,7 +1064,7 @@ class SemanticField {
         patterns.clusters.forEach(cluster => {
             emergentMoments.push({
                 type: 'cluster_formation',
-                timestamp: Date.now(),
+                timestamp: this.environment.now(),
                 elements: cluster,
                 significance: cluster.length / 10
             });
@@ -669,7 +1074,7 @@ class SemanticField {
         patterns.bridges.forEach(bridge => {
             emergentMoments.push({
                 type: 'semantic_leap',
-                timestamp: Date.now(),
+                timestamp: this.environment.now(),
                 connection: bridge,
                 significance: this.getSemanticDistance(bridge.from.char, bridge.to.char)
             });
@@ -758,7 +1163,7 @@ class SemanticField {
     captureCurrentContext() {
         // 現在のコンテキストの捕捉
         return {
-            timestamp: Date.now(),
+            timestamp: this.environment.now(),
             systemState: {
                 nodeCount: this.semanticGraph.size,
                 connectionCount: this.collocationMatrix.size,
@@ -0,0 +1,568 @@
+/**
+ * ShapeConstraint - 成長領域の制約（マスク・輪郭）と播種用のガイドパス
+ * SVGパス・多角形・ビットマップのアルファマスクで領域を与え、
+ * 領域外への成長を押し戻す（'repel'）か止める（'kill'）。
+ * guide を与えると、初期シードをそのパスに沿って並べる
+ *
+ *   new OrganicLayout(text, 1200, 800, {
+ *       constraint: { path: 'M100 100 L1100 100 L600 700 Z', mode: 'kill', guide: 'M200 150 L1000 150' }
+ *   });
+ */
+
+// 曲線・円弧を折れ線に近似するときの分割数
+const SHAPE_CURVE_SEGMENTS = 16;
+
+// 内向きの方向を探す円周上の標本数
+const SHAPE_RING_SAMPLES = 16;
+
+class ShapeConstraint {
+    /**
+     * spec:
+     *   path: SVGパスのd属性 | polygon: [[x, y], ...]（複数なら配列の配列） |
+     *   mask: { width, height, data（RGBAまたはアルファ）, threshold, channels } または ImageData
+     *   guide: 播種用のSVGパスのd属性または [[x, y], ...]
+     *   mode: 'repel'（既定、内側へ曲げる） | 'kill'（領域外には置かない）
+     *   margin: 境界から何pxの範囲で押し戻すか（既定 30）, strength: 押し戻しの強さ（既定 0.8）
+     *   fit: 領域をキャンバスに収める（padding で余白）、または x, y, scale で配置
+     */
+    constructor(spec = {}, canvasWidth = 800, canvasHeight = 600) {
+        this.mode = spec.mode || 'repel';
+        if (this.mode !== 'repel' && this.mode !== 'kill') {
+            throw new Error(`Unknown constraint mode: ${this.mode}`);
+        }
+
+        this.margin = spec.margin !== undefined ? spec.margin : 30;
+        this.strength = spec.strength !== undefined ? spec.strength : 0.8;
+        this.fit = Boolean(spec.fit);
+        this.padding = spec.padding !== undefined ? spec.padding : 20;
+
+        this.spec = spec;
+        this.polygons = null;   // 領域の輪郭（キャンバス座標、偶奇規則で塗る）
+        this.mask = null;       // { width, height, bits }（1 が領域内）
+
+        if (spec.path !== undefined) {
+            this.polygons = ShapeConstraint.parsePath(spec.path).map(subpath => subpath.points);
+        } else if (spec.polygon !== undefined) {
+            this.polygons = ShapeConstraint.normalizePolygons(spec.polygon);
+        } else if (spec.mask !== undefined) {
+            this.mask = ShapeConstraint.normalizeMask(spec.mask);
+        }
+
+        // 配置（領域の座標 → キャンバス座標）
+        const bounds = this.getLocalBounds();
+        if (this.fit && bounds) {
+            const scale = Math.min(
+                (canvasWidth - this.padding * 2) / Math.max(1e-9, bounds.maxX - bounds.minX),
+                (canvasHeight - this.padding * 2) / Math.max(1e-9, bounds.maxY - bounds.minY)
+            );
+            this.scale = scale;
+            this.offsetX = (canvasWidth - (bounds.maxX - bounds.minX) * scale) / 2 - bounds.minX * scale;
+            this.offsetY = (canvasHeight - (bounds.maxY - bounds.minY) * scale) / 2 - bounds.minY * scale;
+        } else {
+            this.scale = spec.scale || 1;
+            this.offsetX = spec.x || 0;
+            this.offsetY = spec.y || 0;
+        }
+
+        if (this.polygons) {
+            this.polygons = this.polygons.map(points => points.map(point => this.toCanvas(point)));
+        }
+
+        // ガイドパス（領域と同じ配置に従う）
+        this.guide = null;
+        if (spec.guide !== undefined) {
+            const subpaths = typeof spec.guide === 'string' ?
+                             ShapeConstraint.parsePath(spec.guide).map(subpath => subpath.points) :
+                             ShapeConstraint.normalizePolygons(spec.guide);
+            this.guide = subpaths.map(points => points.map(point => this.toCanvas(point)));
+        }
+    }
+
+    /**
+     * 設定からの解決（インスタンスはそのまま使う）
+     */
+    static create(spec, canvasWidth, canvasHeight) {
+        if (!spec) return null;
+        if (spec instanceof ShapeConstraint) return spec;
+        return new ShapeConstraint(spec, canvasWidth, canvasHeight);
+    }
+
+    /**
+     * 画像のアルファからマスクを作る（ブラウザ用）
+     */
+    static fromImage(image, options = {}) {
+        const canvas = document.createElement('canvas');
+        canvas.width = image.naturalWidth || image.width;
+        canvas.height = image.naturalHeight || image.height;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(image, 0, 0);
+
+        return {
+            ...options,
+            mask: ctx.getImageData(0, 0, canvas.width, canvas.height)
+        };
+    }
+
+    // === 形状の読み込み ===
+
+    /**
+     * SVGパスのd属性を折れ線の配列に変換（曲線・円弧は近似）
+     */
+    static parsePath(d) {
+        const tokens = String(d).match(/[MmLlHhVvCcSsQqTtAaZz]|[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/g) || [];
+        const subpaths = [];
+        let current = null;
+        let x = 0, y = 0, startX = 0, startY = 0;
+        let command = null;
+        let lastControl = null;   // S・T の反射に使う直前の制御点
+        let i = 0;
+
+        const number = () => {
+            const value = Number(tokens[i++]);
+            if (!Number.isFinite(value)) {
+                throw new Error(`Invalid SVG path data: ${d}`);
+            }
+            return value;
+        };
+        const lineTo = (nx, ny) => {
+            if (!current) {
+                current = { points: [{ x, y }], closed: false };
+                subpaths.push(current);
+            }
+            current.points.push({ x: nx, y: ny });
+            x = nx;
+            y = ny;
+        };
+        const cubic = (x1, y1, x2, y2, ex, ey) => {
+            const sx = x, sy = y;
+            for (let s = 1; s <= SHAPE_CURVE_SEGMENTS; s++) {
+                const t = s / SHAPE_CURVE_SEGMENTS, u = 1 - t;
+                lineTo(
+                    u * u * u * sx + 3 * u * u * t * x1 + 3 * u * t * t * x2 + t * t * t * ex,
+                    u * u * u * sy + 3 * u * u * t * y1 + 3 * u * t * t * y2 + t * t * t * ey
+                );
+            }
+        };
+        const quadratic = (x1, y1, ex, ey) => {
+            const sx = x, sy = y;
+            for (let s = 1; s <= SHAPE_CURVE_SEGMENTS; s++) {
+                const t = s / SHAPE_CURVE_SEGMENTS, u = 1 - t;
+                lineTo(u * u * sx + 2 * u * t * x1 + t * t * ex, u * u * sy + 2 * u * t * y1 + t * t * ey);
+            }
+        };
+
+        while (i < tokens.length) {
+            if (/[A-Za-z]/.test(tokens[i])) {
+                command = tokens[i++];
+            } else if (command === null) {
+                throw new Error(`Invalid SVG path data: ${d}`);
+            }
+
+            const relative = command === command.toLowerCase();
+            const ox = relative ? x : 0;
+            const oy = relative ? y : 0;
+            let control = null;
+
+            switch (command.toUpperCase()) {
+                case 'M': {
+                    x = number() + ox;
+                    y = number() + oy;
+                    startX = x;
+                    startY = y;
+                    current = { points: [{ x, y }], closed: false };
+                    subpaths.push(current);
+                    // 続く座標の組は lineto として扱う
+                    command = relative ? 'l' : 'L';
+                    break;
+                }
+                case 'L':
+                    lineTo(number() + ox, number() + oy);
+                    break;
+                case 'H':
+                    lineTo(number() + ox, y);
+                    break;
+                case 'V':
+                    lineTo(x, number() + oy);
+                    break;
+                case 'C': {
+                    const x1 = number() + ox, y1 = number() + oy;
+                    const x2 = number() + ox, y2 = number() + oy;
+                    const ex = number() + ox, ey = number() + oy;
+                    cubic(x1, y1, x2, y2, ex, ey);
+                    control = { type: 'C', x: x2, y: y2 };
+                    break;
+                }
+                case 'S': {
+                    const x1 = lastControl && lastControl.type === 'C' ? 2 * x - lastControl.x : x;
+                    const y1 = lastControl && lastControl.type === 'C' ? 2 * y - lastControl.y : y;
+                    const x2 = number() + ox, y2 = number() + oy;
+                    const ex = number() + ox, ey = number() + oy;
+                    cubic(x1, y1, x2, y2, ex, ey);
+                    control = { type: 'C', x: x2, y: y2 };
+                    break;
+                }
+                case 'Q': {
+                    const x1 = number() + ox, y1 = number() + oy;
+                    const ex = number() + ox, ey = number() + oy;
+                    quadratic(x1, y1, ex, ey);
+                    control = { type: 'Q', x: x1, y: y1 };
+                    break;
+                }
+                case 'T': {
+                    const x1 = lastControl && lastControl.type === 'Q' ? 2 * x - lastControl.x : x;
+                    const y1 = lastControl && lastControl.type === 'Q' ? 2 * y - lastControl.y : y;
+                    quadratic(x1, y1, number() + ox, number() + oy);
+                    control = { type: 'Q', x: x1, y: y1 };
+                    break;
+                }
+                case 'A': {
+                    const rx = number(), ry = number(), rotation = number();
+                    const largeArc = number() !== 0, sweep = number() !== 0;
+                    const ex = number() + ox, ey = number() + oy;
+                    ShapeConstraint.flattenArc(x, y, rx, ry, rotation, largeArc, sweep, ex, ey)
+                        .forEach(point => lineTo(point.x, point.y));
+                    break;
+                }
+                case 'Z':
+                    if (current) {
+                        current.closed = true;
+                        x = startX;
+                        y = startY;
+                        current = null;
+                    }
+                    break;
+            }
+
+            lastControl = control;
+        }
+
+        return subpaths.filter(subpath => subpath.points.length > 1);
+    }
+
+    /**
+     * 円弧（端点パラメータ表現）を折れ線に近似（SVG 1.1 F.6.5）
+     */
+    static flattenArc(x1, y1, rx, ry, rotation, largeArc, sweep, x2, y2) {
+        rx = Math.abs(rx);
+        ry = Math.abs(ry);
+        if (rx === 0 || ry === 0 || (x1 === x2 && y1 === y2)) {
+            return [{ x: x2, y: y2 }];
+        }
+
+        const phi = rotation * Math.PI / 180;
+        const cos = Math.cos(phi), sin = Math.sin(phi);
+        const dx = (x1 - x2) / 2, dy = (y1 - y2) / 2;
+        const x1p = cos * dx + sin * dy;
+        const y1p = -sin * dx + cos * dy;
+
+        // 半径が足りなければ拡大
+        const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+        if (lambda > 1) {
+            rx *= Math.sqrt(lambda);
+            ry *= Math.sqrt(lambda);
+        }
+
+        const numerator = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+        const denominator = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+        const factor = (largeArc === sweep ? -1 : 1) * Math.sqrt(Math.max(0, numerator / denominator));
+        const cxp = factor * rx * y1p / ry;
+        const cyp = -factor * ry * x1p / rx;
+        const cx = cos * cxp - sin * cyp + (x1 + x2) / 2;
+        const cy = sin * cxp + cos * cyp + (y1 + y2) / 2;
+
+        const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+        const theta = angle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+        let delta = angle((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+        if (!sweep && delta > 0) delta -= Math.PI * 2;
+        if (sweep && delta < 0) delta += Math.PI * 2;
+
+        const points = [];
+        for (let s = 1; s <= SHAPE_CURVE_SEGMENTS; s++) {
+            const t = theta + delta * s / SHAPE_CURVE_SEGMENTS;
+            points.push({
+                x: cx + rx * Math.cos(t) * cos - ry * Math.sin(t) * sin,
+                y: cy + rx * Math.cos(t) * sin + ry * Math.sin(t) * cos
+            });
+        }
+        return points;
+    }
+
+    /**
+     * [[x, y], ...]・[{x, y}, ...]、またはその配列を折れ線の配列に揃える
+     */
+    static normalizePolygons(polygon) {
+        if (!Array.isArray(polygon) || polygon.length === 0) {
+            throw new Error('Constraint polygon must be a non-empty array of points');
+        }
+
+        const isPoint = value => Array.isArray(value) ? typeof value[0] === 'number' : (value && typeof value.x === 'number');
+        const list = isPoint(polygon[0]) ? [polygon] : polygon;
+
+        return list.map(points => points.map(point => Array.isArray(point) ?
+                                                      { x: point[0], y: point[1] } :
+                                                      { x: point.x, y: point.y }));
+    }
+
+    /**
+     * マスクを1画素1値の二値配列に揃える（保存時は連長で書き出す）
+     */
+    static normalizeMask(mask) {
+        const { width, height } = mask;
+        if (!(width > 0) || !(height > 0)) {
+            throw new Error('Constraint mask needs a positive width and height');
+        }
+
+        const bits = new Uint8Array(width * height);
+
+        if (Array.isArray(mask.runs)) {
+            // 保存形式：[領域外の長さ, 領域内の長さ, ...]
+            let index = 0;
+            mask.runs.forEach((run, i) => {
+                if (i % 2 === 1) bits.fill(1, index, index + run);
+                index += run;
+            });
+        } else {
+            const data = mask.data;
+            const channels = mask.channels || Math.round(data.length / (width * height));
+            const threshold = mask.threshold !== undefined ? mask.threshold : 128;
+            if (channels !== 1 && channels !== 4) {
+                throw new Error(`Unsupported mask channel count: ${channels}`);
+            }
+
+            for (let i = 0; i < bits.length; i++) {
+                // RGBAはアルファ、1チャンネルはその値で判定
+                bits[i] = data[i * channels + channels - 1] >= threshold ? 1 : 0;
+            }
+        }
+
+        return { width, height, bits };
+    }
+
+    // === 座標と判定 ===
+
+    /**
+     * 配置前の領域（またはガイドパス）の座標での外接矩形（コンストラクタで配置を決めるときに使う）
+     */
+    getLocalBounds() {
+        if (this.mask) {
+            return { minX: 0, minY: 0, maxX: this.mask.width, maxY: this.mask.height };
+        }
+
+        const points = [];
+        if (this.polygons) this.polygons.forEach(polygon => points.push(...polygon));
+        if (points.length === 0 && this.spec.guide !== undefined) {
+            const guide = typeof this.spec.guide === 'string' ?
+                          ShapeConstraint.parsePath(this.spec.guide).map(subpath => subpath.points) :
+                          ShapeConstraint.normalizePolygons(this.spec.guide);
+            guide.forEach(polyline => points.push(...polyline));
+        }
+        if (points.length === 0) return null;
+
+        return ShapeConstraint.getPointBounds(points);
+    }
+
+    static getPointBounds(points) {
+        return points.reduce((bounds, p) => ({
+            minX: Math.min(bounds.minX, p.x),
+            minY: Math.min(bounds.minY, p.y),
+            maxX: Math.max(bounds.maxX, p.x),
+            maxY: Math.max(bounds.maxY, p.y)
+        }), { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity });
+    }
+
+    toCanvas(point) {
+        return { x: this.offsetX + point.x * this.scale, y: this.offsetY + point.y * this.scale };
+    }
+
+    hasRegion() {
+        return Boolean(this.polygons || this.mask);
+    }
+
+    /**
+     * 領域のキャンバス座標での外接矩形（輪郭はすでにキャンバス座標なので、そのまま測る）
+     */
+    getBounds() {
+        if (this.mask) {
+            return {
+                minX: this.offsetX,
+                minY: this.offsetY,
+                maxX: this.offsetX + this.mask.width * this.scale,
+                maxY: this.offsetY + this.mask.height * this.scale
+            };
+        }
+        if (!this.polygons) return null;
+
+        const points = [];
+        this.polygons.forEach(polygon => polygon.forEach(point => points.push(point)));
+        return points.length > 0 ? ShapeConstraint.getPointBounds(points) : null;
+    }
+
+    /**
+     * 点が領域内か（領域がなければ常に内側）
+     */
+    contains(position) {
+        if (this.mask) {
+            const px = Math.floor((position.x - this.offsetX) / this.scale);
+            const py = Math.floor((position.y - this.offsetY) / this.scale);
+            if (px < 0 || py < 0 || px >= this.mask.width || py >= this.mask.height) return false;
+            return this.mask.bits[py * this.mask.width + px] === 1;
+        }
+
+        if (!this.polygons) return true;
+
+        // 偶奇規則（穴のある文字形にも対応）
+        let inside = false;
+        for (const polygon of this.polygons) {
+            for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+                const a = polygon[i], b = polygon[j];
+                if ((a.y > position.y) !== (b.y > position.y) &&
+                    position.x < (b.x - a.x) * (position.y - a.y) / (b.y - a.y) + a.x) {
+                    inside = !inside;
+                }
+            }
+        }
+        return inside;
+    }
+
+    /**
+     * 領域の内側へ向かう単位ベクトルと重み（境界から margin 以上内側なら重み0）
+     * 円周上の標本のうち領域内のものの方向を平均し、見つからなければ半径を倍にして探す
+     */
+    getInwardVector(position) {
+        if (!this.hasRegion()) return { dx: 0, dy: 0, weight: 0 };
+
+        const inside = this.contains(position);
+        let radius = Math.max(1, this.margin);
+
+        for (let level = 0; level < 8; level++, radius *= 2) {
+            let sumX = 0, sumY = 0, insideCount = 0;
+
+            for (let k = 0; k < SHAPE_RING_SAMPLES; k++) {
+                const angle = (k / SHAPE_RING_SAMPLES) * Math.PI * 2;
+                const dx = Math.cos(angle), dy = Math.sin(angle);
+                if (this.contains({ x: position.x + dx * radius, y: position.y + dy * radius })) {
+                    sumX += dx;
+                    sumY += dy;
+                    insideCount++;
+                }
+            }
+
+            if (inside && level === 0 && insideCount === SHAPE_RING_SAMPLES) {
+                return { dx: 0, dy: 0, weight: 0 };
+            }
+
+            const magnitude = Math.sqrt(sumX * sumX + sumY * sumY);
+            if (insideCount > 0 && magnitude > 1e-9) {
+                return {
+                    dx: sumX / magnitude,
+                    dy: sumY / magnitude,
+                    weight: inside ? 1 - insideCount / SHAPE_RING_SAMPLES : 1
+                };
+            }
+        }
+
+        return { dx: 0, dy: 0, weight: 0 };
+    }
+
+    /**
+     * 成長方向を内側へ曲げる（'repel'。方向の長さは保つ）
+     */
+    steer(position, direction, lookAhead) {
+        if (this.mode !== 'repel' || !this.hasRegion()) return direction;
+
+        const ahead = { x: position.x + direction.dx * lookAhead, y: position.y + direction.dy * lookAhead };
+        const inward = this.getInwardVector(ahead);
+        if (inward.weight === 0) return direction;
+
+        const length = Math.sqrt(direction.dx * direction.dx + direction.dy * direction.dy) || 1;
+        const pull = inward.weight * this.strength * 2;
+        const dx = direction.dx / length + inward.dx * pull;
+        const dy = direction.dy / length + inward.dy * pull;
+        const magnitude = Math.sqrt(dx * dx + dy * dy);
+        if (magnitude < 1e-9) return direction;
+
+        return { dx: dx / magnitude * length, dy: dy / magnitude * length };
+    }
+
+    /**
+     * 領域内の点を無作為に選ぶ（見つからなければ null）
+     */
+    randomPointInside(random, attempts = 200) {
+        const bounds = this.getBounds();
+        if (!bounds) return null;
+
+        for (let i = 0; i < attempts; i++) {
+            const point = {
+                x: bounds.minX + random() * (bounds.maxX - bounds.minX),
+                y: bounds.minY + random() * (bounds.maxY - bounds.minY)
+            };
+            if (this.contains(point)) return point;
+        }
+        return null;
+    }
+
+    /**
+     * ガイドパスに沿って等間隔に count 個の位置と接線方向を取る
+     */
+    getGuidePoints(count) {
+        if (!this.guide || count <= 0) return [];
+
+        const segments = [];
+        let total = 0;
+        this.guide.forEach(polyline => {
+            for (let i = 1; i < polyline.length; i++) {
+                const a = polyline[i - 1], b = polyline[i];
+                const length = Math.hypot(b.x - a.x, b.y - a.y);
+                if (length === 0) continue;
+                segments.push({ a, b, length, start: total });
+                total += length;
+            }
+        });
+        if (segments.length === 0) return [];
+
+        const points = [];
+        let index = 0;
+        for (let k = 0; k < count; k++) {
+            const distance = total * (k + 0.5) / count;
+            while (index < segments.length - 1 && segments[index].start + segments[index].length < distance) index++;
+
+            const { a, b, length, start } = segments[index];
+            const t = Math.min(1, (distance - start) / length);
+            points.push({
+                position: { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t },
+                tangent: { dx: (b.x - a.x) / length, dy: (b.y - a.y) / length }
+            });
+        }
+        return points;
+    }
+
+    /**
+     * 保存形式（マスクは連長で書き出す）
+     */
+    toJSON() {
+        const { mask, ...spec } = this.spec;
+        if (!this.mask) return spec;
+
+        const runs = [];
+        let value = 0, run = 0;
+        for (const bit of this.mask.bits) {
+            if (bit === value) {
+                run++;
+            } else {
+                runs.push(run);
+                value = bit;
+                run = 1;
+            }
+        }
+        runs.push(run);
+
+        return { ...spec, mask: { width: this.mask.width, height: this.mask.height, runs } };
+    }
+}
+
+// エクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ShapeConstraint;
+} else if (typeof window !== 'undefined') {
+    window.ShapeConstraint = ShapeConstraint;
+}
@@ -0,0 +1,135 @@
+/**
+ * SimulationEnvironment - 乱数と時計の注入点
+ * シードを与えると全モジュールが同じ擬似乱数列と模擬時計を共有し、
+ * 同じテキスト・シード・設定から常に同一のレイアウトが得られる
+ */
+class SimulationEnvironment {
+    constructor(options = {}) {
+        this.seed = (options.seed !== undefined && options.seed !== null) ? options.seed : null;
+        this.timeStep = options.timeStep || 50;    // 1世代あたりの模擬経過時間（ミリ秒）
+
+        // シード指定時、または開始時刻指定時は模擬時計を使用
+        this.simulatedClock = this.seed !== null || options.startTime !== undefined;
+        this.startTime = options.startTime !== undefined ? options.startTime : 0;
+
+        this.reset();
+    }
+
+    /**
+     * 設定から環境を解決（注入済みの環境があればそれを共有）
+     */
+    static resolve(config = {}) {
+        if (config.environment) return config.environment;
+        return new SimulationEnvironment({
+            seed: config.seed,
+            startTime: config.startTime,
+            timeStep: config.timeStep
+        });
+    }
+
+    /**
+     * 文字列シードを32bit整数に変換
+     */
+    static hashSeed(seed) {
+        if (typeof seed === 'number' && Number.isFinite(seed)) {
+            return seed >>> 0;
+        }
+
+        // FNV-1a
+        const str = String(seed);
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < str.length; i++) {
+            hash ^= str.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * 乱数列と時計を初期状態に戻す
+     */
+    reset() {
+        this.state = this.seed !== null ? SimulationEnvironment.hashSeed(this.seed) : 0;
+        this.time = this.startTime;
+    }
+
+    /**
+     * [0, 1) の乱数（シード指定時はmulberry32）
+     */
+    random() {
+        if (this.seed === null) return Math.random();
+
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * 現在時刻（ミリ秒）
+     */
+    now() {
+        return this.simulatedClock ? this.time : Date.now();
+    }
+
+    /**
+     * 現在時刻のDateオブジェクト
+     */
+    date() {
+        return new Date(this.now());
+    }
+
+    /**
+     * 模擬時計を進める（実時計では何もしない）
+     */
+    tick(milliseconds = this.timeStep) {
+        if (this.simulatedClock) {
+            this.time += milliseconds;
+        }
+        return this.now();
+    }
+
+    /**
+     * 設定と乱数列・時計の現在状態（レイアウトの保存用）
+     */
+    serialize() {
+        return {
+            seed: this.seed,
+            timeStep: this.timeStep,
+            startTime: this.startTime,
+            simulatedClock: this.simulatedClock,
+            state: this.state,
+            time: this.time
+        };
+    }
+
+    static fromJSON(data) {
+        const environment = new SimulationEnvironment({
+            seed: data.seed,
+            timeStep: data.timeStep,
+            startTime: data.simulatedClock ? data.startTime : undefined
+        });
+        environment.restore(data);
+        return environment;
+    }
+
+    /**
+     * 保存時点の乱数列・時計に戻す
+     */
+    restore(data) {
+        this.state = data.state;
+        this.time = data.time;
+    }
+
+    isDeterministic() {
+        return this.seed !== null;
+    }
+}
+
+// エクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SimulationEnvironment;
+} else if (typeof window !== 'undefined') {
+    window.SimulationEnvironment = SimulationEnvironment;
+}
@@ -0,0 +1,239 @@
+/**
+ * SimulationWorker - MetaCognitiveOrchestrator を Web Worker で成長させる
+ * メインスレッドの OrganicTypography.WorkerSystem からのメッセージで操作し、
+ * 更新のたびに LayoutSnapshot の差分を送る。メインスレッドが描画して ack を返すまで
+ * 次の差分は送らず、その間の成長は次の差分にまとめる
+ *
+ * 受け取るメッセージ（type）:
+ *   init { text, width, height, config, interval } / start / pause / reset / step / ack
+ *   appendText { text } / setParams { params } / seek { generation } / stepBack / stepForward
+ *   getReport / exportSVG { options } / getExperienceArchive / inspectNode { id }（requestId を付けると同じ requestId で返す）
+ *   subscribe { eventType } / unsubscribe { eventType }（成長の出来事の転送）
+ * 送るメッセージ（type）:
+ *   ready / snapshot { snapshot } / result { requestId, value } / error { requestId, message } / event { event }
+ */
+
+// ワーカーで読み込むモジュール（js/index.js の読み込み順と同じ）
+const WORKER_MODULES = [
+    'SimulationEnvironment', 'SpatialIndex', 'JapaneseTokenizer', 'EmbeddingProvider',
+    'GlyphOrientation', 'KinsokuRules', 'AozoraParser', 'ShapeConstraint',
+    'GrowthStrategy', 'LSystemStrategy', 'RenderBackend', 'SVGExporter', 'LayoutSerializer', 'GrowthHistory',
+    'GrowthEvents', 'SemanticField', 'TemporalContext', 'OrganicLayout', 'MetaCognitiveOrchestrator', 'LayoutSnapshot'
+];
+
+importScripts(...WORKER_MODULES.map(name => `${name}.js`));
+
+const worker = {
+    orchestrator: null,
+    layout: null,
+    queue: null,
+    interval: 16,
+    timer: null,
+    cursor: LayoutSnapshot.createCursor(),
+    awaitingAck: false,
+    snapshotPending: false,
+    updateWarnings: new Set(),
+    subscriptions: new Map()    // 転送する出来事の種類 → 登録の解除
+};
+
+/**
+ * オーケストレーター（利用できなければ OrganicLayout のみ）の作成
+ */
+async function createSystem({ text, width, height, config = {} }) {
+    const { embeddings, ...layoutConfig } = config;
+
+    if (typeof MetaCognitiveOrchestrator !== 'undefined') {
+        worker.orchestrator = new MetaCognitiveOrchestrator(text, width, height, layoutConfig);
+        worker.layout = worker.orchestrator.organicLayout;
+    } else {
+        worker.orchestrator = new OrganicLayout(text, width, height, layoutConfig);
+        worker.orchestrator.initialize();
+        worker.layout = worker.orchestrator;
+    }
+
+    // 分散表現（source はメインスレッドで絶対URLにしてある）
+    if (embeddings) {
+        const { source, format, ...options } = embeddings;
+        const provider = new EmbeddingProvider(options);
+        try {
+            await provider.load(source, format);
+            worker.layout.setEmbeddingProvider(provider);
+        } catch (error) {
+            console.warn('⚠ 分散表現の読み込みに失敗しました。ハッシュベクトルで動作します:', error.message);
+        }
+    }
+
+    worker.cursor = LayoutSnapshot.createCursor();
+    worker.awaitingAck = false;
+    sendSnapshot();
+}
+
+/**
+ * 1回の更新（OrganicTypographySystem.update() と同じく、失敗しても同じ警告は繰り返さない）
+ */
+function update() {
+    try {
+        if (typeof worker.orchestrator.update === 'function') {
+            worker.orchestrator.update();
+        } else {
+            worker.orchestrator.grow();
+        }
+    } catch (error) {
+        if (!worker.updateWarnings.has(error.message)) {
+            worker.updateWarnings.add(error.message);
+            console.warn('Update error:', error);
+        }
+    }
+}
+
+function tick() {
+    worker.timer = null;
+    if (!worker.layout || !worker.layout.isGrowing) return;
+
+    update();
+    sendSnapshot();
+    worker.timer = setTimeout(tick, worker.interval);
+}
+
+function sendSnapshot() {
+    if (!worker.layout) return;
+    if (worker.awaitingAck) {
+        worker.snapshotPending = true;
+        return;
+    }
+
+    const { snapshot, transfer } = LayoutSnapshot.capture(worker.layout, worker.cursor);
+    worker.awaitingAck = true;
+    worker.snapshotPending = false;
+    self.postMessage({ type: 'snapshot', snapshot }, transfer);
+}
+
+function stopTimer() {
+    if (worker.timer) {
+        clearTimeout(worker.timer);
+        worker.timer = null;
+    }
+}
+
+/**
+ * 構造化複製できない値（関数など）を含むレポートはJSONで送る
+ */
+function reply(requestId, value) {
+    try {
+        self.postMessage({ type: 'result', requestId, value });
+    } catch (error) {
+        self.postMessage({ type: 'result', requestId, value: JSON.parse(JSON.stringify(value)) });
+    }
+}
+
+function forwardEvent(event) {
+    try {
+        self.postMessage({ type: 'event', event });
+    } catch (error) {
+        self.postMessage({ type: 'event', event: JSON.parse(JSON.stringify(event)) });
+    }
+}
+
+async function handleMessage(message) {
+    if (message.type !== 'init' && !worker.layout) {
+        throw new Error('システムが初期化されていません');
+    }
+
+    switch (message.type) {
+        case 'init':
+            worker.interval = message.interval || worker.interval;
+            await createSystem(message);
+            return;
+        case 'ack':
+            worker.awaitingAck = false;
+            if (worker.snapshotPending) sendSnapshot();
+            return;
+        case 'start':
+            worker.orchestrator.start();
+            if (!worker.timer) tick();
+            return;
+        case 'pause':
+            worker.orchestrator.pause();
+            stopTimer();
+            sendSnapshot();
+            return;
+        case 'reset':
+            stopTimer();
+            worker.orchestrator.reset();
+            sendSnapshot();
+            return;
+        case 'step':
+            // 一時停止中に1回だけ更新する
+            stopTimer();
+            worker.orchestrator.start();
+            update();
+            worker.orchestrator.pause();
+            sendSnapshot();
+            return;
+        case 'appendText': {
+            const fronts = worker.orchestrator.appendText(message.text);
+            // 追記の境目で語のノードの文字列が変わることがあるため、差分ではなく全体を送り直す
+            worker.cursor = LayoutSnapshot.createCursor();
+            sendSnapshot();
+            return fronts.length;
+        }
+        case 'setParams':
+            Object.assign(worker.layout.params, message.params);
+            return;
+        case 'subscribe':
+            if (!worker.subscriptions.has(message.eventType)) {
+                worker.subscriptions.set(message.eventType, worker.orchestrator.on(message.eventType, forwardEvent));
+            }
+            return;
+        case 'unsubscribe':
+            if (worker.subscriptions.has(message.eventType)) {
+                worker.subscriptions.get(message.eventType)();
+                worker.subscriptions.delete(message.eventType);
+            }
+            return;
+        case 'seek':
+        case 'stepBack':
+        case 'stepForward':
+            if (!worker.layout.history) return worker.layout.generation;
+            stopTimer();
+            worker.orchestrator.pause();
+            if (message.type === 'seek') {
+                worker.layout.history.seek(message.generation);
+            } else {
+                worker.layout.history[message.type]();
+            }
+            sendSnapshot();
+            return worker.layout.generation;
+        case 'getReport':
+            return typeof worker.orchestrator.getIntegratedSystemReport === 'function' ?
+                   worker.orchestrator.getIntegratedSystemReport() :
+                   worker.orchestrator.getSystemReport();
+        case 'exportSVG':
+            return new SVGExporter(message.options || {}).export(worker.layout);
+        case 'inspectNode':
+            return worker.layout.inspectNode(message.id);
+        case 'getExperienceArchive':
+            return typeof worker.orchestrator.getReadingExperienceArchive === 'function' ?
+                   worker.orchestrator.getReadingExperienceArchive() : null;
+        default:
+            throw new Error(`Unknown worker message: ${message.type}`);
+    }
+}
+
+self.onmessage = (event) => {
+    const message = event.data || {};
+
+    // 初期化などの非同期処理を受け取った順に済ませる
+    worker.queue = Promise.resolve(worker.queue)
+        .then(() => handleMessage(message))
+        .then(value => {
+            if (message.type === 'init') {
+                self.postMessage({ type: 'ready', requestId: message.requestId });
+            } else if (message.requestId !== undefined) {
+                reply(message.requestId, value);
+            }
+        })
+        .catch(error => {
+            self.postMessage({ type: 'error', requestId: message.requestId, message: error.message });
+        });
+};
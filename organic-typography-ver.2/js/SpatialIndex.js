@@ -1,37 +1,160 @@
+/**
+ * SpatialIndex - 適応的四分木による空間インデックス
+ * 枝がキャンバスの外へ伸びると根を倍々に広げ（世界の範囲は無制限）、
+ * 混み合ったセルだけを分割する。id → 葉セルの表で検索・削除は定数時間
+ * ノード（点）に加えて接続の線分も索引し、枝どうしの交差を検出できる
+ */
 class SpatialIndex {
     constructor(width, height, cellSize = 50) {
         // 入力値検証
         this.width = Math.max(1, Number(width) || 800);
         this.height = Math.max(1, Number(height) || 600);
-        this.cellSize = Math.max(1, Number(cellSize) || 50);
-        
-        this.gridWidth = Math.ceil(this.width / this.cellSize);
-        this.gridHeight = Math.ceil(this.height / this.cellSize);
-        this.grid = new Map();
+        this.cellSize = Math.max(1, Number(cellSize) || 50);   // 葉セルの最小の大きさ
+        this.leafCapacity = 8;                                  // 分割前に葉が持てるアイテム数
+
+        this.itemCells = new Map();   // id → 葉セル
         this.itemCount = 0;
-        
+        this.segmentCells = new Map();   // 線分id → 線分の外接矩形と重なる葉セルの配列
+        this.root = this.createCell(null, 0, 0, this.getInitialRootSize());
+
         // パフォーマンス最適化用
         this.queryCache = new Map();
         this.maxCacheSize = 1000;
     }
 
     /**
-     * グリッドキーの計算（境界チェック付き）
+     * 初期の根の大きさ（キャンバスを覆う cellSize × 2^n）
+     */
+    getInitialRootSize() {
+        let size = this.cellSize;
+        while (size < Math.max(this.width, this.height)) {
+            size *= 2;
+        }
+        return size;
+    }
+
+    createCell(parent, x, y, size) {
+        return { parent, x, y, size, items: [], segments: [], children: null };
+    }
+
+    containsPoint(cell, x, y) {
+        return x >= cell.x && x < cell.x + cell.size && y >= cell.y && y < cell.y + cell.size;
+    }
+
+    /**
+     * 点が根の外にあれば、その方向へ根を倍に広げる
+     */
+    expandRootToward(x, y) {
+        while (!this.containsPoint(this.root, x, y)) {
+            const oldRoot = this.root;
+            const size = oldRoot.size * 2;
+
+            // 点のある側へ広げる（旧い根は新しい根の四分の一になる）
+            const newX = x < oldRoot.x ? oldRoot.x - oldRoot.size : oldRoot.x;
+            const newY = y < oldRoot.y ? oldRoot.y - oldRoot.size : oldRoot.y;
+            const newRoot = this.createCell(null, newX, newY, size);
+
+            const half = oldRoot.size;
+            newRoot.items = null;
+            newRoot.segments = null;
+            newRoot.children = [
+                this.createCell(newRoot, newX, newY, half),
+                this.createCell(newRoot, newX + half, newY, half),
+                this.createCell(newRoot, newX, newY + half, half),
+                this.createCell(newRoot, newX + half, newY + half, half)
+            ];
+
+            const index = newRoot.children.findIndex(child => child.x === oldRoot.x && child.y === oldRoot.y);
+            oldRoot.parent = newRoot;
+            newRoot.children[index] = oldRoot;
+
+            this.root = newRoot;
+        }
+    }
+
+    /**
+     * 点を含む葉セル
      */
-    getGridKey(x, y) {
-        if (typeof x !== 'number' || typeof y !== 'number') {
-            console.warn('Invalid coordinates for grid key:', { x, y });
-            return '0,0';
+    findLeaf(x, y) {
+        let cell = this.root;
+        while (cell.children) {
+            const half = cell.size / 2;
+            const index = (x >= cell.x + half ? 1 : 0) + (y >= cell.y + half ? 2 : 0);
+            cell = cell.children[index];
+        }
+        return cell;
+    }
+
+    /**
+     * 混み合った葉の分割
+     */
+    splitLeaf(cell) {
+        const half = cell.size / 2;
+        const items = cell.items;
+        const segments = cell.segments;
+
+        cell.items = null;
+        cell.segments = null;
+        cell.children = [
+            this.createCell(cell, cell.x, cell.y, half),
+            this.createCell(cell, cell.x + half, cell.y, half),
+            this.createCell(cell, cell.x, cell.y + half, half),
+            this.createCell(cell, cell.x + half, cell.y + half, half)
+        ];
+
+        for (const item of items) {
+            const leaf = this.findLeaf(item.position.x, item.position.y);
+            leaf.items.push(item);
+            if (item.id !== undefined) {
+                this.itemCells.set(item.id, leaf);
+            }
+        }
+
+        // 線分は外接矩形と重なる子セルすべてへ振り分ける
+        for (const segment of segments) {
+            const leaves = this.segmentCells.get(segment.id).filter(leaf => leaf !== cell);
+            cell.children.forEach(child => {
+                if (this.overlapsSegmentBounds(child, segment)) {
+                    child.segments.push(segment);
+                    leaves.push(child);
+                }
+            });
+            this.segmentCells.set(segment.id, leaves);
+        }
+    }
+
+    /**
+     * 子がすべて空に近い葉になったセルを葉に戻す
+     */
+    mergeCell(cell) {
+        while (cell) {
+            if (!cell.children || cell.children.some(child => child.children)) return;
+
+            const total = cell.children.reduce((sum, child) => sum + child.items.length, 0);
+            if (total > this.leafCapacity / 2) return;
+
+            cell.items = [];
+            cell.segments = [];
+            cell.children.forEach(child => {
+                child.items.forEach(item => {
+                    cell.items.push(item);
+                    if (item.id !== undefined) {
+                        this.itemCells.set(item.id, cell);
+                    }
+                });
+                child.segments.forEach(segment => {
+                    const leaves = this.segmentCells.get(segment.id).filter(leaf => leaf !== child);
+                    if (!leaves.includes(cell)) {
+                        cell.segments.push(segment);
+                        leaves.push(cell);
+                    }
+                    this.segmentCells.set(segment.id, leaves);
+                });
+            });
+            cell.children = null;
+
+            cell = cell.parent;
         }
-        
-        const gridX = Math.floor(x / this.cellSize);
-        const gridY = Math.floor(y / this.cellSize);
-        
-        // 境界内に制限
-        const clampedX = Math.max(0, Math.min(this.gridWidth - 1, gridX));
-        const clampedY = Math.max(0, Math.min(this.gridHeight - 1, gridY));
-        
-        return `${clampedX},${clampedY}`;
     }
 
     /**
@@ -42,28 +165,34 @@ class SpatialIndex {
             console.warn('Invalid item for spatial index:', item);
             return false;
         }
-        
-        if (typeof item.position.x !== 'number' || typeof item.position.y !== 'number') {
+
+        if (!Number.isFinite(item.position.x) || !Number.isFinite(item.position.y)) {
             console.warn('Invalid position for spatial index:', item.position);
             return false;
         }
-        
+
         // 既存アイテムの重複チェック
-        if (item.id && this.findItemById(item.id)) {
+        if (item.id !== undefined && this.itemCells.has(item.id)) {
             this.remove(item.id);
         }
-        
-        const key = this.getGridKey(item.position.x, item.position.y);
-        if (!this.grid.has(key)) {
-            this.grid.set(key, []);
+
+        const { x, y } = item.position;
+        this.expandRootToward(x, y);
+
+        let leaf = this.findLeaf(x, y);
+        leaf.items.push(item);
+        if (item.id !== undefined) {
+            this.itemCells.set(item.id, leaf);
         }
-        
-        this.grid.get(key).push(item);
         this.itemCount++;
-        
+
+        if (leaf.items.length > this.leafCapacity && leaf.size / 2 >= this.cellSize) {
+            this.splitLeaf(leaf);
+        }
+
         // キャッシュクリア
         this.clearQueryCache();
-        
+
         return true;
     }
 
@@ -75,121 +204,215 @@ class SpatialIndex {
             console.warn('Invalid position for query:', position);
             return [];
         }
-        
+
         if (typeof radius !== 'number' || radius < 0) {
             console.warn('Invalid radius for query:', radius);
             return [];
         }
-        
+
         // キャッシュチェック
         const cacheKey = `${position.x.toFixed(1)},${position.y.toFixed(1)},${radius.toFixed(1)}`;
         if (this.queryCache.has(cacheKey)) {
             return this.queryCache.get(cacheKey);
         }
-        
+
         const results = [];
-        const gridRadius = Math.ceil(radius / this.cellSize);
-        const centerX = Math.floor(position.x / this.cellSize);
-        const centerY = Math.floor(position.y / this.cellSize);
-
-        for (let dx = -gridRadius; dx <= gridRadius; dx++) {
-            for (let dy = -gridRadius; dy <= gridRadius; dy++) {
-                const gridX = centerX + dx;
-                const gridY = centerY + dy;
-                
-                // 境界チェック
-                if (gridX < 0 || gridX >= this.gridWidth || gridY < 0 || gridY >= this.gridHeight) {
-                    continue;
-                }
-                
-                const key = `${gridX},${gridY}`;
-                if (this.grid.has(key)) {
-                    const items = this.grid.get(key);
-                    for (const item of items) {
-                        if (!item || !item.position) continue;
-                        
-                        const dx = item.position.x - position.x;
-                        const dy = item.position.y - position.y;
-                        const dist = Math.sqrt(dx * dx + dy * dy);
-                        
-                        if (dist <= radius) {
-                            results.push(item);
-                        }
-                    }
+        const radiusSquared = radius * radius;
+
+        this.visitCells(position.x - radius, position.y - radius, position.x + radius, position.y + radius, cell => {
+            for (const item of cell.items) {
+                const dx = item.position.x - position.x;
+                const dy = item.position.y - position.y;
+
+                if (dx * dx + dy * dy <= radiusSquared) {
+                    results.push(item);
                 }
             }
-        }
-        
+        });
+
         // キャッシュに保存
         if (this.queryCache.size < this.maxCacheSize) {
             this.queryCache.set(cacheKey, results);
         }
-        
+
         return results;
     }
 
     /**
-     * IDによるアイテム検索
+     * 矩形と交わる葉セルを巡回
      */
-    findItemById(id) {
-        for (const [key, items] of this.grid) {
-            for (const item of items) {
-                if (item.id === id) {
-                    return item;
-                }
+    visitCells(minX, minY, maxX, maxY, visit) {
+        const stack = [this.root];
+
+        while (stack.length > 0) {
+            const cell = stack.pop();
+            if (cell.x > maxX || cell.x + cell.size < minX || cell.y > maxY || cell.y + cell.size < minY) {
+                continue;
+            }
+
+            if (cell.children) {
+                stack.push(...cell.children);
+            } else {
+                visit(cell);
             }
         }
-        return null;
+    }
+
+    /**
+     * IDによるアイテム検索
+     */
+    findItemById(id) {
+        const cell = this.itemCells.get(id);
+        if (!cell) return null;
+        return cell.items.find(item => item.id === id) || null;
     }
 
     /**
      * アイテムの削除
      */
     remove(id) {
-        let removed = false;
-        for (const [key, items] of this.grid) {
-            for (let i = items.length - 1; i >= 0; i--) {
-                if (items[i].id === id) {
-                    items.splice(i, 1);
-                    this.itemCount--;
-                    removed = true;
-                    
-                    // 空のセルを削除
-                    if (items.length === 0) {
-                        this.grid.delete(key);
-                    }
-                }
-            }
-        }
-        
-        if (removed) {
-            this.clearQueryCache();
+        const cell = this.itemCells.get(id);
+        if (!cell) return false;
+
+        const index = cell.items.findIndex(item => item.id === id);
+        if (index !== -1) {
+            cell.items.splice(index, 1);
+            this.itemCount--;
         }
-        
-        return removed;
+        this.itemCells.delete(id);
+
+        // 空いたセルをまとめ直す
+        this.mergeCell(cell.parent);
+        this.clearQueryCache();
+
+        return index !== -1;
     }
 
     /**
      * アイテムの更新（位置変更）
      */
     update(item) {
-        if (!item || !item.id) {
+        if (!item || item.id === undefined) {
             return false;
         }
-        
+
         // 古い位置から削除
         this.remove(item.id);
-        
+
         // 新しい位置に挿入
         return this.insert(item);
     }
 
     /**
-     * 全クリア
+     * 線分の挿入（segment: { id, p1, p2, ... }。p1・p2 は {x, y}）
+     */
+    insertSegment(segment) {
+        if (!segment || segment.id === undefined || !segment.p1 || !segment.p2) {
+            console.warn('Invalid segment for spatial index:', segment);
+            return false;
+        }
+
+        const { p1, p2 } = segment;
+        if (![p1.x, p1.y, p2.x, p2.y].every(Number.isFinite)) {
+            console.warn('Invalid segment position for spatial index:', segment);
+            return false;
+        }
+
+        if (this.segmentCells.has(segment.id)) {
+            this.removeSegment(segment.id);
+        }
+
+        // 根が両端点を含めば外接矩形も含む
+        this.expandRootToward(p1.x, p1.y);
+        this.expandRootToward(p2.x, p2.y);
+
+        const leaves = [];
+        this.visitCells(
+            Math.min(p1.x, p2.x), Math.min(p1.y, p2.y), Math.max(p1.x, p2.x), Math.max(p1.y, p2.y),
+            cell => {
+                cell.segments.push(segment);
+                leaves.push(cell);
+            }
+        );
+        this.segmentCells.set(segment.id, leaves);
+
+        return true;
+    }
+
+    /**
+     * 線分の削除
+     */
+    removeSegment(id) {
+        const leaves = this.segmentCells.get(id);
+        if (!leaves) return false;
+
+        leaves.forEach(cell => {
+            const index = cell.segments.findIndex(segment => segment.id === id);
+            if (index !== -1) cell.segments.splice(index, 1);
+        });
+        this.segmentCells.delete(id);
+
+        return true;
+    }
+
+    /**
+     * 線分 p1–p2 と交差する索引済みの線分
+     * 端点での接触（同じノードから伸びる枝どうし）は交差としない
+     */
+    segmentsIntersecting(p1, p2) {
+        if (!p1 || !p2 || ![p1.x, p1.y, p2.x, p2.y].every(Number.isFinite)) {
+            console.warn('Invalid segment for intersection query:', p1, p2);
+            return [];
+        }
+
+        const results = [];
+        const seen = new Set();
+
+        this.visitCells(
+            Math.min(p1.x, p2.x), Math.min(p1.y, p2.y), Math.max(p1.x, p2.x), Math.max(p1.y, p2.y),
+            cell => {
+                for (const segment of cell.segments) {
+                    if (seen.has(segment.id)) continue;
+                    seen.add(segment.id);
+
+                    if (this.segmentsCross(p1, p2, segment.p1, segment.p2)) {
+                        results.push(segment);
+                    }
+                }
+            }
+        );
+
+        return results;
+    }
+
+    /**
+     * 二線分が互いの内側で交わるか（向きの符号による判定）
+     */
+    segmentsCross(a1, a2, b1, b2) {
+        const orientation = (p, q, r) => (q.x - p.x) * (r.y - p.y) - (q.y - p.y) * (r.x - p.x);
+
+        const d1 = orientation(b1, b2, a1);
+        const d2 = orientation(b1, b2, a2);
+        const d3 = orientation(a1, a2, b1);
+        const d4 = orientation(a1, a2, b2);
+
+        return d1 * d2 < 0 && d3 * d4 < 0;
+    }
+
+    overlapsSegmentBounds(cell, segment) {
+        const { p1, p2 } = segment;
+        return !(cell.x > Math.max(p1.x, p2.x) || cell.x + cell.size < Math.min(p1.x, p2.x) ||
+                 cell.y > Math.max(p1.y, p2.y) || cell.y + cell.size < Math.min(p1.y, p2.y));
+    }
+
+    /**
+     * 全クリア（根はキャンバスの大きさに戻す）
      */
     clear() {
-        this.grid.clear();
+        this.root = this.createCell(null, 0, 0, this.getInitialRootSize());
+        this.itemCells.clear();
         this.itemCount = 0;
+        this.segmentCells.clear();
         this.clearQueryCache();
     }
 
@@ -204,12 +427,32 @@ class SpatialIndex {
      * 統計情報の取得
      */
     getStats() {
+        let cellCount = 0;
+        let leafCount = 0;
+        let depth = 0;
+
+        const stack = [{ cell: this.root, level: 0 }];
+        while (stack.length > 0) {
+            const { cell, level } = stack.pop();
+            depth = Math.max(depth, level);
+
+            if (cell.children) {
+                cell.children.forEach(child => stack.push({ cell: child, level: level + 1 }));
+            } else {
+                leafCount++;
+                if (cell.items.length > 0) cellCount++;
+            }
+        }
+
         return {
             itemCount: this.itemCount,
-            cellCount: this.grid.size,
-            gridSize: this.gridWidth * this.gridHeight,
+            segmentCount: this.segmentCells.size,
+            cellCount: cellCount,
+            leafCount: leafCount,
+            depth: depth,
+            bounds: { x: this.root.x, y: this.root.y, size: this.root.size },
             cacheSize: this.queryCache.size,
-            averageItemsPerCell: this.grid.size > 0 ? this.itemCount / this.grid.size : 0
+            averageItemsPerCell: cellCount > 0 ? this.itemCount / cellCount : 0
         };
     }
 
@@ -218,27 +461,16 @@ class SpatialIndex {
      */
     getItemsInBounds(minX, minY, maxX, maxY) {
         const results = [];
-        
-        const minGridX = Math.floor(minX / this.cellSize);
-        const minGridY = Math.floor(minY / this.cellSize);
-        const maxGridX = Math.floor(maxX / this.cellSize);
-        const maxGridY = Math.floor(maxY / this.cellSize);
-        
-        for (let x = minGridX; x <= maxGridX; x++) {
-            for (let y = minGridY; y <= maxGridY; y++) {
-                const key = `${x},${y}`;
-                if (this.grid.has(key)) {
-                    const items = this.grid.get(key);
-                    for (const item of items) {
-                        if (item.position.x >= minX && item.position.x <= maxX &&
-                            item.position.y >= minY && item.position.y <= maxY) {
-                            results.push(item);
-                        }
-                    }
+
+        this.visitCells(minX, minY, maxX, maxY, cell => {
+            for (const item of cell.items) {
+                if (item.position.x >= minX && item.position.x <= maxX &&
+                    item.position.y >= minY && item.position.y <= maxY) {
+                    results.push(item);
                 }
             }
-        }
-        
+        });
+
         return results;
     }
 
@@ -246,24 +478,58 @@ class SpatialIndex {
      * 最近傍アイテムの検索
      */
     findNearest(position, maxDistance = Infinity) {
-        let nearest = null;
-        let minDistance = maxDistance;
-        
-        const radius = Math.min(maxDistance, Math.max(this.cellSize, 50));
-        const candidates = this.query(position, radius);
-        
-        for (const item of candidates) {
-            const dx = item.position.x - position.x;
-            const dy = item.position.y - position.y;
-            const distance = Math.sqrt(dx * dx + dy * dy);
-            
-            if (distance < minDistance) {
-                minDistance = distance;
-                nearest = item;
-            }
+        return this.kNearest(position, 1, maxDistance)[0] || null;
+    }
+
+    /**
+     * 近い順にk個のアイテムを取得（近いセルから順に調べ、k番目より遠いセルは飛ばす）
+     */
+    kNearest(position, k, maxDistance = Infinity) {
+        if (!position || typeof position.x !== 'number' || typeof position.y !== 'number') {
+            console.warn('Invalid position for kNearest:', position);
+            return [];
         }
-        
-        return nearest;
+
+        const count = Math.floor(k);
+        if (!(count >= 1)) return [];
+
+        const nearest = [];   // { item, distance } を距離順に保持
+        const limit = () => nearest.length < count ? maxDistance : nearest[count - 1].distance;
+
+        const cellDistance = cell => {
+            const dx = Math.max(cell.x - position.x, 0, position.x - (cell.x + cell.size));
+            const dy = Math.max(cell.y - position.y, 0, position.y - (cell.y + cell.size));
+            return Math.sqrt(dx * dx + dy * dy);
+        };
+
+        const search = cell => {
+            if (cellDistance(cell) > limit()) return;
+
+            if (cell.children) {
+                cell.children
+                    .map(child => ({ child, distance: cellDistance(child) }))
+                    .sort((a, b) => a.distance - b.distance)
+                    .forEach(({ child }) => search(child));
+                return;
+            }
+
+            for (const item of cell.items) {
+                const dx = item.position.x - position.x;
+                const dy = item.position.y - position.y;
+                const distance = Math.sqrt(dx * dx + dy * dy);
+
+                if (distance < limit()) {
+                    // 同じ距離では先に見つけたものを優先
+                    let index = nearest.length;
+                    while (index > 0 && nearest[index - 1].distance > distance) index--;
+                    nearest.splice(index, 0, { item, distance });
+                    if (nearest.length > count) nearest.pop();
+                }
+            }
+        };
+
+        search(this.root);
+        return nearest.map(entry => entry.item);
     }
 }
 
@@ -3,112 +3,31 @@
  * 個人的記憶から集合的記憶、深時間の言語考古学まで
  */
 
-// 必要な補助クラスが未定義の場合のフォールバック
-if (typeof TemporalLayer === 'undefined') {
-    class TemporalLayer {
-        constructor(name, minTimespan, maxTimespan) {
-            this.name = name;
-            this.minTimespan = minTimespan;
-            this.maxTimespan = maxTimespan;
-            this.contents = new Map();
-        }
-        getContext() { return { layerName: this.name, relevantPatterns: [], temporalResonance: 0.5, layerDepth: 0 }; }
-        getPosition() { return 0.5; }
-        getDepth() { return 0; }
-        getMemoryGravity() { return 0; }
-        ingestHistory() {}
-        embedContext() {}
-        recordEvolution() {}
-        detectPattern() { return null; }
-        activatePattern() {}
-        activatePatterns() {}
-        getWeight() { return 0.5; }
-    }
-}
-
-if (typeof EmbodiedMemorySystem === 'undefined') {
-    class EmbodiedMemorySystem {
-        getTemporalResonance() { return { somatic: 0, motor: 0, sensory: 0, emotional: 0 }; }
-        getPersonalMemoryDepth() { return 0; }
-        getMemoryGravity() { return 0; }
-        activateSomaticMemory() { return { activation: 0, resonance: 0, embodiment: 0 }; }
-        buildPersonalMemorySpace() {}
-    }
-}
-
-if (typeof CollectiveUnconsciousLayer === 'undefined') {
-    class CollectiveUnconsciousLayer {
-        getTemporalInfluence() { return { archetypal: 0, collective: 0, mythic: 0 }; }
-        activate() {}
-    }
-}
-
-if (typeof LinguisticArcheology === 'undefined') {
-    class LinguisticArcheology {
-        getEtymologicalDepth() { return 0.5; }
-        traceEvolution() { return { stages: [], timeline: {}, branchings: 0 }; }
-        getHistoricalVoices() { return []; }
-        getFossilizedMeanings() { return []; }
-        getSemanticMass() { return 0.5; }
-        getAge() { return 100; }
-        getFrequencyMass() { return 0.1; }
-        getNarrativeTime() { return { tense: 'present', aspect: 'perfective', duration: 1 }; }
-        getNarrativeSpace() { return { scale: 'human', movement: 'static', topology: 'euclidean' }; }
-        getEtymologicalConnections() { return []; }
-        getTranslationVariations() { return []; }
-        getBorrowingHistory() { return []; }
-    }
-}
-
-if (typeof Chronesthesia === 'undefined') {
-    class Chronesthesia {
-        calculateTimeDistortion() { return { base: 1, cognitive: 0, lifePhase: 0, total: 1 }; }
-    }
-}
-
-if (typeof CircadianReadingPatterns === 'undefined') {
-    class CircadianReadingPatterns {
-        synchronize() {}
-        learnPersonalPatterns() {}
-    }
-}
-
-if (typeof SeasonalMeaningCycles === 'undefined') {
-    class SeasonalMeaningCycles {
-        synchronize() {}
-        configureCulturalCycles() {}
-    }
-}
-
-if (typeof LifePhaseResonance === 'undefined') {
-    class LifePhaseResonance {
-        synchronize() {}
-        calibrateCulturalPhases() {}
-    }
-}
-
 class TemporalContext {
-    constructor() {
+    constructor(config = {}) {
+        // 乱数・時計（MetaCognitiveOrchestratorから注入）
+        this.environment = SimulationEnvironment.resolve(config);
+        
         this.temporalLayers = {
             // ミリ秒〜秒：瞬間的認知プロセス
-            cognitive: new TemporalLayer('cognitive', 1, 10000),
+            cognitive: new TemporalLayer('cognitive', 1, 10000, this.environment),
             
             // 分〜時間：個人的読書セッション
-            personal: new TemporalLayer('personal', 60000, 3600000),
+            personal: new TemporalLayer('personal', 60000, 3600000, this.environment),
             
             // 日〜年：文化的文脈の形成
-            cultural: new TemporalLayer('cultural', 86400000, 31536000000),
+            cultural: new TemporalLayer('cultural', 86400000, 31536000000, this.environment),
             
             // 世代〜世紀：歴史的意味変遷
-            historical: new TemporalLayer('historical', 788918400000, 3155760000000),
+            historical: new TemporalLayer('historical', 788918400000, 3155760000000, this.environment),
             
             // 千年〜言語進化：深時間パターン
-            archetypal: new TemporalLayer('archetypal', 31557600000000, Infinity)
+            archetypal: new TemporalLayer('archetypal', 31557600000000, Infinity, this.environment)
         };
         
-        this.embodiedMemory = new EmbodiedMemorySystem();
-        this.collectiveUnconsious = new CollectiveUnconsciousLayer();
-        this.linguisticArcheology = new LinguisticArcheology();
+        this.embodiedMemory = new EmbodiedMemorySystem(this.environment);
+        this.collectiveUnconsious = new CollectiveUnconsciousLayer(this.environment);
+        this.linguisticArcheology = new LinguisticArcheology(this.environment);
         
         // 時間的折り畳み構造
         this.temporalFolds = [];
@@ -118,6 +37,10 @@ class TemporalContext {
         this.circadianPatterns = new CircadianReadingPatterns();
         this.seasonalCycles = new SeasonalMeaningCycles();
         this.lifePhaseResonance = new LifePhaseResonance();
+        
+        // 形態素解析器（SemanticFieldと共有）
+        this.tokenizer = (typeof JapaneseTokenizer !== 'undefined') ?
+                         JapaneseTokenizer.getSharedInstance() : null;
     }
 
     /**
@@ -144,7 +67,7 @@ class TemporalContext {
      * 現在の読解モーメントにおける時間文脈の計算
      */
     calculateTemporalContext(currentNode, readingState) {
-        const timestamp = Date.now();
+        const timestamp = this.environment.now();
         
         // 各時間層での文脈計算
         const cognitiveContext = this.temporalLayers.cognitive.getContext(
@@ -427,7 +350,7 @@ class TemporalContext {
     }
 
     synchronizeWithBodyRhythms() {
-        const currentTime = new Date();
+        const currentTime = this.environment.date();
         
         // 概日リズムとの同期
         this.circadianPatterns.synchronize(currentTime);
@@ -448,7 +371,7 @@ class TemporalContext {
     }
 
     getCurrentTemporalPosition() {
-        const now = Date.now();
+        const now = this.environment.now();
         
         return {
             absolute: now,
@@ -765,9 +688,205 @@ class TemporalContext {
         };
     }
 
+    // === 物語・身体・未来・他者性の補助計算（簡化版） ===
+
+    identifyGenreChronotope(word) {
+        // バフチンのジャンル時空間（語から決定的に選ぶ）
+        const genres = [
+            { genre: 'adventure', timeDensity: 0.3, spaceDensity: 0.8 },     // 冒険時間
+            { genre: 'idyll', timeDensity: 0.8, spaceDensity: 0.4 },         // 牧歌的時間
+            { genre: 'road', timeDensity: 0.5, spaceDensity: 0.7 },          // 道の時空間
+            { genre: 'threshold', timeDensity: 0.9, spaceDensity: 0.2 },     // 敷居の時空間
+            { genre: 'biographical', timeDensity: 0.6, spaceDensity: 0.5 }   // 伝記的時間
+        ];
+        const code = Array.from(word || '').reduce((sum, char) => sum + char.codePointAt(0), 0);
+        return genres[code % genres.length];
+    }
+
+    calculateNarrativeSpacetimeFusion(narrativeTime, narrativeSpace, genreChronotope) {
+        // 物語的時間と空間の融合度
+        const movement = { static: 0.2, linear: 0.5, circular: 0.7, chaotic: 0.9 }[narrativeSpace.movement] || 0.5;
+        const duration = Math.min(1, (narrativeTime.duration || 1) / 11);
+        return (genreChronotope.timeDensity * duration + genreChronotope.spaceDensity * movement) / 2;
+    }
+
+    calculateCardiacPhase(heartRate) {
+        // 心拍周期の中での位相（0〜1）
+        const period = 60000 / heartRate;
+        return (this.environment.now() % period) / period;
+    }
+
+    calculateHeartRateVariability(heartRate) {
+        // 安静時心拍からの隔たりによる変動性の目安
+        return Math.max(0, 1 - Math.abs(heartRate - 70) / 70);
+    }
+
+    analyzeBreathingRhythm(breathingPattern) {
+        // 呼吸周期と規則性
+        return {
+            period: 60 / breathingPattern.rate,
+            regularity: Math.max(0, 1 - Math.abs(breathingPattern.rate - 15) / 15) * breathingPattern.depth
+        };
+    }
+
+    calculateNeuralCoherence(brainwaves) {
+        // アルファ波とガンマ波の比の安定度
+        const ratio = brainwaves.gamma / Math.max(1, brainwaves.alpha);
+        return Math.max(0, 1 - Math.abs(ratio - 4) / 4);
+    }
+
+    calculateNeuralEntrainment(brainwaves, semanticActivation) {
+        // 語義活性化への神経振動の引き込み
+        return Math.min(1, (semanticActivation || 0) * this.calculateNeuralCoherence(brainwaves));
+    }
+
+    detectFlowState(bodytemporalFlow) {
+        // 身体リズムがそろったときのフロー状態
+        return {
+            inFlow: bodytemporalFlow.composite > 0.8,
+            intensity: bodytemporalFlow.composite
+        };
+    }
+
+    generateEmbodiedRhythm(bodytemporalFlow) {
+        // 心拍・呼吸・神経の同期の平均と偏り
+        const values = [bodytemporalFlow.cardiac, bodytemporalFlow.respiratory, bodytemporalFlow.neural];
+        const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+        const variance = values.reduce((sum, value) => sum + (value - mean) * (value - mean), 0) / values.length;
+        return { tempo: mean, stability: Math.max(0, 1 - Math.sqrt(variance)) };
+    }
+
+    calculateSomaticTime(bodytemporalFlow) {
+        // 身体の同期が高いほど時間は速く過ぎる
+        return 1 / (0.5 + bodytemporalFlow.composite);
+    }
+
+    calculateMetabolicTime(physicalState) {
+        // 覚醒度による代謝的時間の速さ
+        return 0.5 + (physicalState.arousal || 0.5);
+    }
+
+    calculateCircadianPhase(physicalState) {
+        // 1日の中での位相（0〜1）
+        const date = this.environment.date();
+        return (date.getHours() * 60 + date.getMinutes()) / 1440;
+    }
+
+    calculateHormonalInfluence(physicalState) {
+        // 覚醒度と概日リズムによるホルモン的影響
+        return (physicalState.arousal || 0.5) * (1 + this.getCircadianInfluence()) / 2;
+    }
+
+    calculateCellularRhythm(physicalState) {
+        // 身体化の度合いによる細胞的リズム
+        return (physicalState.embodiment || 0.5) * 0.1;
+    }
+
+    createTimeSignature(physicalState) {
+        // 心拍と呼吸の比による拍子
+        const beatsPerBreath = Math.max(1, Math.round(physicalState.heartRate / physicalState.breathingPattern.rate));
+        return `${beatsPerBreath}/${physicalState.breathingPattern.depth > 0.85 ? 4 : 2}`;
+    }
+
+    analyzeSemanticTrajectory(word, trajectory) {
+        // 読解軌跡の中での語の出現と共鳴の推移
+        const points = (trajectory || []).filter(point => point.from && point.from.char === word);
+        const resonances = points.map(point => point.semanticContext ? point.semanticContext.resonance : 0);
+        return {
+            word: word,
+            occurrences: points.length,
+            velocity: resonances.length > 1 ? resonances[resonances.length - 1] - resonances[0] : 0
+        };
+    }
+
+    assessTechnologicalInfluence(word, techContext) {
+        // 技術的文脈の厚み（支配的技術と文化的変化の数）
+        const factors = techContext.dominant_technologies.length + techContext.cultural_shifts.length;
+        return Math.min(1, factors / 10);
+    }
+
+    extrapolateLinearMeaningChange(currentTrajectory) {
+        // 現在の変化速度のまま進んだ意味
+        return {
+            meaning: currentTrajectory.velocity >= 0 ? `${currentTrajectory.word}（強化）` : `${currentTrajectory.word}（希薄化）`,
+            timeframe: Math.round(10 / (Math.abs(currentTrajectory.velocity) + 0.1))
+        };
+    }
+
+    projectTechnologicalMeaningShift(word, techContext) {
+        // 技術的文脈による意味の転位
+        return {
+            meaning: `${word}（${techContext.era}）`,
+            catalysts: techContext.dominant_technologies.slice(0, 2)
+        };
+    }
+
+    projectArchetypalReturn(word) {
+        // 原型的意味への回帰と周期の位相
+        return {
+            meaning: `${word}（原型）`,
+            phase: this.temporalLayers.archetypal.getPosition(this.environment.now())
+        };
+    }
+
+    calculateVoiceIntrusion(currentNode, voice) {
+        // 過去の声の侵入（語義共鳴が高いほど響き合う）
+        const resonance = currentNode.semanticResonance || 0;
+        return {
+            strength: (voice.strength !== undefined ? voice.strength : 0.5) * (0.5 + resonance / 2),
+            resonance: resonance
+        };
+    }
+
+    calculateCulturalIntrusion(currentNode, layer) {
+        // 異文化の意味の侵入（時間的な隔たりが大きいほど異化する）
+        const distance = layer.temporalDistance || 0;
+        return {
+            strength: 0.3,
+            alienation: Math.min(1, distance / 1000)
+        };
+    }
+
+    calculateHeteroglossia(intrusions) {
+        // 侵入の種類の多様さ（言語的多様性）
+        const types = new Set(intrusions.map(intrusion => intrusion.type));
+        return intrusions.length > 0 ? types.size / 2 * Math.min(1, intrusions.length / 5) : 0;
+    }
+
+    analyzeDialogicRelation(voice1, voice2, readingTrajectory) {
+        // 2つの声の対話的関係（強さの差が小さいほど対等な対話）
+        const strength1 = voice1.strength !== undefined ? voice1.strength : 0.5;
+        const strength2 = voice2.strength !== undefined ? voice2.strength : 0.5;
+        return {
+            voices: [voice1, voice2],
+            tension: Math.abs(strength1 - strength2),
+            agreement: 1 - Math.abs(strength1 - strength2),
+            mediation: Math.min(1, (readingTrajectory || []).length / 100)
+        };
+    }
+
+    calculatePolyphony(dialogicRelations) {
+        // 対等な対話の平均
+        if (dialogicRelations.length === 0) return 0;
+        return dialogicRelations.reduce((sum, relation) => sum + relation.agreement, 0) / dialogicRelations.length;
+    }
+
+    detectCarnivalesque(dialogicRelations) {
+        // 緊張の高い関係（価値の転倒）の有無
+        return dialogicRelations.some(relation => relation.tension > 0.7);
+    }
+
+    assessUnfinalizability(dialogicRelations) {
+        // 対話の開かれ具合（関係が多いほど完結しない）
+        return 1 - 1 / (1 + dialogicRelations.length);
+    }
+
     // === ユーティリティメソッド ===
 
     tokenize(text) {
+        if (this.tokenizer) {
+            return this.tokenizer.getSurfaces(text);
+        }
         return text.split(/[\s、。！？]+/).filter(word => word.length > 0);
     }
 
@@ -813,13 +932,13 @@ class TemporalContext {
 
     getSeasonalInfluence() {
         // 季節的影響の取得
-        const month = new Date().getMonth();
+        const month = this.environment.date().getMonth();
         return Math.sin((month / 12) * 2 * Math.PI) * 0.5;
     }
 
     getCircadianInfluence() {
         // 概日リズム影響の取得
-        const hour = new Date().getHours();
+        const hour = this.environment.date().getHours();
         return Math.sin(((hour - 6) / 24) * 2 * Math.PI) * 0.5;
     }
 
@@ -939,8 +1058,8 @@ class TemporalContext {
     extractPatterns(history) {
         // パターンの抽出（簡化版）
         return [{
-            isSpiral: Math.random() > 0.7,
-            strength: Math.random(),
+            isSpiral: this.environment.random() > 0.7,
+            strength: this.environment.random(),
             elements: history.slice(0, 3)
         }];
     }
@@ -948,9 +1067,9 @@ class TemporalContext {
     calculateMemoryOverlap(item1, item2) {
         // 記憶重なりの計算（簡化版）
         return {
-            strength: Math.random() * 0.8,
+            strength: this.environment.random() * 0.8,
             type: 'semantic',
-            resonance: Math.random()
+            resonance: this.environment.random()
         };
     }
 
@@ -991,7 +1110,8 @@ class TemporalContext {
 // === 補助クラス群（簡化版実装） ===
 
 class TemporalLayer {
-    constructor(name, minTimespan, maxTimespan) {
+    constructor(name, minTimespan, maxTimespan, environment) {
+        this.environment = environment;
         this.name = name;
         this.minTimespan = minTimespan;
         this.maxTimespan = maxTimespan;
@@ -1014,7 +1134,7 @@ class TemporalLayer {
     }
 
     calculateResonance(node, timestamp) {
-        return Math.random() * 0.8 + 0.2; // 簡化版
+        return this.environment.random() * 0.8 + 0.2; // 簡化版
     }
 
     calculateLayerDepth(word) {
@@ -1061,7 +1181,7 @@ class TemporalLayer {
     }
 
     detectPattern(word) {
-        return Math.random() > 0.7 ? { type: 'archetypal', strength: Math.random() } : null;
+        return this.environment.random() > 0.7 ? { type: 'archetypal', strength: this.environment.random() } : null;
     }
 
     activatePattern(word, pattern) {
@@ -1088,7 +1208,8 @@ class TemporalLayer {
 }
 
 class EmbodiedMemorySystem {
-    constructor() {
+    constructor(environment) {
+        this.environment = environment;
         this.somaticMemories = new Map();
         this.motorMemories = new Map();
         this.sensoryMemories = new Map();
@@ -1130,40 +1251,41 @@ class EmbodiedMemorySystem {
         history.forEach(item => {
             if (item.word) {
                 this.somaticMemories.set(item.word, {
-                    depth: item.somaticDepth || Math.random(),
-                    gravity: item.somaticGravity || Math.random()
+                    depth: item.somaticDepth || this.environment.random(),
+                    gravity: item.somaticGravity || this.environment.random()
                 });
             }
         });
     }
 
     getSomaticResonance(word) {
-        return this.somaticMemories.get(word)?.resonance || Math.random() * 0.5;
+        return this.somaticMemories.get(word)?.resonance || this.environment.random() * 0.5;
     }
 
     getMotorResonance(word) {
-        return this.motorMemories.get(word)?.resonance || Math.random() * 0.5;
+        return this.motorMemories.get(word)?.resonance || this.environment.random() * 0.5;
     }
 
     getSensoryResonance(word) {
-        return this.sensoryMemories.get(word)?.resonance || Math.random() * 0.5;
+        return this.sensoryMemories.get(word)?.resonance || this.environment.random() * 0.5;
     }
 
     getEmotionalResonance(word) {
-        return this.emotionalMemories.get(word)?.resonance || Math.random() * 0.5;
+        return this.emotionalMemories.get(word)?.resonance || this.environment.random() * 0.5;
     }
 
     calculateSomaticResonance(word, physicalState) {
-        return Math.random() * physicalState.arousal || 0.5;
+        return this.environment.random() * physicalState.arousal || 0.5;
     }
 
     calculateEmbodiment(word, physicalState) {
-        return Math.random() * physicalState.embodiment || 0.5;
+        return this.environment.random() * physicalState.embodiment || 0.5;
     }
 }
 
 class CollectiveUnconsciousLayer {
-    constructor() {
+    constructor(environment) {
+        this.environment = environment;
         this.archetypes = new Map();
         this.collectiveMemories = new Map();
         this.mythicPatterns = new Map();
@@ -1181,11 +1303,11 @@ class CollectiveUnconsciousLayer {
         // 集合的無意識の活性化（簡化版）
         const words = text.split(/\s+/);
         words.forEach(word => {
-            if (Math.random() > 0.8) { // 20%の確率で原型的パターンを検出
+            if (this.environment.random() > 0.8) { // 20%の確率で原型的パターンを検出
                 this.archetypes.set(word, {
                     type: 'universal',
-                    strength: Math.random(),
-                    resonance: Math.random()
+                    strength: this.environment.random(),
+                    resonance: this.environment.random()
                 });
             }
         });
@@ -1196,7 +1318,7 @@ class CollectiveUnconsciousLayer {
     }
 
     getCollectiveMemoryInfluence(word) {
-        return this.collectiveMemories.get(word)?.influence || Math.random() * 0.3;
+        return this.collectiveMemories.get(word)?.influence || this.environment.random() * 0.3;
     }
 
     getMythicInfluence(word, timestamp) {
@@ -1205,7 +1327,8 @@ class CollectiveUnconsciousLayer {
 }
 
 class LinguisticArcheology {
-    constructor() {
+    constructor(environment) {
+        this.environment = environment;
         this.etymologyDatabase = new Map();
         this.historicalVoices = new Map();
         this.fossilizedMeanings = new Map();
@@ -1213,7 +1336,7 @@ class LinguisticArcheology {
     }
 
     getEtymologicalDepth(word) {
-        return this.etymologyDatabase.get(word)?.depth || Math.random() * 0.8;
+        return this.etymologyDatabase.get(word)?.depth || this.environment.random() * 0.8;
     }
 
     traceEvolution(word) {
@@ -1233,11 +1356,11 @@ class LinguisticArcheology {
     }
 
     getSemanticMass(word) {
-        return this.semanticMasses.get(word) || Math.random() * 0.7 + 0.3;
+        return this.semanticMasses.get(word) || this.environment.random() * 0.7 + 0.3;
     }
 
     getAge(word) {
-        return this.etymologyDatabase.get(word)?.age || Math.random() * 1000;
+        return this.etymologyDatabase.get(word)?.age || this.environment.random() * 1000;
     }
 
     getFrequencyMass(word) {
@@ -1289,31 +1412,31 @@ class LinguisticArcheology {
     }
 
     getSemanticBranchings(word) {
-        return Math.floor(Math.random() * 5) + 1;
+        return Math.floor(this.environment.random() * 5) + 1;
     }
 
     extractTense(word) {
-        return ['past', 'present', 'future'][Math.floor(Math.random() * 3)];
+        return ['past', 'present', 'future'][Math.floor(this.environment.random() * 3)];
     }
 
     extractAspect(word) {
-        return ['perfective', 'imperfective', 'iterative'][Math.floor(Math.random() * 3)];
+        return ['perfective', 'imperfective', 'iterative'][Math.floor(this.environment.random() * 3)];
     }
 
     extractDuration(word) {
-        return Math.random() * 10 + 1; // 1-11の持続時間
+        return this.environment.random() * 10 + 1; // 1-11の持続時間
     }
 
     extractSpatialScale(word) {
-        return ['micro', 'human', 'macro', 'cosmic'][Math.floor(Math.random() * 4)];
+        return ['micro', 'human', 'macro', 'cosmic'][Math.floor(this.environment.random() * 4)];
     }
 
     extractMovement(word) {
-        return ['static', 'linear', 'circular', 'chaotic'][Math.floor(Math.random() * 4)];
+        return ['static', 'linear', 'circular', 'chaotic'][Math.floor(this.environment.random() * 4)];
     }
 
     extractTopology(word) {
-        return ['euclidean', 'fractal', 'hyperbolic', 'non-euclidean'][Math.floor(Math.random() * 4)];
+        return ['euclidean', 'fractal', 'hyperbolic', 'non-euclidean'][Math.floor(this.environment.random() * 4)];
     }
 }
 
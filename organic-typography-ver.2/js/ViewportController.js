@@ -1,7 +1,8 @@
 class ViewportController {
-    constructor(container, renderer) {
+    constructor(container, renderer, layout = null) {
         this.container = container;
         this.renderer = renderer;
+        this.layout = layout;
         this.viewport = {
             x: 0,
             y: 0,
@@ -14,6 +15,13 @@ class ViewportController {
         this.dragStart = { x: 0, y: 0 };
         this.lastViewport = { x: 0, y: 0 };
         
+        // ドラッグ中の引力点・障害物とつかんだ位置のずれ
+        this.draggedElement = null;
+        this.dragOffset = { x: 0, y: 0 };
+        
+        // ミニマップ上のドラッグ（押した位置へ画面を移す）
+        this.isMinimapDragging = false;
+        
         this.setupEventListeners();
         this.setupMinimap();
     }
@@ -24,6 +32,7 @@ class ViewportController {
         this.container.addEventListener('mousemove', this.handleMouseMove.bind(this));
         this.container.addEventListener('mouseup', this.handleMouseUp.bind(this));
         this.container.addEventListener('wheel', this.handleWheel.bind(this));
+        this.container.addEventListener('dblclick', this.handleDoubleClick.bind(this));
         
         // タッチイベント
         this.container.addEventListener('touchstart', this.handleTouchStart.bind(this));
@@ -48,10 +57,109 @@ class ViewportController {
         // ミニマップのサイズ設定
         this.minimapCanvas.width = 200;
         this.minimapCanvas.height = 150;
+        
+        // 有機体全体の縮小図（成長のたびに増えた分を描き足す）
+        this.minimap = new MinimapRenderBackend(this.minimapCtx);
+        
+        // ミニマップのクリック・ドラッグで画面を移す（本体のパンは始めない）
+        this.minimapCanvas.addEventListener('mousedown', (e) => {
+            if (e.button !== 0) return;
+            e.stopPropagation();
+            this.isMinimapDragging = true;
+            this.panToMinimapPoint(e.clientX, e.clientY);
+        });
+        this.minimapCanvas.addEventListener('mousemove', (e) => {
+            if (!this.isMinimapDragging) return;
+            e.stopPropagation();
+            this.panToMinimapPoint(e.clientX, e.clientY);
+        });
+        window.addEventListener('mouseup', () => {
+            this.isMinimapDragging = false;
+        });
+        this.minimapCanvas.addEventListener('touchstart', (e) => {
+            if (e.touches.length !== 1) return;
+            e.preventDefault();
+            e.stopPropagation();
+            this.panToMinimapPoint(e.touches[0].clientX, e.touches[0].clientY);
+        });
+        this.minimapCanvas.addEventListener('touchmove', (e) => {
+            if (e.touches.length !== 1) return;
+            e.preventDefault();
+            e.stopPropagation();
+            this.panToMinimapPoint(e.touches[0].clientX, e.touches[0].clientY);
+        });
+    }
+
+    setLayout(layout) {
+        this.layout = layout;
+        this.draggedElement = null;
+        this.minimap.reset();
+        this.updateMinimap();
+    }
+
+    /**
+     * ミニマップ上の画面座標を中心に表示する
+     */
+    panToMinimapPoint(clientX, clientY) {
+        const rect = this.minimapCanvas.getBoundingClientRect();
+        const world = this.minimap.minimapToWorld({
+            x: (clientX - rect.left) * this.minimapCanvas.width / rect.width,
+            y: (clientY - rect.top) * this.minimapCanvas.height / rect.height
+        });
+        if (world) {
+            this.centerView(world.x, world.y);
+        }
+    }
+
+    /**
+     * 画面座標からレイアウト座標へ
+     */
+    screenToWorld(clientX, clientY) {
+        return {
+            x: this.viewport.x + clientX / this.viewport.scale,
+            y: this.viewport.y + clientY / this.viewport.scale
+        };
+    }
+
+    /**
+     * 引力点・障害物をつかむ（何もなければ画面のドラッグ）
+     */
+    grabFieldElement(clientX, clientY) {
+        if (!this.layout) return false;
+        
+        const position = this.screenToWorld(clientX, clientY);
+        const element = this.layout.findFieldElementAt(position, 12 / this.viewport.scale);
+        if (!element) return false;
+        
+        this.draggedElement = element;
+        this.dragOffset = { x: element.position.x - position.x, y: element.position.y - position.y };
+        return true;
+    }
+
+    dragFieldElement(clientX, clientY) {
+        const position = this.screenToWorld(clientX, clientY);
+        this.layout.moveFieldElement(this.draggedElement.id,
+            position.x + this.dragOffset.x, position.y + this.dragOffset.y);
+        this.renderer.renderFieldElements(this.layout.attractors, this.layout.obstacles);
+    }
+
+    handleDoubleClick(e) {
+        if (!this.layout) return;
+        
+        // 空いた所に引力点を置き、引力点・障害物の上なら取り除く
+        const position = this.screenToWorld(e.clientX, e.clientY);
+        const element = this.layout.findFieldElementAt(position, 12 / this.viewport.scale);
+        if (element) {
+            this.layout.removeFieldElement(element.id);
+        } else {
+            this.layout.addAttractor(position);
+        }
+        this.renderer.renderFieldElements(this.layout.attractors, this.layout.obstacles);
     }
 
     handleMouseDown(e) {
         if (e.button === 0) {
+            if (this.grabFieldElement(e.clientX, e.clientY)) return;
             this.isDragging = true;
             this.dragStart = { x: e.clientX, y: e.clientY };
             this.lastViewport = { x: this.viewport.x, y: this.viewport.y };
@@ -59,7 +167,9 @@ class ViewportController {
     }
 
     handleMouseMove(e) {
-        if (this.isDragging) {
+        if (this.draggedElement) {
+            this.dragFieldElement(e.clientX, e.clientY);
+        } else if (this.isDragging) {
             const dx = e.clientX - this.dragStart.x;
             const dy = e.clientY - this.dragStart.y;
             
@@ -72,6 +182,7 @@ class ViewportController {
 
     handleMouseUp(e) {
         this.isDragging = false;
+        this.draggedElement = null;
     }
 
     handleWheel(e) {
@@ -98,6 +209,7 @@ class ViewportController {
     handleTouchStart(e) {
         if (e.touches.length === 1) {
             const touch = e.touches[0];
+            if (this.grabFieldElement(touch.clientX, touch.clientY)) return;
             this.isDragging = true;
             this.dragStart = { x: touch.clientX, y: touch.clientY };
             this.lastViewport = { x: this.viewport.x, y: this.viewport.y };
@@ -107,7 +219,10 @@ class ViewportController {
     handleTouchMove(e) {
         e.preventDefault();
         
-        if (e.touches.length === 1 && this.isDragging) {
+        if (e.touches.length === 1 && this.draggedElement) {
+            const touch = e.touches[0];
+            this.dragFieldElement(touch.clientX, touch.clientY);
+        } else if (e.touches.length === 1 && this.isDragging) {
             const touch = e.touches[0];
             const dx = touch.clientX - this.dragStart.x;
             const dy = touch.clientY - this.dragStart.y;
@@ -121,6 +236,7 @@ class ViewportController {
 
     handleTouchEnd(e) {
         this.isDragging = false;
+        this.draggedElement = null;
     }
 
     handleResize() {
@@ -154,18 +270,27 @@ class ViewportController {
         zoomValue.textContent = this.viewport.scale.toFixed(1);
     }
 
+    /**
+     * ミニマップの更新（成長した分の描き足しと、表示範囲の枠）
+     */
     updateMinimap() {
-        // ミニマップの更新（簡易版）
-        const scale = 0.01;
-        const indicatorWidth = this.viewport.width * scale / this.viewport.scale;
-        const indicatorHeight = this.viewport.height * scale / this.viewport.scale;
-        const indicatorX = this.viewport.x * scale;
-        const indicatorY = this.viewport.y * scale;
-        
-        this.viewportIndicator.style.width = `${indicatorWidth}px`;
-        this.viewportIndicator.style.height = `${indicatorHeight}px`;
-        this.viewportIndicator.style.left = `${indicatorX}px`;
-        this.viewportIndicator.style.top = `${indicatorY}px`;
+        if (this.layout) {
+            this.minimap.render(this.layout);
+        }
+        
+        // 枠はミニマップの表示上の大きさに合わせる
+        const rect = this.minimap.getMinimapRect({
+            x: this.viewport.x,
+            y: this.viewport.y,
+            width: this.viewport.width / this.viewport.scale,
+            height: this.viewport.height / this.viewport.scale
+        });
+        const ratio = this.minimapCanvas.clientWidth ? this.minimapCanvas.clientWidth / this.minimapCanvas.width : 1;
+        
+        this.viewportIndicator.style.width = `${rect.width * ratio}px`;
+        this.viewportIndicator.style.height = `${rect.height * ratio}px`;
+        this.viewportIndicator.style.left = `${rect.x * ratio}px`;
+        this.viewportIndicator.style.top = `${rect.y * ratio}px`;
     }
 
     centerView(x, y) {
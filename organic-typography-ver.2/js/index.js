@@ -17,11 +17,30 @@
         loaded: {},
         loading: {},
         dependencies: {
+            'SimulationEnvironment': [],
             'SpatialIndex': [],
-            'SemanticField': [],
-            'TemporalContext': [],
-            'OrganicLayout': ['SemanticField', 'SpatialIndex'],
-            'MetaCognitiveOrchestrator': ['OrganicLayout', 'SemanticField', 'TemporalContext']
+            'JapaneseTokenizer': [],
+            'EmbeddingProvider': [],
+            'GlyphOrientation': [],
+            'KinsokuRules': [],
+            'AozoraParser': [],
+            'ShapeConstraint': [],
+            'GrowthStrategy': [],
+            'LSystemStrategy': ['SimulationEnvironment', 'GrowthStrategy'],
+            'RenderBackend': [],
+            'CanvasRenderBackend': ['RenderBackend', 'GlyphOrientation'],
+            'MinimapRenderBackend': ['RenderBackend'],
+            'Renderer': ['RenderBackend', 'GlyphOrientation'],
+            'SVGExporter': ['RenderBackend', 'GlyphOrientation'],
+            'LayoutSerializer': ['SimulationEnvironment', 'KinsokuRules'],
+            'GrowthHistory': [],
+            'GrowthEvents': [],
+            'LayoutSnapshot': [],
+            'SemanticField': ['SimulationEnvironment', 'JapaneseTokenizer', 'EmbeddingProvider'],
+            'TemporalContext': ['SimulationEnvironment', 'JapaneseTokenizer'],
+            'OrganicLayout': ['SimulationEnvironment', 'SemanticField', 'SpatialIndex', 'KinsokuRules', 'AozoraParser', 'ShapeConstraint', 'GrowthStrategy', 'GrowthHistory', 'GrowthEvents'],
+            'OrganicEcosystem': ['SimulationEnvironment', 'SpatialIndex', 'SemanticField', 'OrganicLayout'],
+            'MetaCognitiveOrchestrator': ['SimulationEnvironment', 'OrganicLayout', 'SemanticField', 'TemporalContext']
         },
         
         /**
@@ -120,10 +139,29 @@
          */
         async loadAll() {
             const loadOrder = [
+                'SimulationEnvironment',
                 'SpatialIndex',
+                'JapaneseTokenizer',
+                'EmbeddingProvider',
+                'GlyphOrientation',
+                'KinsokuRules',
+                'AozoraParser',
+                'ShapeConstraint',
+                'GrowthStrategy',
+                'LSystemStrategy',
+                'RenderBackend',
+                'CanvasRenderBackend',
+                'MinimapRenderBackend',
+                'Renderer',
+                'SVGExporter',
+                'LayoutSerializer',
+                'GrowthHistory',
+                'GrowthEvents',
+                'LayoutSnapshot',
                 'SemanticField', 
                 'TemporalContext',
                 'OrganicLayout',
+                'OrganicEcosystem',
                 'MetaCognitiveOrchestrator'
             ];
             
@@ -149,7 +187,12 @@
         constructor() {
             this.modules = {};
             this.orchestrator = null;
+            this.environment = null;
             this.isInitialized = false;
+            this.updateWarnings = new Set();
+            this.customRenderer = null;
+            this.renderBackend = null;
+            this.renderTarget = null;
         }
         
         /**
@@ -162,6 +205,12 @@
                 // モジュールの読み込み
                 this.modules = await moduleLoader.loadAll();
                 
+                // 乱数・時計の注入（config.seed で決定論的、config.environment で差し替え可能）
+                if (typeof SimulationEnvironment !== 'undefined') {
+                    this.environment = SimulationEnvironment.resolve(config);
+                    config = { ...config, environment: this.environment };
+                }
+                
                 // メインオーケストレーターの初期化
                 if (typeof MetaCognitiveOrchestrator !== 'undefined') {
                     this.orchestrator = new MetaCognitiveOrchestrator(text, canvasWidth, canvasHeight, config);
@@ -171,13 +220,18 @@
                     
                     // フォールバック：OrganicLayoutのみで動作
                     if (typeof OrganicLayout !== 'undefined') {
-                        this.orchestrator = new OrganicLayout(text, canvasWidth, canvasHeight);
+                        this.orchestrator = new OrganicLayout(text, canvasWidth, canvasHeight, config);
                         console.log('📝 OrganicLayout フォールバックモードで初期化');
                     } else {
                         throw new Error('必要なモジュールが読み込めませんでした');
                     }
                 }
                 
+                // 単語分散表現の読み込み（config.embeddings: { source, format, ...options }）
+                if (config.embeddings) {
+                    await this.loadEmbeddings(config.embeddings);
+                }
+                
                 this.isInitialized = true;
                 console.log('✅ システム初期化完了');
                 
@@ -189,6 +243,32 @@
             }
         }
         
+        /**
+         * 単語分散表現の読み込みと語義場への適用
+         */
+        async loadEmbeddings(embeddingConfig) {
+            if (typeof EmbeddingProvider === 'undefined') {
+                console.warn('⚠ EmbeddingProvider が利用できません。ハッシュベクトルで動作します。');
+                return null;
+            }
+            
+            const { source, format, ...options } = embeddingConfig;
+            const provider = new EmbeddingProvider(options);
+            
+            try {
+                await provider.load(source, format);
+            } catch (error) {
+                console.warn('⚠ 分散表現の読み込みに失敗しました。ハッシュベクトルで動作します:', error.message);
+                return null;
+            }
+            
+            const layout = this.orchestrator.organicLayout || this.orchestrator;
+            layout.setEmbeddingProvider(provider);
+            console.log(`📚 分散表現読み込み完了（${provider.vocabulary.size}語, ${provider.dimension}次元）`);
+            
+            return provider;
+        }
+        
         /**
          * システムの開始
          */
@@ -217,7 +297,11 @@
                 // メモリ使用量チェックと最適化
                 this.performMemoryOptimization();
             } catch (error) {
-                console.warn('Update error:', error);
+                // 毎フレーム同じ警告を出さない
+                if (!this.updateWarnings.has(error.message)) {
+                    this.updateWarnings.add(error.message);
+                    console.warn('Update error:', error);
+                }
             }
         }
         
@@ -244,7 +328,9 @@
                 }
                 
                 // 空間インデックスの更新
-                if (layout.spatialIndex && typeof layout.spatialIndex.clear === 'function') {
+                if (typeof layout.rebuildSpatialIndex === 'function') {
+                    layout.rebuildSpatialIndex();
+                } else if (layout.spatialIndex && typeof layout.spatialIndex.clear === 'function') {
                     layout.spatialIndex.clear();
                     layout.nodes.forEach(node => {
                         if (typeof layout.spatialIndex.insert === 'function') {
@@ -302,6 +388,105 @@
             }
         }
         
+        /**
+         * 一時停止中の1回だけの更新
+         */
+        step() {
+            if (!this.orchestrator) return;
+            
+            this.orchestrator.start();
+            this.update();
+            this.orchestrator.pause();
+        }
+        
+        /**
+         * 成長パラメータの変更（次の世代から反映）
+         */
+        setParams(params) {
+            if (!this.orchestrator) return;
+            
+            const layout = this.orchestrator.organicLayout || this.orchestrator;
+            Object.assign(layout.params, params);
+        }
+        
+        /**
+         * テキストの追記
+         */
+        appendText(text) {
+            if (!this.isInitialized || !this.orchestrator) {
+                throw new Error('システムが初期化されていません。initialize()を最初に呼び出してください。');
+            }
+            
+            return this.orchestrator.appendText(text);
+        }
+        
+        /**
+         * 成長した有機体全体のSVG書き出し（ブラウザ・Node.js共通）
+         */
+        exportSVG(options = {}) {
+            if (!this.isInitialized || !this.orchestrator) {
+                throw new Error('システムが初期化されていません。initialize()を最初に呼び出してください。');
+            }
+            
+            const layout = this.orchestrator.organicLayout || this.orchestrator;
+            return new SVGExporter(options).export(layout);
+        }
+        
+        /**
+         * 要素ごとの描画フックの設定（render() で使う。null で既定の描画に戻す）
+         * hooks: { drawNode(ctx, node, env), drawConnection(ctx, connection, env), ... }（RenderBackend 参照）
+         */
+        setCustomRenderer(hooks) {
+            RenderBackend.validateHooks(hooks);
+            this.customRenderer = hooks || null;
+            return this;
+        }
+        
+        /**
+         * 描画（target: <canvas>・2Dコンテキスト・SVG要素・RenderBackend）
+         */
+        render(target, options = {}) {
+            if (!this.orchestrator) return;
+            
+            const layout = this.orchestrator.organicLayout || this.orchestrator;
+            return getRenderBackend(this, target, options).render(layout);
+        }
+        
+        /**
+         * 成長とメタ認知の出来事のリスナーの登録（種類とペイロードは GrowthEvents 参照。戻り値は登録を解除する関数）
+         */
+        on(type, listener) {
+            if (!this.isInitialized || !this.orchestrator) {
+                throw new Error('システムが初期化されていません。initialize()を最初に呼び出してください。');
+            }
+            
+            return this.orchestrator.on(type, listener);
+        }
+        
+        off(type, listener) {
+            if (this.orchestrator) this.orchestrator.off(type, listener);
+        }
+        
+        /**
+         * レイアウト座標の位置にあるノード（字形から tolerance 以内、なければ null）
+         */
+        findNodeAt(position, tolerance) {
+            if (!this.orchestrator) return null;
+            
+            const layout = this.orchestrator.organicLayout || this.orchestrator;
+            return layout.findNodeAt(position, tolerance);
+        }
+        
+        /**
+         * インスペクター用のノードの詳細（OrganicLayout.inspectNode() 参照）
+         */
+        inspectNode(id) {
+            if (!this.orchestrator) return null;
+            
+            const layout = this.orchestrator.organicLayout || this.orchestrator;
+            return layout.inspectNode(id);
+        }
+        
         /**
          * システムレポートの取得
          */
@@ -332,13 +517,297 @@
         }
     }
     
+    /**
+     * Web Worker で成長させるシステム（OrganicTypographySystem と同じ操作をメッセージで送る）
+     * ワーカーから届く LayoutSnapshot の差分を this.layout に積み上げ、描画側は
+     * OrganicTypographySystem と同じく orchestrator.organicLayout から読む。
+     * 結果を返す操作（appendText・exportSVG・getReport など）は Promise を返す
+     */
+    class OrganicTypographyWorkerSystem {
+        constructor(workerUrl = 'js/SimulationWorker.js') {
+            this.workerUrl = workerUrl;
+            this.worker = null;
+            this.isInitialized = false;
+            this.requests = new Map();
+            this.requestCount = 0;
+            this.onSnapshot = null;      // 差分を適用するたびに (layout) で呼ばれる
+            this.layout = null;
+            this.orchestrator = null;
+            this.customRenderer = null;
+            this.renderBackend = null;
+            this.renderTarget = null;
+            this.events = null;          // ワーカーから転送された出来事のリスナー
+        }
+        
+        /**
+         * ワーカーの起動と初期化（config は構造化複製できる値のみ。environment は渡せない）
+         */
+        async initialize(text = "言語を読むとは何か", canvasWidth = 800, canvasHeight = 600, config = {}) {
+            for (const moduleName of ['LayoutSnapshot', 'SpatialIndex', 'OrganicLayout', 'GrowthEvents', 'CanvasRenderBackend', 'Renderer', 'SVGExporter']) {
+                await moduleLoader.loadModule(moduleName);
+            }
+            
+            const { environment, interval, ...workerConfig } = config;
+            if (workerConfig.embeddings && typeof workerConfig.embeddings.source === 'string') {
+                // ワーカーからの相対パスにならないよう、ページ基準の絶対URLにする
+                workerConfig.embeddings = {
+                    ...workerConfig.embeddings,
+                    source: new URL(workerConfig.embeddings.source, document.baseURI).href
+                };
+            }
+            
+            this.layout = new LayoutSnapshot();
+            this.layout.history = this.createHistoryProxy();
+            this.orchestrator = { organicLayout: this.layout };
+            
+            this.worker = new Worker(this.workerUrl);
+            this.worker.onmessage = (event) => this.handleMessage(event.data);
+            this.worker.onerror = (event) => {
+                event.preventDefault();
+                this.rejectAll(new Error(`Worker error: ${event.message || this.workerUrl}`));
+            };
+            
+            await this.request('init', { text, width: canvasWidth, height: canvasHeight, config: workerConfig, interval });
+            
+            // 初期化前に登録されたリスナーの出来事を転送させる
+            if (this.events) {
+                this.events.listeners.forEach((listeners, type) => this.post('subscribe', { eventType: type }));
+            }
+            this.isInitialized = true;
+            console.log('✅ ワーカーでのシステム初期化完了');
+            
+            return this.orchestrator;
+        }
+        
+        request(type, payload = {}) {
+            if (!this.worker) {
+                return Promise.reject(new Error('システムが初期化されていません。initialize()を最初に呼び出してください。'));
+            }
+            
+            const requestId = this.requestCount++;
+            return new Promise((resolve, reject) => {
+                this.requests.set(requestId, { resolve, reject });
+                this.worker.postMessage({ type, requestId, ...payload });
+            });
+        }
+        
+        post(type, payload = {}) {
+            if (this.worker) {
+                this.worker.postMessage({ type, ...payload });
+            }
+        }
+        
+        handleMessage(message) {
+            if (message.type === 'snapshot') {
+                this.layout.apply(message.snapshot);
+                if (typeof this.onSnapshot === 'function') {
+                    this.onSnapshot(this.layout);
+                }
+                
+                // 描画の間隔に合わせて次の差分を受け取る
+                if (typeof requestAnimationFrame === 'function') {
+                    requestAnimationFrame(() => this.post('ack'));
+                } else {
+                    this.post('ack');
+                }
+                return;
+            }
+            if (message.type === 'event') {
+                if (this.events) this.events.emit(message.event.type, message.event);
+                return;
+            }
+            
+            const request = this.requests.get(message.requestId);
+            if (!request) {
+                if (message.type === 'error') console.warn('Worker error:', message.message);
+                return;
+            }
+            this.requests.delete(message.requestId);
+            
+            if (message.type === 'error') {
+                request.reject(new Error(message.message));
+            } else {
+                request.resolve(message.value);
+            }
+        }
+        
+        rejectAll(error) {
+            this.requests.forEach(request => request.reject(error));
+            this.requests.clear();
+        }
+        
+        /**
+         * 成長の履歴の操作（GrowthHistory と同じ名前。範囲は最後に届いた差分のもの）
+         */
+        createHistoryProxy() {
+            const range = () => this.layout.historyRange ||
+                                { first: this.layout.generation, last: this.layout.generation, current: this.layout.generation };
+            return {
+                getRange: () => {
+                    const { first, last, current } = range();
+                    return { first, last, current };
+                },
+                canStepBack: () => Boolean(range().canStepBack),
+                canStepForward: () => Boolean(range().canStepForward),
+                seek: (generation) => {
+                    this.post('seek', { generation });
+                    return generation;
+                },
+                stepBack: () => {
+                    this.post('stepBack');
+                    return range().current - 1;
+                },
+                stepForward: () => {
+                    this.post('stepForward');
+                    return range().current + 1;
+                }
+            };
+        }
+        
+        start() {
+            if (!this.isInitialized) {
+                throw new Error('システムが初期化されていません。initialize()を最初に呼び出してください。');
+            }
+            
+            this.post('start');
+            console.log('▶️ システム開始');
+        }
+        
+        /**
+         * 成長はワーカーが進めるので、メインスレッドでは何もしない
+         */
+        update() {
+        }
+        
+        pause() {
+            this.post('pause');
+            console.log('⏸️ システム一時停止');
+        }
+        
+        reset() {
+            this.post('reset');
+            console.log('🔄 システムリセット');
+        }
+        
+        step() {
+            this.post('step');
+        }
+        
+        setParams(params) {
+            this.post('setParams', { params });
+        }
+        
+        /**
+         * テキストの追記（解決値は新しい成長前線の数）
+         */
+        appendText(text) {
+            return this.request('appendText', { text });
+        }
+        
+        /**
+         * SVG書き出し（描画フックは関数でワーカーへ送れないので、指定時は届いた写しから書き出す）
+         */
+        exportSVG(options = {}) {
+            if (options.customRenderer) {
+                return Promise.resolve(new SVGExporter(options).export(this.layout));
+            }
+            return this.request('exportSVG', { options });
+        }
+        
+        setCustomRenderer(hooks) {
+            RenderBackend.validateHooks(hooks);
+            this.customRenderer = hooks || null;
+            return this;
+        }
+        
+        render(target, options = {}) {
+            if (!this.layout) return;
+            
+            return getRenderBackend(this, target, options).render(this.layout);
+        }
+        
+        /**
+         * 出来事のリスナーの登録（ワーカーは登録された種類の出来事だけを転送する。
+         * 出来事は成長より遅れて届き、ノードなどはワーカー側の写し）
+         */
+        on(type, listener) {
+            if (!this.events) {
+                if (typeof GrowthEvents === 'undefined') {
+                    throw new Error('Growth events require GrowthEvents.js');
+                }
+                this.events = new GrowthEvents();
+            }
+            
+            const subscribed = this.events.listeners.has(type);
+            this.events.on(type, listener);
+            if (!subscribed) this.post('subscribe', { eventType: type });
+            return () => this.off(type, listener);
+        }
+        
+        off(type, listener) {
+            if (!this.events) return;
+            
+            const types = type === undefined ? Array.from(this.events.listeners.keys()) : [type];
+            this.events.off(type, listener);
+            types
+                .filter(entry => !this.events.listeners.has(entry))
+                .forEach(entry => this.post('unsubscribe', { eventType: entry }));
+        }
+        
+        /**
+         * 当たり判定は届いた写しで行い、ノードの詳細はワーカーに問い合わせる（Promise を返す）
+         */
+        findNodeAt(position, tolerance) {
+            return this.layout ? this.layout.findNodeAt(position, tolerance) : null;
+        }
+        
+        inspectNode(id) {
+            return this.request('inspectNode', { id });
+        }
+        
+        getReport() {
+            return this.request('getReport');
+        }
+        
+        getExperienceArchive() {
+            return this.request('getExperienceArchive');
+        }
+        
+        /**
+         * ワーカーの停止
+         */
+        terminate() {
+            if (this.worker) {
+                this.worker.terminate();
+                this.worker = null;
+            }
+            this.rejectAll(new Error('Worker terminated'));
+            this.isInitialized = false;
+        }
+    }
+    
     /**
      * 便利なファクトリー関数
+     * config.worker: true（js/SimulationWorker.js）またはワーカーのURLで Web Worker 上で成長させる。
+     * ワーカーを起動できない環境（Node.js・file:// など）ではメインスレッドで動かす
      */
-    const createOrganicTypography = async (text, canvasWidth, canvasHeight, config) => {
+    const createOrganicTypography = async (text, canvasWidth, canvasHeight, config = {}) => {
+        const { worker, ...systemConfig } = config;
+        
+        if (worker && typeof Worker !== 'undefined') {
+            const workerSystem = new OrganicTypographyWorkerSystem(typeof worker === 'string' ? worker : undefined);
+            try {
+                await workerSystem.initialize(text, canvasWidth, canvasHeight, systemConfig);
+                return workerSystem;
+            } catch (error) {
+                workerSystem.terminate();
+                console.warn('⚠ ワーカーを起動できませんでした。メインスレッドで動作します:', error.message);
+            }
+        }
+        
         try {
             const system = new OrganicTypographySystem();
-            await system.initialize(text, canvasWidth, canvasHeight, config);
+            await system.initialize(text, canvasWidth, canvasHeight, systemConfig);
             return system;
         } catch (error) {
             console.error('createOrganicTypography error:', error);
@@ -381,9 +850,7 @@
             system.update();
             
             // 描画
-            if (system.orchestrator) {
-                drawSystem(ctx, system.orchestrator);
-            }
+            system.render(ctx);
             
             animationId = requestAnimationFrame(animate);
         };
@@ -417,6 +884,7 @@
                 console.log('🔄 アニメーションリセット');
             },
             
+            setCustomRenderer: (hooks) => system.setCustomRenderer(hooks),
             getReport: () => system.getReport(),
             getArchive: () => system.getExperienceArchive()
         };
@@ -425,182 +893,25 @@
     };
     
     /**
-     * システムの描画関数
+     * 描画先ごとの描画（同じ描画先なら作り直さず、システムの描画フックを渡す。
+     * RenderBackend を直接渡した場合はそのフックのまま描く）
      */
-    function drawSystem(ctx, orchestrator) {
-        if (!orchestrator.organicLayout) return;
-        
-        const layout = orchestrator.organicLayout;
-        
-        // ノードの描画
-        layout.nodes.forEach(node => {
-            drawNode(ctx, node);
-        });
-        
-        // 接続の描画
-        layout.connections.forEach(connection => {
-            drawConnection(ctx, connection, layout.nodes);
-        });
-        
-        // 連語感覚フィールドの描画
-        if (layout.collocationFields) {
-            layout.collocationFields.forEach(field => {
-                drawCollocationField(ctx, field);
-            });
-        }
-        
-        // 読解軌跡の描画
-        if (layout.readingTrajectory && layout.readingTrajectory.length > 1) {
-            drawReadingTrajectory(ctx, layout.readingTrajectory);
-        }
-    }
-    
-    function drawNode(ctx, node) {
-        if (!node || !node.position || typeof node.position.x !== 'number' || typeof node.position.y !== 'number') {
-            return;
-        }
+    function getRenderBackend(system, target, options) {
+        if (target instanceof RenderBackend) return target;
         
-        try {
-            ctx.save();
-            
-            // 語義的共鳴による色の変化
-            const resonance = Math.max(0, Math.min(1, node.semanticResonance || 0));
-            const hue = 200 + resonance * 60; // 青から紫へ
-            const saturation = 50 + resonance * 50;
-            const lightness = 30 + resonance * 30;
-            
-            ctx.fillStyle = `hsl(${hue}, ${saturation}%, ${lightness}%)`;
-            
-            // エネルギーによるサイズの変化
-            const energy = Math.max(0, Math.min(100, node.energy || 50));
-            const size = Math.max(2, Math.min(20, 6 + energy / 10));
-            
-            // 位置の境界チェック
-            const x = Math.max(size, Math.min(ctx.canvas.width - size, node.position.x));
-            const y = Math.max(size, Math.min(ctx.canvas.height - size, node.position.y));
-            
-            ctx.beginPath();
-            ctx.arc(x, y, size, 0, Math.PI * 2);
-            ctx.fill();
-            
-            // 文字の描画
-            if (node.char && typeof node.char === 'string') {
-                ctx.fillStyle = '#ffffff';
-                const fontSize = Math.max(8, Math.min(24, size * 2));
-                ctx.font = `${fontSize}px serif`;
-                ctx.textAlign = 'center';
-                ctx.textBaseline = 'middle';
-                
-                // テキストが長すぎる場合は切り詰める
-                const displayChar = node.char.length > 2 ? node.char.substring(0, 2) : node.char;
-                ctx.fillText(displayChar, x, y);
-            }
-            
-            ctx.restore();
-        } catch (error) {
-            console.warn('Error drawing node:', error);
-            ctx.restore();
+        if (!system.renderBackend || system.renderTarget !== target) {
+            system.renderBackend = RenderBackend.forTarget(target, options);
+            system.renderTarget = target;
         }
-    }
-    
-    function drawConnection(ctx, connection, nodes) {
-        if (!connection || !connection.from || !connection.to || !Array.isArray(nodes)) {
-            return;
-        }
-        
-        const fromNode = nodes.find(n => n && n.id === connection.from);
-        const toNode = nodes.find(n => n && n.id === connection.to);
-        
-        if (!fromNode || !toNode || !fromNode.position || !toNode.position) return;
-        
-        try {
-            ctx.save();
-            
-            // 接続タイプによる線の描画
-            const alpha = connection.type === 'primary' ? 0.8 : 
-                         connection.type === 'secondary' ? 0.5 : 0.3;
-            
-            ctx.strokeStyle = `rgba(100, 150, 255, ${Math.max(0.1, Math.min(1, alpha))})`;
-            ctx.lineWidth = connection.type === 'primary' ? 2 : 1;
-            
-            // NaN チェック
-            if (isNaN(fromNode.position.x) || isNaN(fromNode.position.y) || 
-                isNaN(toNode.position.x) || isNaN(toNode.position.y)) {
-                return;
-            }
-            
-            ctx.beginPath();
-            ctx.moveTo(fromNode.position.x, fromNode.position.y);
-            
-            // 曲率による曲線描画
-            const curvature = connection.curvature || 0;
-            if (curvature > 0.1) {
-                const midX = (fromNode.position.x + toNode.position.x) / 2;
-                const midY = (fromNode.position.y + toNode.position.y) / 2;
-                const offset = Math.max(-100, Math.min(100, curvature * 50));
-                
-                ctx.quadraticCurveTo(
-                    midX + offset, midY + offset,
-                    toNode.position.x, toNode.position.y
-                );
-            } else {
-                ctx.lineTo(toNode.position.x, toNode.position.y);
-            }
-            
-            ctx.stroke();
-            ctx.restore();
-        } catch (error) {
-            console.warn('Error drawing connection:', error);
-            ctx.restore();
-        }
-    }
-    
-    function drawCollocationField(ctx, field) {
-        if (!field.geometry || field.geometry.length === 0) return;
-        
-        ctx.save();
-        ctx.fillStyle = `rgba(255, 200, 100, ${field.intensity * 0.2})`;
-        ctx.strokeStyle = `rgba(255, 200, 100, ${field.intensity * 0.5})`;
-        ctx.lineWidth = 1;
-        
-        ctx.beginPath();
-        ctx.moveTo(field.geometry[0].x, field.geometry[0].y);
-        
-        for (let i = 1; i < field.geometry.length; i++) {
-            ctx.lineTo(field.geometry[i].x, field.geometry[i].y);
-        }
-        
-        ctx.closePath();
-        ctx.fill();
-        ctx.stroke();
-        ctx.restore();
-    }
-    
-    function drawReadingTrajectory(ctx, trajectory) {
-        if (trajectory.length < 2) return;
-        
-        ctx.save();
-        ctx.strokeStyle = 'rgba(200, 100, 255, 0.3)';
-        ctx.lineWidth = 2;
-        ctx.setLineDash([5, 5]);
-        
-        ctx.beginPath();
-        ctx.moveTo(trajectory[0].from.position.x, trajectory[0].from.position.y);
-        
-        for (let i = 1; i < trajectory.length; i++) {
-            if (trajectory[i].from && trajectory[i].from.position) {
-                ctx.lineTo(trajectory[i].from.position.x, trajectory[i].from.position.y);
-            }
-        }
-        
-        ctx.stroke();
-        ctx.restore();
+        system.renderBackend.setCustomRenderer(system.customRenderer);
+        return system.renderBackend;
     }
     
     // エクスポート
     if (typeof module !== 'undefined' && module.exports) {
         module.exports = {
             OrganicTypographySystem,
+            OrganicTypographyWorkerSystem,
             createOrganicTypography,
             createAnimatedDemo,
             moduleLoader
@@ -608,6 +919,7 @@
     } else if (typeof window !== 'undefined') {
         window.OrganicTypography = {
             System: OrganicTypographySystem,
+            WorkerSystem: OrganicTypographyWorkerSystem,
             create: createOrganicTypography,
             createDemo: createAnimatedDemo,
             moduleLoader: moduleLoader
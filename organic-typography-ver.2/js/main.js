@@ -1,6 +1,7 @@
 class OrganicTypographyApp {
     constructor() {
         this.layout = null;
+        this.sourceText = '';     // 記法を含む入力テキスト（追記判定用）
         this.renderer = null;
         this.viewportController = null;
         this.animationId = null;
@@ -55,12 +56,30 @@ class OrganicTypographyApp {
         const textInput = document.getElementById('text-input');
         const text = textInput.value || 'デフォルトテキスト';
         
+        // 既存テキストへの追記であれば同じ有機体を成長させ続ける
+        if (this.layout && text.length > this.sourceText.length && text.startsWith(this.sourceText)) {
+            this.layout.appendText(text.slice(this.sourceText.length));
+            this.sourceText = text;
+            this.updateStats();
+            this.render();
+            return;
+        }
+        
         // キャンバスサイズの計算
         const canvasSize = Math.max(5000, Math.sqrt(text.length) * 100);
         
+        // 組方向（縦組み／横組み）
+        const writingModeSelect = document.getElementById('writing-mode');
+        const writingMode = writingModeSelect ? writingModeSelect.value : 'horizontal';
+        
+        // 青空文庫形式のルビ（｜親文字《るび》）を含む場合は解析する
+        const textFormat = AozoraParser.hasMarkup(text) ? 'aozora' : 'plain';
+        
         // レイアウトエンジンの初期化
-        this.layout = new OrganicLayout(text, canvasSize, canvasSize);
+        this.layout = new OrganicLayout(text, canvasSize, canvasSize, { writingMode, textFormat });
+        this.sourceText = text;
         this.layout.initialize();
+        this.viewportController.setLayout(this.layout);
         
         // ビューポートを中心に
         this.viewportController.centerView(canvasSize / 2, canvasSize / 2);
@@ -116,7 +135,8 @@ class OrganicTypographyApp {
     render() {
         if (!this.layout) return;
         
-        this.renderer.render(this.layout.nodes, this.layout.connections);
+        this.renderer.render(this.layout);
+        this.viewportController.updateMinimap();
     }
 
     updateStats() {